@@ -1,12 +1,27 @@
-import { useState } from "react";
+import { useEffect } from "react";
 import QRTicketSystem from "./components/Scanner";
+import Login from "./components/Login";
+import UpdatePrompt from "./components/UpdatePrompt";
+import useAuth from "./hooks/useAuth";
+import useLocale from "./hooks/useLocale";
 
 function App() {
-  const [count, setCount] = useState(0);
+  const { user, sessionId, login, logout } = useAuth();
+  const { locale } = useLocale();
+
+  // Screen readers and fonts pick the right language
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
 
   return (
     <>
-      <QRTicketSystem />
+      {user ? (
+        <QRTicketSystem user={user} sessionId={sessionId} onLogout={logout} />
+      ) : (
+        <Login onLogin={login} />
+      )}
+      <UpdatePrompt />
     </>
   );
 }
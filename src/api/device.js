@@ -0,0 +1,33 @@
+// Gate and device this scanner is registered as. Both are sent with every
+// verification so the backend can tell scanners apart, and so rejections
+// can say where a ticket was already used.
+const STORAGE_KEY = "qr-ticket:device";
+
+const listeners = new Set();
+
+export const normalizeDevice = (device) => {
+  const gate = String(device?.gate ?? "").trim();
+  const deviceId = String(device?.deviceId ?? "").trim();
+  return gate && deviceId ? { gate, deviceId } : null;
+};
+
+export const getDevice = () => {
+  try {
+    return normalizeDevice(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch {
+    return null;
+  }
+};
+
+export const saveDevice = (device) => {
+  const registered = normalizeDevice(device);
+  if (!registered) return null;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(registered));
+  listeners.forEach((listener) => listener(registered));
+  return registered;
+};
+
+export const subscribeDevice = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
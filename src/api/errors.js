@@ -0,0 +1,47 @@
+// Error types thrown by the API client so callers can branch on the failure
+
+export class ApiError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ApiError";
+  }
+}
+
+// The request never reached the server (offline, DNS, CORS, refused)
+export class NetworkError extends ApiError {
+  constructor(message = "Unable to connect to server", options) {
+    super(message, options);
+    this.name = "NetworkError";
+  }
+}
+
+// The server did not answer within the configured timeout
+export class TimeoutError extends ApiError {
+  constructor(timeoutMs) {
+    super(`Request timed out after ${timeoutMs}ms`);
+    this.name = "TimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// The server answered with a non-2xx status; `message` is the server's own
+export class HttpError extends ApiError {
+  constructor(status, message, data = null) {
+    super(message || `Request failed with status ${status}`);
+    this.name = "HttpError";
+    this.status = status;
+    this.data = data;
+  }
+
+  get isClientError() {
+    return this.status >= 400 && this.status < 500;
+  }
+}
+
+// The server answered, but the body did not match the expected schema
+export class MalformedResponseError extends ApiError {
+  constructor(message = "Unexpected response from server", options) {
+    super(message, options);
+    this.name = "MalformedResponseError";
+  }
+}
@@ -0,0 +1,205 @@
+import { z } from "zod";
+
+// Backend ticket record, mapped onto the shape the scanner renders
+export const ticketSchema = z
+  .object({
+    ticketId: z.string(),
+    attendeeName: z.string(),
+    rollNumber: z.string().nullish(),
+    email: z.string().nullish(),
+    eventName: z.string().nullish(),
+    status: z.string().nullish(),
+    generatedAt: z.string().nullish(),
+    scannedAt: z.string().nullish(),
+    scannedBy: z.string().nullish(),
+    // Where the ticket was scanned, for scanners registered to a gate
+    scannedGate: z.string().nullish(),
+    scannedDeviceId: z.string().nullish(),
+    reentries: z.number().int().nullish(),
+    // Group tickets: how many people it covers and how many are in
+    admissions: z.number().int().min(1).nullish(),
+    admitted: z.number().int().min(0).nullish(),
+    photoUrl: z.string().nullish(),
+    // Why the ticket was revoked, reissued or transferred
+    statusReason: z.string().nullish(),
+    // Ticket that replaced this one after a reissue or transfer
+    replacedBy: z.string().nullish(),
+    override: z
+      .object({ by: z.string(), reason: z.string() })
+      .nullish()
+      .catch(null),
+  })
+  .transform((ticket) => ({
+    id: ticket.ticketId,
+    studentName: ticket.attendeeName,
+    rollNumber: ticket.rollNumber || "N/A",
+    email: ticket.email || "N/A",
+    eventName: ticket.eventName || null,
+    status: ticket.status || null,
+    generatedAt: ticket.generatedAt || null,
+    scannedAt: ticket.scannedAt || null,
+    scannedBy: ticket.scannedBy || null,
+    scannedGate: ticket.scannedGate || null,
+    scannedDeviceId: ticket.scannedDeviceId || null,
+    reentries: ticket.reentries ?? 0,
+    admissions: ticket.admissions ?? 1,
+    admitted:
+      ticket.admitted ??
+      (ticket.status === "used" || ticket.status === "exited"
+        ? (ticket.admissions ?? 1)
+        : 0),
+    photoUrl: ticket.photoUrl || null,
+    statusReason: ticket.statusReason || null,
+    replacedBy: ticket.replacedBy || null,
+    override: ticket.override || null,
+  }));
+
+export const verifyResponseSchema = z
+  .object({
+    success: z.boolean(),
+    message: z.string().optional(),
+    // Machine-readable rejection reason, e.g. "ALREADY_USED"
+    code: z.string().optional(),
+    ticket: ticketSchema.nullish(),
+    // Set when the backend admitted a returning attendee
+    reentry: z.boolean().optional(),
+  })
+  .refine((data) => !data.success || data.ticket, {
+    message: "Approved verification is missing its ticket",
+  });
+
+// Error bodies are best-effort: anything unparseable is dropped
+export const errorResponseSchema = z.object({
+  message: z.string().optional(),
+  code: z.string().optional(),
+  ticket: ticketSchema.nullish().catch(null),
+});
+
+export const signedSnapshotSchema = z.object({
+  payload: z.string(),
+  signature: z.string(),
+});
+
+export const snapshotPayloadSchema = z.object({
+  eventId: z.string().nullish(),
+  generatedAt: z.string(),
+  tickets: z.array(ticketSchema),
+});
+
+export const syncResponseSchema = z.object({
+  results: z.array(
+    z.object({
+      localId: z.number(),
+      ticketId: z.string(),
+      status: z.enum(["accepted", "conflict"]),
+      code: z.string().optional(),
+      message: z.string().optional(),
+    })
+  ),
+});
+
+export const ticketPageSchema = z.object({
+  tickets: z.array(ticketSchema),
+  total: z.number(),
+  attendeeTotal: z.number().nullish(),
+  page: z.number(),
+  pageSize: z.number(),
+});
+
+export const ticketSearchSchema = z.object({
+  tickets: z.array(ticketSchema),
+});
+
+export const statsSchema = z.object({
+  ticketCount: z.number().nullish(),
+  total: z.number(),
+  admitted: z.number(),
+  remaining: z.number(),
+  arrivalsPerMinute: z.array(
+    z.object({ minute: z.string(), count: z.number() })
+  ),
+  gates: z.array(z.object({ gate: z.string(), admitted: z.number() })),
+  devices: z.array(
+    z.object({
+      deviceId: z.string(),
+      gate: z.string().nullish(),
+      admitted: z.number(),
+      lastScanAt: z.string().nullish(),
+    })
+  ),
+  updatedAt: z.string(),
+});
+
+// Everything a post-event report is built from: the final state of every
+// ticket and each verification attempt, rejected ones included
+export const reportSchema = z.object({
+  eventId: z.string(),
+  generatedAt: z.string(),
+  tickets: z.array(ticketSchema),
+  attempts: z.array(
+    z.object({
+      ticketId: z.string().nullish(),
+      outcome: z.enum(["admitted", "duplicate", "invalid"]).catch("invalid"),
+      gate: z.string().nullish(),
+      deviceId: z.string().nullish(),
+      // People let in by this attempt, for group tickets
+      count: z.number().int().nullish(),
+      at: z.string(),
+    })
+  ),
+});
+
+export const issuedTicketSchema = z.object({
+  ticket: ticketSchema,
+  token: z.string(),
+});
+
+// Result of an admin action that changes a ticket in place
+export const ticketActionSchema = z.object({
+  ticket: ticketSchema,
+});
+
+export const batchIssueResponseSchema = z.object({
+  results: z.array(
+    z.object({
+      index: z.number(),
+      success: z.boolean(),
+      message: z.string().optional(),
+      ticket: ticketSchema.nullish(),
+    })
+  ),
+});
+
+export const eventSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  venue: z.string().nullish(),
+  startsAt: z.string().nullish(),
+  // Entry window; either end may be open
+  entryOpensAt: z.string().nullish(),
+  entryClosesAt: z.string().nullish(),
+  // Re-entry rules; events without one disallow re-entry
+  reentry: z
+    .object({
+      mode: z.enum(["none", "unlimited", "limited"]),
+      limit: z.number().int().min(0).nullish(),
+    })
+    .nullish()
+    .catch(null),
+  // Operator must confirm the attendee's identity before check-in commits
+  requireIdentityCheck: z.boolean().nullish(),
+});
+
+export const eventListSchema = z.object({
+  events: z.array(eventSchema),
+});
+
+export const sessionSchema = z.object({
+  token: z.string(),
+  expiresAt: z.string().nullish(),
+  user: z.object({
+    id: z.string(),
+    name: z.string(),
+    role: z.enum(["scanner", "supervisor", "admin"]),
+  }),
+});
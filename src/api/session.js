@@ -0,0 +1,36 @@
+// Staff session persisted on the device, with change notifications so the
+// UI can react when the API client drops an expired session.
+const STORAGE_KEY = "qr-ticket:session";
+
+const listeners = new Set();
+
+const notify = (session) => listeners.forEach((listener) => listener(session));
+
+export const getSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!session?.token) return null;
+    if (session.expiresAt && new Date(session.expiresAt) <= new Date()) {
+      localStorage.removeItem(STORAGE_KEY);
+      return null;
+    }
+    return session;
+  } catch {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  notify(session);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  notify(null);
+};
+
+export const subscribeSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
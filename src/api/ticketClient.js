@@ -0,0 +1,294 @@
+import { z } from "zod";
+import {
+  NetworkError,
+  TimeoutError,
+  HttpError,
+  MalformedResponseError,
+} from "./errors";
+import {
+  errorResponseSchema,
+  verifyResponseSchema,
+  signedSnapshotSchema,
+  syncResponseSchema,
+  ticketPageSchema,
+  ticketSearchSchema,
+  statsSchema,
+  reportSchema,
+  issuedTicketSchema,
+  ticketActionSchema,
+  batchIssueResponseSchema,
+  eventSchema,
+  eventListSchema,
+  sessionSchema,
+} from "./schemas";
+import { getSession, clearSession } from "./session";
+import { getDevice } from "./device";
+
+export const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://localhost:3000";
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 300;
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Failures that may succeed on a second attempt
+const isRetryable = (error) =>
+  error instanceof NetworkError ||
+  error instanceof TimeoutError ||
+  (error instanceof HttpError && (error.status >= 500 || error.status === 429));
+
+// Build a query string, leaving out empty values
+const toQuery = (params) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      query.set(key, value);
+    }
+  });
+  const text = query.toString();
+  return text ? `?${text}` : "";
+};
+
+const parseJson = (text) => {
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+};
+
+export const createTicketClient = ({
+  baseUrl = API_BASE_URL,
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  getToken = () => null,
+  getDevice: getRegisteredDevice = () => null,
+  onUnauthorized = () => {},
+} = {}) => {
+  // Scans say which gate and device they came from, when registered
+  const deviceFields = () => {
+    const device = getRegisteredDevice();
+    return { gate: device?.gate, deviceId: device?.deviceId };
+  };
+
+  // Single attempt: fetch, read the body and validate it against `schema`
+  const send = async (path, { method, body, schema }) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    const token = getToken();
+    const headers = {};
+    if (body) headers["Content-Type"] = "application/json";
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    let response;
+    let text;
+    try {
+      response = await fetchImpl(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+      text = await response.text();
+    } catch (error) {
+      if (controller.signal.aborted) throw new TimeoutError(timeoutMs);
+      throw new NetworkError(undefined, { cause: error });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const data = parseJson(text);
+
+    // A rejected token means the session is over
+    if (response.status === 401 && token) onUnauthorized();
+
+    if (!response.ok) {
+      const parsed = errorResponseSchema.safeParse(data ?? {});
+      const errorData = parsed.success ? parsed.data : null;
+      throw new HttpError(response.status, errorData?.message, errorData);
+    }
+
+    if (data === undefined) {
+      throw new MalformedResponseError("Response body is not valid JSON");
+    }
+
+    const parsed = schema.safeParse(data);
+    if (!parsed.success) {
+      throw new MalformedResponseError(undefined, { cause: parsed.error });
+    }
+    return parsed.data;
+  };
+
+  // Retry idempotent requests with exponential backoff
+  const request = async (path, { method = "GET", body, schema }) => {
+    const maxAttempts = IDEMPOTENT_METHODS.includes(method) ? retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await send(path, { method, body, schema });
+      } catch (error) {
+        if (attempt >= maxAttempts || !isRetryable(error)) throw error;
+        await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  };
+
+  return {
+    login: (username, password) =>
+      request("/api/auth/login", {
+        method: "POST",
+        body: { username, password },
+        schema: sessionSchema,
+      }),
+
+    logout: () =>
+      request("/api/auth/logout", { method: "POST", schema: z.unknown() }),
+
+    listEvents: () => request("/api/events", { schema: eventListSchema }),
+
+    updateEvent: (eventId, changes) =>
+      request(`/api/events/${encodeURIComponent(eventId)}`, {
+        method: "PATCH",
+        body: changes,
+        schema: eventSchema,
+      }),
+
+    // With dryRun the backend checks the ticket without marking it used.
+    // `count` admits several people from a group ticket at once.
+    verifyTicket: (ticketId, { eventId, dryRun, count } = {}) =>
+      request("/api/tickets/verify", {
+        method: "POST",
+        body: {
+          ticketId,
+          eventId,
+          dryRun: dryRun || undefined,
+          count: count > 1 ? count : undefined,
+          ...deviceFields(),
+        },
+        schema: verifyResponseSchema,
+      }),
+
+    // Exit scan for events that allow re-entry
+    recordExit: (ticketId, { eventId } = {}) =>
+      request(`/api/tickets/${encodeURIComponent(ticketId)}/exit`, {
+        method: "POST",
+        body: { eventId, ...deviceFields() },
+        schema: verifyResponseSchema,
+      }),
+
+    // Admit a rejected ticket anyway. Without a supervisor session the
+    // backend requires a supervisor PIN; either way it is audited.
+    overrideTicket: (ticketId, { eventId, reason, supervisorPin }) =>
+      request(`/api/tickets/${encodeURIComponent(ticketId)}/override`, {
+        method: "POST",
+        body: { eventId, reason, supervisorPin, ...deviceFields() },
+        schema: verifyResponseSchema,
+      }),
+
+    getSnapshot: (eventId) =>
+      request(`/api/tickets/snapshot${toQuery({ eventId })}`, {
+        schema: signedSnapshotSchema,
+      }),
+
+    // params: eventId, search, status, scannedFrom, scannedTo, page, pageSize
+    listTickets: (params = {}) =>
+      request(`/api/tickets${toQuery(params)}`, { schema: ticketPageSchema }),
+
+    // Typo-tolerant attendee search for manual lookup
+    searchTickets: (query, { eventId, limit = 20 } = {}) =>
+      request(
+        `/api/tickets/search${toQuery({ q: query, eventId, limit, fuzzy: 1 })}`,
+        { schema: ticketSearchSchema }
+      ),
+
+    issueTicket: ({ studentName, rollNumber, email, eventId }) =>
+      request("/api/tickets", {
+        method: "POST",
+        body: { attendeeName: studentName, rollNumber, email, eventId },
+        schema: issuedTicketSchema,
+      }),
+
+    revokeTicket: (ticketId, { reason }) =>
+      request(`/api/tickets/${encodeURIComponent(ticketId)}/revoke`, {
+        method: "POST",
+        body: { reason },
+        schema: ticketActionSchema,
+      }),
+
+    // Issues a replacement ticket; the old code is superseded
+    reissueTicket: (ticketId, { reason } = {}) =>
+      request(`/api/tickets/${encodeURIComponent(ticketId)}/reissue`, {
+        method: "POST",
+        body: { reason },
+        schema: issuedTicketSchema,
+      }),
+
+    // Issues a new ticket to another student; the old code stops working
+    transferTicket: (ticketId, { studentName, rollNumber, email, reason }) =>
+      request(`/api/tickets/${encodeURIComponent(ticketId)}/transfer`, {
+        method: "POST",
+        body: { attendeeName: studentName, rollNumber, email, reason },
+        schema: issuedTicketSchema,
+      }),
+
+    undoCheckIn: (ticketId, { reason }) =>
+      request(`/api/tickets/${encodeURIComponent(ticketId)}/undo-check-in`, {
+        method: "POST",
+        body: { reason },
+        schema: ticketActionSchema,
+      }),
+
+    // Results are reported per ticket by its index in `students`
+    issueTicketsBatch: (students, eventId) =>
+      request("/api/tickets/batch", {
+        method: "POST",
+        body: {
+          tickets: students.map(({ studentName, rollNumber, email }) => ({
+            attendeeName: studentName,
+            rollNumber,
+            email,
+            eventId,
+          })),
+        },
+        schema: batchIssueResponseSchema,
+      }),
+
+    getStats: (eventId) =>
+      request(`/api/stats${toQuery({ eventId })}`, { schema: statsSchema }),
+
+    getEventReport: (eventId) =>
+      request(`/api/events/${encodeURIComponent(eventId)}/report`, {
+        schema: reportSchema,
+      }),
+
+    // Server-Sent Events endpoint pushing the same payload as getStats.
+    // EventSource cannot send headers, so the token goes in the query.
+    statsStreamUrl: (eventId) =>
+      `${baseUrl}/api/stats/stream${toQuery({
+        eventId,
+        access_token: getToken(),
+      })}`,
+
+    syncCheckIns: (checkIns) =>
+      request("/api/tickets/sync", {
+        method: "POST",
+        body: { checkIns },
+        schema: syncResponseSchema,
+      }),
+  };
+};
+
+const ticketClient = createTicketClient({
+  getToken: () => getSession()?.token,
+  getDevice,
+  onUnauthorized: clearSession,
+});
+
+export default ticketClient;
@@ -0,0 +1,297 @@
+import { describe, it, expect, vi } from "vitest";
+import { createTicketClient } from "./ticketClient";
+import {
+  NetworkError,
+  TimeoutError,
+  HttpError,
+  MalformedResponseError,
+} from "./errors";
+import { ticketSchema } from "./schemas";
+import { apiTicket } from "../test/fixtures";
+
+const jsonResponse = (body, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+const backendTicket = apiTicket({ scannedAt: "2024-11-04T09:30:00.000Z" });
+
+const createClient = (fetch, options) =>
+  createTicketClient({
+    baseUrl: "https://api.test",
+    fetch,
+    retryDelayMs: 0,
+    ...options,
+  });
+
+describe("ticketClient", () => {
+  it("posts the ticket and event IDs to the configured base URL", async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValue(
+        jsonResponse({ success: true, ticket: backendTicket })
+      );
+    await createClient(fetch).verifyTicket("STU-1", {
+      eventId: "EVT-1",
+    });
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://api.test/api/tickets/verify");
+    expect(init.method).toBe("POST");
+    expect(JSON.parse(init.body)).toEqual({
+      ticketId: "STU-1",
+      eventId: "EVT-1",
+    });
+  });
+
+  it("asks for a dry run without committing the check-in", async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValue(
+        jsonResponse({ success: true, ticket: backendTicket })
+      );
+    await createClient(fetch).verifyTicket("STU-1", {
+      eventId: "EVT-1",
+      dryRun: true,
+    });
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      ticketId: "STU-1",
+      eventId: "EVT-1",
+      dryRun: true,
+    });
+  });
+
+  it("says which gate and device the scan came from", async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValue(
+        jsonResponse({ success: true, ticket: backendTicket })
+      );
+    await createClient(fetch, {
+      getDevice: () => ({ gate: "North Gate", deviceId: "3" }),
+    }).verifyTicket("STU-1", { eventId: "EVT-1" });
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      ticketId: "STU-1",
+      eventId: "EVT-1",
+      gate: "North Gate",
+      deviceId: "3",
+    });
+  });
+
+  it("maps the backend ticket onto the scanner shape", async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValue(
+        jsonResponse({ success: true, ticket: backendTicket })
+      );
+    const result = await createClient(fetch).verifyTicket("STU-1");
+
+    expect(result.success).toBe(true);
+    expect(result.ticket).toMatchObject({
+      id: "STU-1",
+      studentName: "Rahul Kumar",
+      rollNumber: "CS21B001",
+      email: "rahul@student.edu",
+      eventName: "Tech Fest 2024",
+    });
+  });
+
+  it("fills in missing optional ticket fields", async () => {
+    const fetch = vi.fn().mockResolvedValue(
+      jsonResponse({
+        success: true,
+        ticket: { ticketId: "STU-2024-003", attendeeName: "Amit Patel" },
+      })
+    );
+    const { ticket } = await createClient(fetch).verifyTicket("STU-2024-003");
+
+    expect(ticket.rollNumber).toBe("N/A");
+    expect(ticket.email).toBe("N/A");
+  });
+
+  it("counts a ticket holder who stepped out as admitted", () => {
+    const exited = { ...backendTicket, status: "exited", admissions: 3 };
+
+    expect(ticketSchema.parse(exited).admitted).toBe(3);
+    expect(ticketSchema.parse({ ...exited, status: "valid" }).admitted).toBe(0);
+  });
+
+  it("attaches the session token to every request", async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValue(
+        jsonResponse({ success: true, ticket: backendTicket })
+      );
+    await createClient(fetch, { getToken: () => "abc123" }).verifyTicket(
+      "STU-1"
+    );
+
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe("Bearer abc123");
+  });
+
+  it("reports a rejected token as unauthorized", async () => {
+    const onUnauthorized = vi.fn();
+    const fetch = vi
+      .fn()
+      .mockResolvedValue(jsonResponse({ message: "Session expired" }, 401));
+    const client = createClient(fetch, {
+      getToken: () => "expired",
+      onUnauthorized,
+    });
+
+    await expect(client.verifyTicket("STU-1")).rejects.toBeInstanceOf(
+      HttpError
+    );
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+
+  it("sends roster filters as query parameters, skipping empty ones", async () => {
+    const fetch = vi.fn().mockResolvedValue(
+      jsonResponse({
+        tickets: [backendTicket],
+        total: 1,
+        page: 1,
+        pageSize: 50,
+      })
+    );
+    const result = await createClient(fetch).listTickets({
+      search: "rahul",
+      status: "",
+      page: 1,
+      pageSize: 50,
+    });
+
+    expect(fetch.mock.calls[0][0]).toBe(
+      "https://api.test/api/tickets?search=rahul&page=1&pageSize=50"
+    );
+    expect(result.tickets[0].studentName).toBe("Rahul Kumar");
+  });
+
+  it("throws HttpError with the server message on 4xx", async () => {
+    const fetch = vi.fn().mockResolvedValue(
+      jsonResponse(
+        {
+          success: false,
+          message: "Ticket already used",
+          ticket: backendTicket,
+        },
+        400
+      )
+    );
+    const error = await createClient(fetch)
+      .verifyTicket("STU-1")
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(400);
+    expect(error.isClientError).toBe(true);
+    expect(error.message).toBe("Ticket already used");
+    expect(error.data.ticket.studentName).toBe("Rahul Kumar");
+  });
+
+  it("does not retry non-idempotent requests", async () => {
+    const fetch = vi.fn().mockRejectedValue(new TypeError("Failed to fetch"));
+    await expect(
+      createClient(fetch).verifyTicket("STU-1")
+    ).rejects.toBeInstanceOf(NetworkError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries idempotent requests on network and 5xx errors", async () => {
+    const snapshot = { payload: "abc", signature: "def" };
+    const fetch = vi
+      .fn()
+      .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+      .mockResolvedValueOnce(jsonResponse({ message: "Unavailable" }, 503))
+      .mockResolvedValueOnce(jsonResponse(snapshot));
+
+    await expect(createClient(fetch).getSnapshot()).resolves.toEqual(snapshot);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it("gives up after the configured number of retries", async () => {
+    const fetch = vi.fn().mockRejectedValue(new TypeError("Failed to fetch"));
+    await expect(
+      createClient(fetch, { retries: 1 }).getSnapshot()
+    ).rejects.toBeInstanceOf(NetworkError);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("does not retry 4xx responses", async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValue(jsonResponse({ message: "Not found" }, 404));
+    await expect(createClient(fetch).getSnapshot()).rejects.toBeInstanceOf(
+      HttpError
+    );
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("transfers a ticket under the backend's field names", async () => {
+    const fetch = vi.fn().mockResolvedValue(
+      jsonResponse({
+        ticket: {
+          ...backendTicket,
+          ticketId: "STU-2024-050",
+          attendeeName: "Anita Rao",
+        },
+        token: "new.jws.token",
+      })
+    );
+    const result = await createClient(fetch).transferTicket("STU-1", {
+      studentName: "Anita Rao",
+      rollNumber: "CS21B050",
+      email: "anita@student.edu",
+      reason: "Sold to a friend",
+    });
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://api.test/api/tickets/STU-1/transfer");
+    expect(JSON.parse(init.body)).toEqual({
+      attendeeName: "Anita Rao",
+      rollNumber: "CS21B050",
+      email: "anita@student.edu",
+      reason: "Sold to a friend",
+    });
+    expect(result.ticket.id).toBe("STU-2024-050");
+    expect(result.token).toBe("new.jws.token");
+  });
+
+  it("throws TimeoutError when the server hangs", async () => {
+    const fetch = vi.fn(
+      (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener("abort", () =>
+            reject(new DOMException("Aborted", "AbortError"))
+          );
+        })
+    );
+    const error = await createClient(fetch, { timeoutMs: 10 })
+      .verifyTicket("STU-1")
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.timeoutMs).toBe(10);
+  });
+
+  it("throws MalformedResponseError for non-JSON bodies", async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValue(new Response("<html>Bad Gateway</html>"));
+    await expect(
+      createClient(fetch).verifyTicket("STU-1")
+    ).rejects.toBeInstanceOf(MalformedResponseError);
+  });
+
+  it("throws MalformedResponseError when the schema does not match", async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValue(jsonResponse({ success: true, ticket: null }));
+    await expect(
+      createClient(fetch).verifyTicket("STU-1")
+    ).rejects.toBeInstanceOf(MalformedResponseError);
+  });
+});
@@ -0,0 +1,36 @@
+import React, { useState } from "react";
+import useLocale from "../hooks/useLocale";
+
+const initialsOf = (name) =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join("");
+
+// Attendee photo for identity checks; falls back to initials when the
+// backend has no photo or it fails to load
+const AttendeePhoto = ({ ticket, className = "w-40 h-40" }) => {
+  const { t } = useLocale();
+  const [failedUrl, setFailedUrl] = useState(null);
+  const hasPhoto = ticket.photoUrl && ticket.photoUrl !== failedUrl;
+
+  return hasPhoto ? (
+    <img
+      src={ticket.photoUrl}
+      alt={ticket.studentName}
+      onError={() => setFailedUrl(ticket.photoUrl)}
+      className={`${className} object-cover rounded-lg border-4 border-white shadow`}
+    />
+  ) : (
+    <div
+      className={`${className} rounded-lg bg-gray-200 text-gray-500 flex items-center justify-center text-4xl font-bold`}
+      title={t("confirm.noPhoto")}
+    >
+      {initialsOf(ticket.studentName)}
+    </div>
+  );
+};
+
+export default AttendeePhoto;
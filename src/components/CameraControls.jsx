@@ -0,0 +1,94 @@
+import React from "react";
+import { Flashlight, FlashlightOff, ZoomIn } from "lucide-react";
+import { QRBOX_RANGE, FPS_RANGE } from "../utils/cameraSettings";
+import useLocale from "../hooks/useLocale";
+
+// Camera picker plus torch, zoom, scan box and frame rate for dim venues.
+// Torch and zoom only appear when the running camera supports them.
+const CameraControls = ({ cameras, settings, capabilities, onChange }) => {
+  const { t } = useLocale();
+
+  return (
+    <div className="bg-gray-50 border-2 border-gray-200 rounded-lg p-4 mb-4 grid md:grid-cols-2 gap-4 text-sm">
+      <label className="flex flex-col gap-1">
+        <span className="font-medium text-gray-700">{t("camera.camera")}</span>
+        <select
+          value={settings.cameraId ?? ""}
+          onChange={(e) => onChange({ cameraId: e.target.value || null })}
+          className="px-3 py-2 border border-gray-300 rounded-lg bg-white"
+        >
+          <option value="">{t("camera.default")}</option>
+          {cameras.map((camera, index) => (
+            <option key={camera.id} value={camera.id}>
+              {camera.label || t("camera.numbered", { number: index + 1 })}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="flex items-end gap-3">
+        {capabilities.torch && (
+          <button
+            onClick={() => onChange({ torch: !settings.torch })}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg font-semibold transition-colors ${
+              settings.torch
+                ? "bg-amber-400 text-gray-900"
+                : "bg-white border border-gray-300 text-gray-700 hover:bg-gray-100"
+            }`}
+          >
+            {settings.torch ? (
+              <Flashlight size={16} />
+            ) : (
+              <FlashlightOff size={16} />
+            )}
+            {settings.torch ? t("camera.torchOn") : t("camera.torchOff")}
+          </button>
+        )}
+        {capabilities.zoom && (
+          <label className="flex-1 flex flex-col gap-1">
+            <span className="font-medium text-gray-700 flex items-center gap-1">
+              <ZoomIn size={14} />
+              {t("camera.zoom", {
+                zoom: (settings.zoom ?? capabilities.zoom.min).toFixed(1),
+              })}
+            </span>
+            <input
+              type="range"
+              min={capabilities.zoom.min}
+              max={capabilities.zoom.max}
+              step={capabilities.zoom.step}
+              value={settings.zoom ?? capabilities.zoom.min}
+              onChange={(e) => onChange({ zoom: Number(e.target.value) })}
+            />
+          </label>
+        )}
+      </div>
+
+      <label className="flex flex-col gap-1">
+        <span className="font-medium text-gray-700">
+          {t("camera.scanBox", { size: settings.qrboxSize })}
+        </span>
+        <input
+          type="range"
+          {...QRBOX_RANGE}
+          value={settings.qrboxSize}
+          onChange={(e) => onChange({ qrboxSize: Number(e.target.value) })}
+        />
+      </label>
+
+      <label className="flex flex-col gap-1">
+        <span className="font-medium text-gray-700">
+          {t("camera.frameRate", { fps: settings.fps })}
+        </span>
+        <input
+          type="range"
+          {...FPS_RANGE}
+          value={settings.fps}
+          onChange={(e) => onChange({ fps: Number(e.target.value) })}
+        />
+      </label>
+    </div>
+  );
+};
+
+export default CameraControls;
@@ -0,0 +1,136 @@
+import React, { useState } from "react";
+import { UserCheck, UserX, WifiOff, Minus, Plus, Users } from "lucide-react";
+import AttendeePhoto from "./AttendeePhoto";
+import useLocale from "../hooks/useLocale";
+import {
+  isGroupTicket,
+  remainingAdmissions,
+  describeAdmissions,
+} from "../utils/admissions";
+
+// Stepper for how many people from a group ticket are entering now
+const AdmissionStepper = ({ value, max, onChange, disabled, t }) => (
+  <div className="mb-4">
+    <p className="inline-flex items-center gap-2 text-sm font-semibold text-blue-800 bg-blue-100 rounded-full px-3 py-1 mb-3">
+      <Users size={14} />
+      {t("admissions.entering", { count: value, max })}
+    </p>
+    <div className="flex items-center justify-center gap-4">
+      <button
+        onClick={() => onChange(value - 1)}
+        disabled={disabled || value <= 1}
+        aria-label={t("admissions.fewer")}
+        className="p-3 rounded-full border-2 border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+      >
+        <Minus size={20} />
+      </button>
+      <span className="text-4xl font-bold text-gray-800 w-16">{value}</span>
+      <button
+        onClick={() => onChange(value + 1)}
+        disabled={disabled || value >= max}
+        aria-label={t("admissions.more")}
+        className="p-3 rounded-full border-2 border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+      >
+        <Plus size={20} />
+      </button>
+    </div>
+  </div>
+);
+
+// Blocking prompt before a check-in is committed: the identity check for
+// events that require one, and how many are entering on a group ticket.
+// Nothing is committed until the operator confirms; denying leaves the
+// ticket unused. `waiting` is how many more are queued behind this one.
+const CheckInConfirmation = ({
+  pending,
+  waiting = 0,
+  requireIdentity,
+  onConfirm,
+  onDeny,
+}) => {
+  const { t } = useLocale();
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [count, setCount] = useState(null);
+  if (!pending) return null;
+
+  const { ticket } = pending.result;
+  const isGroup = isGroupTicket(ticket);
+  const remaining = remainingAdmissions(ticket);
+  // Default to letting the rest of the group in
+  const entering = count ?? remaining;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gray-900/80 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-xl p-6 w-full max-w-md text-center">
+        <p className="text-sm font-semibold text-blue-600 uppercase mb-4">
+          {requireIdentity
+            ? t("confirm.identityTitle")
+            : t("confirm.groupTitle")}
+        </p>
+        {requireIdentity && (
+          <AttendeePhoto ticket={ticket} className="w-56 h-56 mx-auto mb-4" />
+        )}
+        <h2 className="text-3xl font-bold text-gray-800">
+          {ticket.studentName}
+        </h2>
+        <p className="text-gray-600 mb-1">{ticket.rollNumber}</p>
+        <p className="text-xs text-gray-500 mb-4">
+          {ticket.id}
+          {isGroup && ` · ${describeAdmissions(ticket)}`}
+        </p>
+        {pending.result.offline && (
+          <p className="inline-flex items-center gap-2 text-xs font-semibold text-amber-800 bg-amber-100 rounded-full px-3 py-1 mb-4">
+            <WifiOff size={14} />
+            {t("offline.checked")}
+          </p>
+        )}
+        {isGroup && remaining > 1 && (
+          <AdmissionStepper
+            value={entering}
+            max={remaining}
+            onChange={setCount}
+            disabled={isConfirming}
+            t={t}
+          />
+        )}
+        <div className="grid grid-cols-2 gap-3">
+          <button
+            onClick={() => {
+              setCount(null);
+              onDeny();
+            }}
+            disabled={isConfirming}
+            className="flex items-center justify-center gap-2 bg-red-500 hover:bg-red-600 text-white font-semibold py-4 rounded-lg transition-colors disabled:opacity-50"
+          >
+            <UserX size={20} />
+            {requireIdentity ? t("confirm.deny") : t("confirm.cancel")}
+          </button>
+          <button
+            onClick={async () => {
+              setIsConfirming(true);
+              await onConfirm(isGroup ? entering : 1);
+              setIsConfirming(false);
+              setCount(null);
+            }}
+            disabled={isConfirming}
+            className="flex items-center justify-center gap-2 bg-green-500 hover:bg-green-600 text-white font-semibold py-4 rounded-lg transition-colors disabled:opacity-50"
+          >
+            <UserCheck size={20} />
+            {isConfirming
+              ? t("confirm.checkingIn")
+              : isGroup
+                ? t("confirm.admit", { count: entering })
+                : t("confirm.identityConfirmed")}
+          </button>
+        </div>
+        {waiting > 0 && (
+          <p className="mt-4 text-sm text-gray-500">
+            {t("confirm.waiting", { count: waiting })}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CheckInConfirmation;
@@ -0,0 +1,158 @@
+import React from "react";
+import { Activity, Radio, RefreshCw } from "lucide-react";
+import useLocale from "../hooks/useLocale";
+
+const CONNECTION_STYLES = {
+  idle: "bg-gray-100 text-gray-600",
+  connecting: "bg-gray-100 text-gray-600",
+  live: "bg-green-100 text-green-700",
+  polling: "bg-amber-100 text-amber-700",
+};
+
+// Arrivals per minute as a simple bar chart
+const ArrivalsChart = ({ buckets }) => {
+  const { t, formatTime } = useLocale();
+  const max = Math.max(1, ...buckets.map((bucket) => bucket.count));
+
+  if (buckets.length === 0) {
+    return <p className="text-sm text-gray-500">{t("dashboard.noArrivals")}</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex items-end gap-px h-40">
+        {buckets.map((bucket) => (
+          <div
+            key={bucket.minute}
+            title={`${formatTime(bucket.minute)}: ${bucket.count}`}
+            className="flex-1 bg-blue-500 rounded-t hover:bg-blue-600"
+            style={{ height: `${(bucket.count / max) * 100}%` }}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{formatTime(buckets[0].minute)}</span>
+        <span>{t("dashboard.peak", { count: max })}</span>
+        <span>{formatTime(buckets[buckets.length - 1].minute)}</span>
+      </div>
+    </div>
+  );
+};
+
+const Dashboard = ({ live }) => {
+  const { t, formatTime } = useLocale();
+  const { stats, connection, error } = live;
+  const maxByGate = stats
+    ? Math.max(1, ...stats.gates.map((gate) => gate.admitted))
+    : 1;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 space-y-8">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+          <Activity className="text-blue-500" />
+          {t("dashboard.title")}
+        </h2>
+        <span
+          className={`flex items-center gap-2 px-3 py-1 rounded-full text-xs font-semibold ${CONNECTION_STYLES[connection]}`}
+        >
+          {connection === "live" ? (
+            <Radio size={14} />
+          ) : (
+            <RefreshCw size={14} />
+          )}
+          {t(`dashboard.connection.${connection}`)}
+        </span>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-300 rounded-lg p-4">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {!stats ? (
+        <p className="text-center py-12 text-gray-500">
+          {connection === "idle"
+            ? t("dashboard.selectEvent")
+            : t("dashboard.loading")}
+        </p>
+      ) : (
+        <>
+          <section>
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">
+              {t("dashboard.arrivals")}
+            </h3>
+            <ArrivalsChart buckets={stats.arrivalsPerMinute} />
+          </section>
+
+          <section>
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">
+              {t("dashboard.byGate")}
+            </h3>
+            <div className="space-y-2">
+              {stats.gates.map((gate) => (
+                <div key={gate.gate} className="flex items-center gap-3">
+                  <span className="w-32 text-sm text-gray-700 truncate">
+                    {gate.gate}
+                  </span>
+                  <div className="flex-1 bg-gray-100 rounded h-6">
+                    <div
+                      className="bg-green-500 h-6 rounded"
+                      style={{ width: `${(gate.admitted / maxByGate) * 100}%` }}
+                    />
+                  </div>
+                  <span className="w-12 text-right font-semibold text-gray-800">
+                    {gate.admitted}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </section>
+
+          <section>
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">
+              {t("dashboard.byDevice")}
+            </h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2">{t("dashboard.column.device")}</th>
+                  <th className="py-2">{t("dashboard.column.gate")}</th>
+                  <th className="py-2 text-right">
+                    {t("dashboard.column.admitted")}
+                  </th>
+                  <th className="py-2 text-right">
+                    {t("dashboard.column.lastScan")}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.devices.map((device) => (
+                  <tr key={device.deviceId} className="border-b last:border-0">
+                    <td className="py-2 font-medium text-gray-800">
+                      {device.deviceId}
+                    </td>
+                    <td className="py-2 text-gray-700">{device.gate || "—"}</td>
+                    <td className="py-2 text-right font-semibold">
+                      {device.admitted}
+                    </td>
+                    <td className="py-2 text-right text-gray-500">
+                      {device.lastScanAt ? formatTime(device.lastScanAt) : "—"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <p className="text-xs text-gray-400 text-right">
+            {t("dashboard.updated", { time: formatTime(stats.updatedAt) })}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Dashboard;
@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import { MapPin } from "lucide-react";
+import useLocale from "../hooks/useLocale";
+
+// Gate and device ID for this scanner. Shown before the first scan and
+// whenever staff move the device to another gate.
+const DeviceRegistration = ({ device, onRegister, onCancel }) => {
+  const { t } = useLocale();
+  const [gate, setGate] = useState(device?.gate ?? "");
+  const [deviceId, setDeviceId] = useState(device?.deviceId ?? "");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onRegister({ gate, deviceId });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-md mx-auto py-6 text-left">
+      <div className="text-center mb-6">
+        <MapPin className="mx-auto text-blue-500 mb-2" size={40} />
+        <h3 className="text-xl font-bold text-gray-800">{t("device.title")}</h3>
+        <p className="text-gray-600 text-sm">{t("device.intro")}</p>
+      </div>
+
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {t("device.gate")}
+      </label>
+      <input
+        type="text"
+        value={gate}
+        onChange={(e) => setGate(e.target.value)}
+        placeholder={t("device.gatePlaceholder")}
+        autoFocus
+        required
+        className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg mb-4 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+      />
+
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {t("device.deviceId")}
+      </label>
+      <input
+        type="text"
+        value={deviceId}
+        onChange={(e) => setDeviceId(e.target.value)}
+        placeholder={t("device.deviceIdPlaceholder")}
+        required
+        className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg mb-4 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+      />
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={!gate.trim() || !deviceId.trim()}
+          className="flex-1 bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-6 rounded-lg transition-colors disabled:opacity-50"
+        >
+          {t("device.save")}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-6 py-3 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100"
+          >
+            {t("device.cancel")}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default DeviceRegistration;
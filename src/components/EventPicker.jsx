@@ -0,0 +1,46 @@
+import React from "react";
+import { CalendarDays, RefreshCw } from "lucide-react";
+import useLocale from "../hooks/useLocale";
+
+const EventPicker = ({ events, onSelect }) => {
+  const { t, formatDate } = useLocale();
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap items-center gap-3">
+      <CalendarDays className="text-blue-500" size={20} />
+      <label
+        htmlFor="event-picker"
+        className="text-sm font-medium text-gray-700"
+      >
+        {t("event.label")}
+      </label>
+      <select
+        id="event-picker"
+        value={events.selectedEvent ? events.selectedEventId : ""}
+        onChange={(e) => onSelect(e.target.value)}
+        className="flex-1 min-w-48 px-3 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+      >
+        <option value="">
+          {events.isLoading ? t("event.loading") : t("event.select")}
+        </option>
+        {events.events.map((event) => (
+          <option key={event.id} value={event.id}>
+            {event.name}
+            {event.startsAt ? ` · ${formatDate(event.startsAt)}` : ""}
+          </option>
+        ))}
+      </select>
+      {events.error && (
+        <button
+          onClick={events.reload}
+          className="flex items-center gap-2 text-sm text-red-600 hover:text-red-800"
+        >
+          <RefreshCw size={14} />
+          {t("event.loadError")}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default EventPicker;
@@ -0,0 +1,458 @@
+import React, { useState, useMemo } from "react";
+import {
+  FileBarChart,
+  Printer,
+  Download,
+  FileText,
+  RefreshCw,
+} from "lucide-react";
+import useEventReport from "../hooks/useEventReport";
+import {
+  summarizeReport,
+  toAttendanceRecords,
+  toNoShowRecords,
+  attendanceColumns,
+  noShowColumns,
+  formatRate,
+} from "../utils/eventReport";
+import { buildReportPdf } from "../utils/reportPdf";
+import { toCsv } from "../utils/csv";
+import { downloadBlob, downloadText } from "../utils/download";
+import { escapeHtml } from "../utils/html";
+import useLocale from "../hooks/useLocale";
+
+const BUCKET_OPTIONS = [5, 15, 30, 60];
+
+const fileBase = (event) =>
+  `${event.name.replace(/[^a-z0-9]+/gi, "-").toLowerCase()}-attendance`;
+
+// Open a print-ready copy of the report in a new window, in the language
+// the app is in
+const printReport = (
+  event,
+  report,
+  summary,
+  { t, locale, formatDateTime, formatTime }
+) => {
+  const win = window.open("", "_blank", "width=900,height=1000");
+  if (!win) return;
+
+  const max = Math.max(1, ...summary.arrivals.map((bucket) => bucket.count));
+  const rows = (cells) =>
+    cells
+      .map(
+        (row) =>
+          `<tr>${row.map((c) => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`
+      )
+      .join("");
+  const headerRow = (keys) =>
+    `<tr>${keys
+      .map((key) => `<th>${escapeHtml(t(`report.column.${key}`))}</th>`)
+      .join("")}</tr>`;
+
+  win.document.write(`<!doctype html>
+<html lang="${locale}">
+<head>
+  <title>${escapeHtml(event.name)} – ${escapeHtml(t("report.title"))}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; color: #111827; padding: 24px; }
+    h1 { margin: 0; }
+    h2 { margin: 24px 0 8px; font-size: 18px; }
+    .muted { color: #6b7280; font-size: 12px; }
+    .summary { display: grid; grid-template-columns: repeat(5, 1fr); gap: 8px; }
+    .summary div { border: 1px solid #d1d5db; border-radius: 8px; padding: 8px; }
+    .summary strong { display: block; font-size: 22px; }
+    .chart { display: flex; align-items: flex-end; gap: 1px; height: 120px; border-bottom: 1px solid #9ca3af; }
+    .chart div { flex: 1; background: #3b82f6; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+    th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #e5e7eb; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(t("report.title"))}</h1>
+  <p>${escapeHtml(event.name)}</p>
+  <p class="muted">${escapeHtml(
+    t("report.generated", { time: formatDateTime(report.generatedAt) })
+  )}</p>
+
+  <h2>${escapeHtml(t("report.summary"))}</h2>
+  <div class="summary">
+    <div>${escapeHtml(t("report.attendanceRate"))}<strong>${formatRate(summary.attendanceRate)}</strong></div>
+    <div>${escapeHtml(t("report.attended"))}<strong>${summary.attended} / ${summary.expected}</strong></div>
+    <div>${escapeHtml(t("report.noShowTickets"))}<strong>${summary.noShows.length}</strong></div>
+    <div>${escapeHtml(t("report.duplicateAttempts"))}<strong>${summary.attempts.duplicate}</strong></div>
+    <div>${escapeHtml(t("report.invalidAttempts"))}<strong>${summary.attempts.invalid}</strong></div>
+  </div>
+
+  ${
+    summary.arrivals.length
+      ? `<h2>${escapeHtml(t("report.arrivals"))}</h2>
+  <div class="chart">${summary.arrivals
+    .map(
+      (bucket) =>
+        `<div style="height:${(bucket.count / max) * 100}%" title="${bucket.count}"></div>`
+    )
+    .join("")}</div>
+  <p class="muted">${escapeHtml(formatTime(summary.arrivals[0].start))} – ${escapeHtml(
+    formatTime(summary.arrivals[summary.arrivals.length - 1].start)
+  )}, ${escapeHtml(t("report.peak", { count: max }))}</p>`
+      : ""
+  }
+
+  <h2>${escapeHtml(t("report.gates"))}</h2>
+  <table>
+    ${headerRow(["gate", "admitted", "perHour", "duplicate", "invalid"])}
+    ${rows(
+      summary.gates.map((gate) => [
+        gate.gate,
+        gate.admitted,
+        gate.perHour ?? "—",
+        gate.duplicate,
+        gate.invalid,
+      ])
+    )}
+  </table>
+
+  <h2>${escapeHtml(t("report.noShows", { count: summary.noShows.length }))}</h2>
+  <table>
+    ${headerRow(["name", "rollNumber", "email", "ticketId"])}
+    ${rows(
+      summary.noShows.map((ticket) => [
+        ticket.studentName,
+        ticket.rollNumber,
+        ticket.email,
+        ticket.id,
+      ])
+    )}
+  </table>
+</body>
+</html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+};
+
+const SummaryCard = ({ label, value, className = "text-gray-800" }) => (
+  <div className="bg-gray-50 rounded-lg p-4">
+    <p className="text-sm text-gray-500">{label}</p>
+    <p className={`text-3xl font-bold ${className}`}>{value}</p>
+  </div>
+);
+
+// Attendance report for a finished (or running) event, with printable
+// output and CSV/PDF exports built in the browser
+const EventReport = ({ event }) => {
+  const i18n = useLocale();
+  const { t, formatDateTime, formatTime } = i18n;
+  const { report, isLoading, error, reload } = useEventReport(event?.id);
+  const [bucketMinutes, setBucketMinutes] = useState(15);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  const summary = useMemo(
+    () => (report ? summarizeReport(report, { bucketMinutes }) : null),
+    [report, bucketMinutes]
+  );
+
+  if (!event) {
+    return (
+      <div className="bg-white rounded-lg shadow-lg p-6 text-center text-gray-500">
+        {t("report.selectEvent")}
+      </div>
+    );
+  }
+
+  const downloadAttendanceCsv = () =>
+    downloadText(
+      toCsv(toAttendanceRecords(report), attendanceColumns()),
+      `${fileBase(event)}.csv`,
+      "text/csv"
+    );
+
+  const downloadNoShowCsv = () =>
+    downloadText(
+      toCsv(toNoShowRecords(summary.noShows), noShowColumns()),
+      `${fileBase(event)}-no-shows.csv`,
+      "text/csv"
+    );
+
+  const downloadPdf = async () => {
+    setIsExporting(true);
+    setExportError(null);
+    try {
+      downloadBlob(
+        await buildReportPdf(event, report, summary),
+        `${fileBase(event)}.pdf`
+      );
+    } catch (err) {
+      console.error("❌ PDF export error:", err);
+      setExportError(t("report.pdfFailed"));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const maxArrivals = summary
+    ? Math.max(1, ...summary.arrivals.map((bucket) => bucket.count))
+    : 1;
+  const maxByGate = summary
+    ? Math.max(1, ...summary.gates.map((gate) => gate.admitted))
+    : 1;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 space-y-8">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+          <FileBarChart className="text-blue-500" />
+          {t("report.title")}
+        </h2>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={reload}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100"
+          >
+            <RefreshCw size={16} className={isLoading ? "animate-spin" : ""} />
+            {t("report.refresh")}
+          </button>
+          <button
+            onClick={() => printReport(event, report, summary, i18n)}
+            disabled={!summary}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+          >
+            <Printer size={16} />
+            {t("report.print")}
+          </button>
+          <button
+            onClick={downloadPdf}
+            disabled={!summary || isExporting}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+          >
+            <FileText size={16} />
+            {isExporting ? t("report.buildingPdf") : t("report.pdf")}
+          </button>
+          <button
+            onClick={downloadAttendanceCsv}
+            disabled={!summary}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+          >
+            <Download size={16} />
+            {t("report.attendanceCsv")}
+          </button>
+        </div>
+      </div>
+
+      {[error, exportError].filter(Boolean).map((message) => (
+        <div
+          key={message}
+          role="alert"
+          className="bg-red-50 border-2 border-red-300 rounded-lg p-4"
+        >
+          <p className="text-red-700 text-sm">{message}</p>
+        </div>
+      ))}
+
+      {!summary ? (
+        <p className="text-center py-12 text-gray-500">
+          {isLoading ? t("report.loading") : t("report.empty")}
+        </p>
+      ) : (
+        <>
+          <p className="text-xs text-gray-400 -mt-6">
+            {t("report.generatedFor", {
+              event: event.name,
+              time: formatDateTime(report.generatedAt),
+            })}
+          </p>
+
+          <section className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <SummaryCard
+              label={t("report.attendanceRate")}
+              value={formatRate(summary.attendanceRate)}
+              className="text-blue-600"
+            />
+            <SummaryCard
+              label={t("report.attended")}
+              value={`${summary.attended} / ${summary.expected}`}
+            />
+            <SummaryCard
+              label={t("report.noShowTickets")}
+              value={summary.noShows.length}
+            />
+            <SummaryCard
+              label={t("report.duplicateAttempts")}
+              value={summary.attempts.duplicate}
+              className="text-amber-600"
+            />
+            <SummaryCard
+              label={t("report.invalidAttempts")}
+              value={summary.attempts.invalid}
+              className="text-red-600"
+            />
+          </section>
+
+          <section>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold text-gray-800">
+                {t("report.arrivals")}
+              </h3>
+              <div className="flex gap-1 bg-gray-100 rounded-lg p-1">
+                {BUCKET_OPTIONS.map((minutes) => (
+                  <button
+                    key={minutes}
+                    onClick={() => setBucketMinutes(minutes)}
+                    className={`py-1 px-3 rounded-md text-sm font-medium transition-all ${
+                      bucketMinutes === minutes
+                        ? "bg-blue-500 text-white"
+                        : "text-gray-600 hover:bg-gray-200"
+                    }`}
+                  >
+                    {t("report.bucket", { minutes })}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {summary.arrivals.length === 0 ? (
+              <p className="text-sm text-gray-500">{t("report.noArrivals")}</p>
+            ) : (
+              <div>
+                <div className="flex items-end gap-px h-40">
+                  {summary.arrivals.map((bucket) => (
+                    <div
+                      key={bucket.start}
+                      title={`${formatTime(bucket.start)}: ${bucket.count}`}
+                      className="flex-1 bg-blue-500 rounded-t hover:bg-blue-600"
+                      style={{
+                        height: `${(bucket.count / maxArrivals) * 100}%`,
+                      }}
+                    />
+                  ))}
+                </div>
+                <div className="flex justify-between text-xs text-gray-500 mt-1">
+                  <span>{formatTime(summary.arrivals[0].start)}</span>
+                  <span>
+                    {t("report.peakPer", {
+                      count: maxArrivals,
+                      minutes: bucketMinutes,
+                    })}
+                  </span>
+                  <span>
+                    {formatTime(
+                      summary.arrivals[summary.arrivals.length - 1].start
+                    )}
+                  </span>
+                </div>
+              </div>
+            )}
+          </section>
+
+          <section>
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">
+              {t("report.gateThroughput")}
+            </h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2">{t("report.column.gate")}</th>
+                  <th className="py-2 w-1/3"></th>
+                  <th className="py-2 text-right">
+                    {t("report.column.admitted")}
+                  </th>
+                  <th className="py-2 text-right">
+                    {t("report.column.perHour")}
+                  </th>
+                  <th className="py-2 text-right">
+                    {t("report.column.duplicate")}
+                  </th>
+                  <th className="py-2 text-right">
+                    {t("report.column.invalid")}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.gates.map((gate) => (
+                  <tr key={gate.gate} className="border-b last:border-0">
+                    <td className="py-2 font-medium text-gray-800">
+                      {gate.gate}
+                    </td>
+                    <td className="py-2">
+                      <div className="bg-gray-100 rounded h-4">
+                        <div
+                          className="bg-green-500 h-4 rounded"
+                          style={{
+                            width: `${(gate.admitted / maxByGate) * 100}%`,
+                          }}
+                        />
+                      </div>
+                    </td>
+                    <td className="py-2 text-right font-semibold">
+                      {gate.admitted}
+                    </td>
+                    <td className="py-2 text-right text-gray-700">
+                      {gate.perHour ?? "—"}
+                    </td>
+                    <td className="py-2 text-right text-amber-700">
+                      {gate.duplicate}
+                    </td>
+                    <td className="py-2 text-right text-red-700">
+                      {gate.invalid}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <section>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold text-gray-800">
+                {t("report.noShows", { count: summary.noShows.length })}
+              </h3>
+              <button
+                onClick={downloadNoShowCsv}
+                disabled={summary.noShows.length === 0}
+                className="flex items-center gap-2 px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+              >
+                <Download size={14} />
+                {t("report.csv")}
+              </button>
+            </div>
+            {summary.noShows.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                {t("report.everyoneCame")}
+              </p>
+            ) : (
+              <div className="overflow-auto max-h-96 border rounded-lg">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr className="text-left text-gray-600">
+                      <th className="p-2">{t("report.column.name")}</th>
+                      <th className="p-2">{t("report.column.rollNumber")}</th>
+                      <th className="p-2">{t("report.column.email")}</th>
+                      <th className="p-2">{t("report.column.ticketId")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.noShows.map((ticket) => (
+                      <tr key={ticket.id} className="border-t">
+                        <td className="p-2 text-gray-800">
+                          {ticket.studentName}
+                        </td>
+                        <td className="p-2 text-gray-700">
+                          {ticket.rollNumber}
+                        </td>
+                        <td className="p-2 text-gray-700">{ticket.email}</td>
+                        <td className="p-2 text-gray-500">{ticket.id}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EventReport;
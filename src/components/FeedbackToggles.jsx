@@ -0,0 +1,46 @@
+import React from "react";
+import {
+  Volume2,
+  VolumeX,
+  Vibrate,
+  VibrateOff,
+  Zap,
+  ZapOff,
+} from "lucide-react";
+import useLocale from "../hooks/useLocale";
+
+const CHANNELS = [
+  { id: "sound", on: Volume2, off: VolumeX },
+  { id: "vibration", on: Vibrate, off: VibrateOff },
+  { id: "flash", on: Zap, off: ZapOff },
+];
+
+const FeedbackToggles = ({ channels, onToggle }) => {
+  const { t } = useLocale();
+
+  return (
+    <div className="flex gap-1 bg-gray-100 rounded-lg p-1">
+      {CHANNELS.map((channel) => {
+        const isOn = channels[channel.id];
+        const Icon = isOn ? channel.on : channel.off;
+        return (
+          <button
+            key={channel.id}
+            onClick={() => onToggle(channel.id)}
+            aria-pressed={isOn}
+            className={`flex items-center gap-1 py-1 px-3 rounded-md text-sm font-medium transition-all ${
+              isOn
+                ? "bg-blue-500 text-white"
+                : "text-gray-500 hover:bg-gray-200"
+            }`}
+          >
+            <Icon size={14} />
+            {t(`feedback.${channel.id}`)}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FeedbackToggles;
@@ -0,0 +1,43 @@
+import React, { useState } from "react";
+import ticketClient from "../api/ticketClient";
+import { describeRequestError } from "../utils/serverErrors";
+import useLocale from "../hooks/useLocale";
+
+// Admin switch for the selected event's identity confirmation step
+const IdentityCheckSetting = ({ event, onSaved }) => {
+  const { t } = useLocale();
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggle = async (e) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      onSaved(
+        await ticketClient.updateEvent(event.id, {
+          requireIdentityCheck: e.target.checked,
+        })
+      );
+    } catch (err) {
+      console.error("❌ Identity check setting error:", err);
+      setError(describeRequestError(err, t("event.saveFailed")));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <label className="flex items-center justify-end gap-2 text-sm text-gray-600">
+      <input
+        type="checkbox"
+        checked={Boolean(event.requireIdentityCheck)}
+        onChange={toggle}
+        disabled={isSaving}
+      />
+      {t("event.requireIdentityCheck")}
+      {error && <span className="text-red-600">{error}</span>}
+    </label>
+  );
+};
+
+export default IdentityCheckSetting;
@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { ImageUp, Check, X, AlertTriangle } from "lucide-react";
+import { decodeQrCodesFromFile, isImageFile } from "../utils/imageDecode";
+import useLocale from "../hooks/useLocale";
+
+// Upload screenshots or photos and run every QR code found through the
+// same verification as camera scans
+const ImageScanUpload = ({ onCode, onSingleResult }) => {
+  const { t } = useLocale();
+  const [isDecoding, setIsDecoding] = useState(false);
+  const [items, setItems] = useState([]);
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = "";
+    if (files.length === 0) return;
+
+    setIsDecoding(true);
+    setItems([]);
+    const next = [];
+    const seen = new Set();
+
+    for (const file of files) {
+      if (!isImageFile(file)) {
+        next.push({
+          fileName: file.name,
+          error: t("upload.notImage", { name: file.name }),
+        });
+        continue;
+      }
+
+      let codes;
+      try {
+        codes = await decodeQrCodesFromFile(file);
+      } catch (err) {
+        console.error("❌ Image decode error:", err);
+        next.push({ fileName: file.name, error: t("upload.readError") });
+        continue;
+      }
+
+      if (codes.length === 0) {
+        next.push({
+          fileName: file.name,
+          error: t("upload.noCode"),
+        });
+        continue;
+      }
+
+      for (const code of codes) {
+        // The same ticket can appear in several screenshots
+        if (seen.has(code)) continue;
+        seen.add(code);
+        next.push({ fileName: file.name, result: await onCode(code) });
+      }
+    }
+
+    const results = next.filter((item) => item.result);
+    if (next.length === 1 && results.length === 1) {
+      onSingleResult(results[0].result);
+    } else {
+      setItems(next);
+    }
+    setIsDecoding(false);
+  };
+
+  return (
+    <div>
+      <label
+        className={`inline-flex items-center gap-2 border-2 border-gray-300 text-gray-700 font-semibold py-2 px-4 rounded-lg transition-colors ${
+          isDecoding ? "opacity-50" : "hover:bg-gray-100 cursor-pointer"
+        }`}
+      >
+        <ImageUp size={20} />
+        {isDecoding ? t("upload.reading") : t("upload.button")}
+        <input
+          type="file"
+          accept="image/*"
+          multiple
+          onChange={handleFiles}
+          disabled={isDecoding}
+          className="hidden"
+        />
+      </label>
+
+      {items.length > 0 && (
+        <ul className="mt-3 space-y-2">
+          {items.map((item, index) => (
+            <li
+              key={index}
+              className={`flex items-start gap-3 p-3 rounded-lg border-2 text-sm ${
+                item.result?.success
+                  ? "bg-green-50 border-green-300"
+                  : item.result
+                    ? "bg-red-50 border-red-300"
+                    : "bg-amber-50 border-amber-300"
+              }`}
+            >
+              {item.result?.success ? (
+                <Check className="text-green-600 shrink-0" size={18} />
+              ) : item.result ? (
+                <X className="text-red-600 shrink-0" size={18} />
+              ) : (
+                <AlertTriangle className="text-amber-600 shrink-0" size={18} />
+              )}
+              <div className="flex-1">
+                <p className="font-semibold text-gray-800">
+                  {item.result ? item.result.message : item.error}
+                </p>
+                {item.result?.ticket && (
+                  <p className="text-gray-700">
+                    {item.result.ticket.studentName} · {item.result.ticket.id}
+                  </p>
+                )}
+                {item.result && !item.result.success && (
+                  <p className="text-gray-600">{item.result.details}</p>
+                )}
+                <p className="text-xs text-gray-500">{item.fileName}</p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ImageScanUpload;
@@ -0,0 +1,317 @@
+import React, { useState, useMemo } from "react";
+import { Upload, Download, FileSpreadsheet } from "lucide-react";
+import ticketClient from "../api/ticketClient";
+import {
+  IMPORT_FIELDS,
+  parseSpreadsheet,
+  detectColumnMapping,
+  validateRows,
+} from "../utils/ticketImport";
+import { toCsv } from "../utils/csv";
+import { downloadText } from "../utils/download";
+import { describeRequestError } from "../utils/serverErrors";
+import useLocale from "../hooks/useLocale";
+
+const BATCH_SIZE = 50;
+const PREVIEW_LIMIT = 500;
+
+const ImportTickets = ({ event }) => {
+  const { t } = useLocale();
+  const [fileName, setFileName] = useState(null);
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [onlyProblems, setOnlyProblems] = useState(false);
+  const [parseError, setParseError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [failedRows, setFailedRows] = useState([]);
+
+  const records = useMemo(
+    () => (sheet && mapping ? validateRows(sheet.rows, mapping) : []),
+    [sheet, mapping]
+  );
+  const validRecords = records.filter((record) => record.errors.length === 0);
+  const invalidRecords = records.filter((record) => record.errors.length > 0);
+  const previewRecords = (onlyProblems ? invalidRecords : records).slice(
+    0,
+    PREVIEW_LIMIT
+  );
+  const isImporting = progress !== null && progress.done < progress.total;
+  const isDone = progress !== null && progress.done === progress.total;
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setParseError(null);
+    setProgress(null);
+    setFailedRows([]);
+    let parsed;
+    try {
+      parsed = await parseSpreadsheet(file);
+    } catch (err) {
+      console.error("❌ Import parse error:", err);
+    }
+    if (!parsed || parsed.rows.length === 0) {
+      setParseError(t(parsed ? "import.noRows" : "import.readError"));
+      setSheet(null);
+      setMapping(null);
+      return;
+    }
+    setFileName(file.name);
+    setSheet(parsed);
+    setMapping(detectColumnMapping(parsed.headers));
+  };
+
+  const handleImport = async () => {
+    const toFailedRow = (record, error) => ({
+      rowNumber: record.rowNumber,
+      ...record.values,
+      error,
+    });
+    const failed = invalidRecords.map((record) =>
+      toFailedRow(record, record.errors.join("; "))
+    );
+
+    setProgress({ done: 0, total: validRecords.length, created: 0 });
+    let created = 0;
+
+    for (let start = 0; start < validRecords.length; start += BATCH_SIZE) {
+      const batch = validRecords.slice(start, start + BATCH_SIZE);
+      try {
+        const { results } = await ticketClient.issueTicketsBatch(
+          batch.map((record) => record.values),
+          event.id
+        );
+        batch.forEach((record, index) => {
+          const result = results.find((r) => r.index === index);
+          if (result?.success) {
+            created += 1;
+          } else {
+            failed.push(
+              toFailedRow(record, result?.message || t("import.notCreated"))
+            );
+          }
+        });
+      } catch (err) {
+        console.error("❌ Import batch error:", err);
+        const reason = describeRequestError(err, t("import.batchFailed"));
+        batch.forEach((record) => failed.push(toFailedRow(record, reason)));
+      }
+      setProgress({
+        done: Math.min(start + BATCH_SIZE, validRecords.length),
+        total: validRecords.length,
+        created,
+      });
+    }
+
+    setFailedRows(failed.sort((a, b) => a.rowNumber - b.rowNumber));
+  };
+
+  const downloadFailedRows = () => {
+    const base = fileName.replace(/\.[^.]+$/, "");
+    const columns = ["rowNumber", ...IMPORT_FIELDS, "error"].map((key) => ({
+      key,
+      label: t(
+        IMPORT_FIELDS.includes(key) ? `field.${key}` : `import.column.${key}`
+      ),
+    }));
+    downloadText(
+      toCsv(failedRows, columns),
+      `${base}-failed-rows.csv`,
+      "text/csv"
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h2 className="text-2xl font-bold mb-6 text-gray-800 flex items-center gap-2">
+        <FileSpreadsheet className="text-blue-500" />
+        {t("import.title")}
+      </h2>
+
+      <div className="flex flex-wrap items-end gap-4 mb-6">
+        <label className="flex items-center gap-2 bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-6 rounded-lg transition-colors cursor-pointer">
+          <Upload size={20} />
+          {t("import.choose")}
+          <input
+            type="file"
+            accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+            onChange={handleFile}
+            disabled={isImporting}
+            className="hidden"
+          />
+        </label>
+        {fileName && (
+          <span className="text-gray-700">
+            {t("import.rows", { name: fileName, count: records.length })}
+          </span>
+        )}
+      </div>
+
+      {parseError && (
+        <div className="bg-red-50 border-2 border-red-300 rounded-lg p-4 mb-4">
+          <p className="text-red-700 text-sm">{parseError}</p>
+        </div>
+      )}
+
+      {sheet && mapping && (
+        <>
+          {/* Column Mapping */}
+          <div className="grid md:grid-cols-4 gap-4 mb-6">
+            {IMPORT_FIELDS.map((field) => (
+              <label key={field} className="block text-sm">
+                <span className="block font-medium text-gray-700 mb-1">
+                  {t(`field.${field}`)}
+                </span>
+                <select
+                  value={mapping[field] ?? ""}
+                  disabled={isImporting}
+                  onChange={(e) =>
+                    setMapping((prev) => ({
+                      ...prev,
+                      [field]:
+                        e.target.value === "" ? null : Number(e.target.value),
+                    }))
+                  }
+                  className={`w-full px-3 py-2 border-2 rounded-lg ${
+                    mapping[field] === null
+                      ? "border-red-300"
+                      : "border-gray-300"
+                  }`}
+                >
+                  <option value="">{t("import.notMapped")}</option>
+                  {sheet.headers.map((header, index) => (
+                    <option key={index} value={index}>
+                      {header ||
+                        t("import.columnNumber", { number: index + 1 })}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            <div className="text-sm">
+              <span className="block font-medium text-gray-700 mb-1">
+                {t("event.label")}
+              </span>
+              <p className="py-2 font-semibold text-gray-800">
+                {event ? event.name : t("event.selectFirst")}
+              </p>
+            </div>
+          </div>
+
+          {/* Validation Summary */}
+          <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+            <span className="text-green-700 font-semibold">
+              {t("import.ready", { count: validRecords.length })}
+            </span>
+            <span className="text-red-700 font-semibold">
+              {t("import.withProblems", { count: invalidRecords.length })}
+            </span>
+            <label className="flex items-center gap-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={onlyProblems}
+                onChange={(e) => setOnlyProblems(e.target.checked)}
+              />
+              {t("import.onlyProblems")}
+            </label>
+          </div>
+
+          <div className="overflow-auto max-h-96 border rounded-lg mb-6">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-left text-gray-600">
+                  <th className="p-2">{t("import.column.rowNumber")}</th>
+                  {IMPORT_FIELDS.map((field) => (
+                    <th key={field} className="p-2">
+                      {t(`field.${field}`)}
+                    </th>
+                  ))}
+                  <th className="p-2">{t("import.column.problems")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {previewRecords.map((record) => (
+                  <tr
+                    key={record.rowNumber}
+                    className={`border-t ${
+                      record.errors.length ? "bg-red-50" : ""
+                    }`}
+                  >
+                    <td className="p-2 text-gray-500">{record.rowNumber}</td>
+                    {IMPORT_FIELDS.map((field) => (
+                      <td key={field} className="p-2 text-gray-800">
+                        {record.values[field]}
+                      </td>
+                    ))}
+                    <td className="p-2 text-red-700">
+                      {record.errors.join(", ")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {records.length > PREVIEW_LIMIT && (
+            <p className="text-xs text-gray-500 -mt-4 mb-6">
+              {t("import.previewLimit", { count: PREVIEW_LIMIT })}
+            </p>
+          )}
+
+          {/* Import */}
+          {progress && (
+            <div className="mb-4">
+              <div className="w-full bg-gray-100 rounded-full h-4 overflow-hidden">
+                <div
+                  className="bg-blue-500 h-4 transition-all"
+                  style={{
+                    width: `${
+                      progress.total
+                        ? (progress.done / progress.total) * 100
+                        : 100
+                    }%`,
+                  }}
+                />
+              </div>
+              <p className="text-sm text-gray-700 mt-2">
+                {isDone
+                  ? t("import.done", {
+                      created: progress.created,
+                      failed: failedRows.length,
+                    })
+                  : t("import.progress", {
+                      done: progress.done,
+                      total: progress.total,
+                    })}
+              </p>
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleImport}
+              disabled={
+                isImporting || isDone || validRecords.length === 0 || !event
+              }
+              className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-8 rounded-lg transition-colors disabled:opacity-50"
+            >
+              {t("import.submit", { count: validRecords.length })}
+            </button>
+            {isDone && failedRows.length > 0 && (
+              <button
+                onClick={downloadFailedRows}
+                className="flex items-center gap-2 border-2 border-gray-300 hover:bg-gray-100 text-gray-700 font-semibold py-3 px-6 rounded-lg transition-colors"
+              >
+                <Download size={20} />
+                {t("import.downloadFailed")}
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportTickets;
@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { QrCode } from "lucide-react";
+import ticketClient from "../api/ticketClient";
+import IssuedTicketQr from "./IssuedTicketQr";
+import { describeRequestError } from "../utils/serverErrors";
+import useLocale from "../hooks/useLocale";
+
+const EMPTY_FORM = { studentName: "", rollNumber: "", email: "" };
+
+const FIELDS = [
+  { name: "studentName", type: "text" },
+  { name: "rollNumber", type: "text" },
+  { name: "email", type: "email" },
+];
+
+const IssueTicket = ({ event }) => {
+  const { t } = useLocale();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [issued, setIssued] = useState(null);
+
+  const updateField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    setIssued(null);
+
+    try {
+      const { ticket, token } = await ticketClient.issueTicket({
+        studentName: form.studentName.trim(),
+        rollNumber: form.rollNumber.trim(),
+        email: form.email.trim(),
+        eventId: event.id,
+      });
+      setIssued({ ticket, token });
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      console.error("❌ Issue ticket error:", err);
+      setError(describeRequestError(err, t("issue.failed")));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h2 className="text-2xl font-bold mb-6 text-gray-800 flex items-center gap-2">
+        <QrCode className="text-blue-500" />
+        {t("issue.title")}
+      </h2>
+
+      <div className="grid md:grid-cols-2 gap-8">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            {t("event.label")}:{" "}
+            <span className="font-semibold text-gray-800">
+              {event ? event.name : t("event.selectFirst")}
+            </span>
+          </p>
+          {FIELDS.map((field) => (
+            <label key={field.name} className="block">
+              <span className="block text-sm font-medium text-gray-700 mb-1">
+                {t(`field.${field.name}`)}
+              </span>
+              <input
+                type={field.type}
+                required
+                value={form[field.name]}
+                onChange={updateField(field.name)}
+                className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+          ))}
+
+          {error && (
+            <div className="bg-red-50 border-2 border-red-300 rounded-lg p-3">
+              <p className="text-red-700 text-sm">{error}</p>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={isSubmitting || !event}
+            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-8 rounded-lg transition-colors disabled:opacity-50"
+          >
+            {isSubmitting ? t("issue.submitting") : t("issue.submit")}
+          </button>
+        </form>
+
+        <div className="flex flex-col items-center justify-center border-2 border-dashed border-gray-200 rounded-lg p-6 min-h-80">
+          {issued ? (
+            <IssuedTicketQr ticket={issued.ticket} token={issued.token} />
+          ) : (
+            <p className="text-gray-500 text-center">
+              {t("issue.placeholder")}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IssueTicket;
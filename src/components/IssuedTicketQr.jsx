@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from "react";
+import QRCode from "qrcode";
+import { Download, Printer } from "lucide-react";
+import { buildQrPayload } from "../utils/ticketToken";
+import { downloadBlob, downloadText } from "../utils/download";
+import { escapeHtml } from "../utils/html";
+import useLocale from "../hooks/useLocale";
+
+const QR_OPTIONS = { errorCorrectionLevel: "M", margin: 2, width: 512 };
+
+// Open a print-ready ticket card in a new window
+const printTicketCard = (ticket, svg, t) => {
+  const win = window.open("", "_blank", "width=480,height=640");
+  if (!win) return;
+
+  win.document.write(`<!doctype html>
+<html>
+<head>
+  <title>${escapeHtml(t("qr.printTitle", { ticketId: ticket.id }))}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; display: flex; justify-content: center; padding: 24px; }
+    .card { border: 2px solid #1f2937; border-radius: 16px; padding: 24px; width: 320px; text-align: center; }
+    .card svg { width: 240px; height: 240px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 22px; margin: 16px 0 4px; }
+    p { margin: 2px 0; color: #4b5563; }
+    .id { font-family: monospace; margin-top: 12px; color: #111827; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${escapeHtml(ticket.eventName || t("qr.eventTicket"))}</h1>
+    ${svg}
+    <h2>${escapeHtml(ticket.studentName)}</h2>
+    <p>${escapeHtml(ticket.rollNumber)}</p>
+    <p>${escapeHtml(ticket.email)}</p>
+    <p class="id">${escapeHtml(ticket.id)}</p>
+  </div>
+</body>
+</html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+};
+
+// QR code for a freshly issued ticket with download and print actions
+const IssuedTicketQr = ({ ticket, token }) => {
+  const { t } = useLocale();
+  const [qrImage, setQrImage] = useState(null);
+  const [renderFailed, setRenderFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const payload = buildQrPayload(ticket.id, token);
+
+    Promise.all([
+      QRCode.toDataURL(payload, QR_OPTIONS),
+      QRCode.toString(payload, { ...QR_OPTIONS, type: "svg" }),
+    ])
+      .then(([png, svg]) => {
+        if (!cancelled) setQrImage({ png, svg });
+      })
+      .catch((err) => {
+        console.error("❌ QR render error:", err);
+        if (!cancelled) setRenderFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [ticket.id, token]);
+
+  const downloadPng = async () => {
+    const blob = await (await fetch(qrImage.png)).blob();
+    downloadBlob(blob, `${ticket.id}.png`);
+  };
+
+  if (renderFailed) {
+    return <p className="text-red-700 text-sm">{t("qr.renderError")}</p>;
+  }
+  if (!qrImage) {
+    return <p className="text-gray-500 text-sm">{t("qr.rendering")}</p>;
+  }
+
+  return (
+    <div className="flex flex-col items-center">
+      <img
+        src={qrImage.png}
+        alt={t("qr.alt", { ticketId: ticket.id })}
+        className="w-56 h-56"
+      />
+      <p className="font-bold text-lg text-gray-800 mt-4">
+        {ticket.studentName}
+      </p>
+      <p className="text-sm text-gray-600">{ticket.id}</p>
+      <div className="flex flex-wrap justify-center gap-2 mt-4">
+        <button
+          onClick={downloadPng}
+          className="flex items-center gap-2 px-4 py-2 border-2 border-gray-300 rounded-lg text-sm font-semibold text-gray-700 hover:bg-gray-100"
+        >
+          <Download size={16} />
+          PNG
+        </button>
+        <button
+          onClick={() =>
+            downloadText(qrImage.svg, `${ticket.id}.svg`, "image/svg+xml")
+          }
+          className="flex items-center gap-2 px-4 py-2 border-2 border-gray-300 rounded-lg text-sm font-semibold text-gray-700 hover:bg-gray-100"
+        >
+          <Download size={16} />
+          SVG
+        </button>
+        <button
+          onClick={() => printTicketCard(ticket, qrImage.svg, t)}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-500 hover:bg-blue-600 rounded-lg text-sm font-semibold text-white"
+        >
+          <Printer size={16} />
+          {t("qr.printCard")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default IssuedTicketQr;
@@ -0,0 +1,29 @@
+import React from "react";
+import { Languages } from "lucide-react";
+import useLocale from "../hooks/useLocale";
+import { LANGUAGES } from "../i18n";
+
+// Language picker; the choice is remembered on this device
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useLocale();
+
+  return (
+    <label className="flex items-center gap-1 text-gray-600">
+      <Languages size={16} />
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        aria-label={t("app.language")}
+        className="bg-transparent text-sm font-medium focus:outline-none"
+      >
+        {LANGUAGES.map((language) => (
+          <option key={language.code} value={language.code}>
+            {language.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
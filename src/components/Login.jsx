@@ -0,0 +1,92 @@
+import React, { useState } from "react";
+import { LogIn, QrCode } from "lucide-react";
+import { HttpError } from "../api/errors";
+import useLocale from "../hooks/useLocale";
+import LanguageSwitcher from "./LanguageSwitcher";
+
+const Login = ({ onLogin }) => {
+  const { t } = useLocale();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await onLogin(username.trim(), password);
+    } catch (err) {
+      console.error("❌ Login error:", err);
+      setError(
+        err instanceof HttpError && err.isClientError
+          ? t("login.invalid")
+          : t("login.unreachable")
+      );
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-lg p-8 w-full max-w-sm"
+      >
+        <div className="flex justify-end -mt-4 -mr-4 mb-2 text-sm">
+          <LanguageSwitcher />
+        </div>
+        <div className="text-center mb-6">
+          <QrCode className="mx-auto text-indigo-600 mb-2" size={48} />
+          <h1 className="text-2xl font-bold text-gray-800">
+            {t("login.title")}
+          </h1>
+          <p className="text-gray-600 text-sm">{t("login.subtitle")}</p>
+        </div>
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          {t("login.username")}
+        </label>
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          autoFocus
+          required
+          className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg mb-4 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          {t("login.password")}
+        </label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          required
+          className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg mb-4 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+
+        {error && (
+          <div className="bg-red-50 border-2 border-red-300 rounded-lg p-3 mb-4">
+            <p className="text-red-700 text-sm">{error}</p>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full flex items-center justify-center gap-2 bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-6 rounded-lg transition-colors disabled:opacity-50"
+        >
+          <LogIn size={20} />
+          {isSubmitting ? t("login.submitting") : t("login.submit")}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import ManualLookup from "./ManualLookup";
+import useLocale from "../hooks/useLocale";
+
+// Fallback when a code will not scan: type the ticket ID, or look the
+// attendee up by name or roll number
+const ManualEntry = ({ eventId, offlineEventId, onSubmit }) => {
+  const { t } = useLocale();
+  const [mode, setMode] = useState("id");
+  const [input, setInput] = useState("");
+
+  const submit = () => {
+    if (!input) return;
+    onSubmit(input);
+    setInput("");
+  };
+
+  return (
+    <>
+      <div className="flex items-center justify-between mb-2">
+        <span className="block text-sm font-medium text-gray-700">
+          {t("scan.manual")}
+        </span>
+        <div className="flex gap-1 bg-gray-100 rounded-lg p-1">
+          {[
+            { value: "id", label: t("manual.ticketId") },
+            { value: "lookup", label: t("manual.lookup") },
+          ].map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setMode(option.value)}
+              className={`py-1 px-4 rounded-md text-sm font-medium transition-all ${
+                mode === option.value
+                  ? "bg-blue-500 text-white"
+                  : "text-gray-600 hover:bg-gray-200"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {mode === "lookup" ? (
+        <ManualLookup
+          eventId={eventId}
+          offlineEventId={offlineEventId}
+          onConfirm={onSubmit}
+        />
+      ) : (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            className="flex-1 px-4 py-3 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-lg"
+            placeholder={t("manual.placeholder")}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") submit();
+            }}
+          />
+          <button
+            onClick={submit}
+            className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-8 rounded-lg transition-colors"
+          >
+            {t("manual.verify")}
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ManualEntry;
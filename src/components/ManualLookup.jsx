@@ -0,0 +1,188 @@
+import React, { useState } from "react";
+import { Search, UserCheck, WifiOff } from "lucide-react";
+import useAttendeeSearch from "../hooks/useAttendeeSearch";
+import useLocalSetting from "../hooks/useLocalSetting";
+import useLocale from "../hooks/useLocale";
+import { maskRollNumber, maskEmail } from "../utils/mask";
+
+// Optional second check the operator asks the attendee for, labelled by
+// the "lookup.check.<id>" catalog entries
+const CONFIRMATION_CHECKS = {
+  none: {},
+  rollLast4: {
+    matches: (ticket, answer) =>
+      answer.length === 4 &&
+      ticket.rollNumber.toLowerCase().endsWith(answer.toLowerCase()),
+  },
+  emailStart: {
+    matches: (ticket, answer) =>
+      answer.length === 3 &&
+      ticket.email.toLowerCase().startsWith(answer.toLowerCase()),
+  },
+};
+
+const STATUS_BADGES = {
+  valid: "bg-green-200 text-green-700",
+  used: "bg-gray-200 text-gray-700",
+  exited: "bg-amber-200 text-amber-700",
+  revoked: "bg-red-200 text-red-700",
+};
+
+// Find an attendee by partial name, roll number or email, then confirm
+// the right person before checking them in. Roll numbers and emails are
+// masked so the second check has to come from the attendee.
+const ManualLookup = ({ eventId, offlineEventId, onConfirm }) => {
+  const { t } = useLocale();
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [answer, setAnswer] = useState("");
+  const [confirmation, setConfirmation] = useLocalSetting(
+    "qr-ticket:lookup-confirmation",
+    "none"
+  );
+  const search = useAttendeeSearch(query, { eventId, offlineEventId });
+  const check = CONFIRMATION_CHECKS[confirmation] || CONFIRMATION_CHECKS.none;
+  const isConfirmed = !check.matches || check.matches(selected, answer.trim());
+
+  const reset = () => {
+    setQuery("");
+    setSelected(null);
+    setAnswer("");
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <div className="flex-1 flex items-center gap-2">
+          <Search className="text-gray-400" size={20} />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setSelected(null);
+            }}
+            className="flex-1 px-4 py-3 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-lg"
+            placeholder={t("lookup.placeholder")}
+          />
+        </div>
+        <select
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          aria-label={t("lookup.secondCheck")}
+          className="px-3 py-3 border-2 border-gray-300 rounded-lg text-sm"
+        >
+          {Object.keys(CONFIRMATION_CHECKS).map((value) => (
+            <option key={value} value={value}>
+              {t(`lookup.check.${value}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {search.isSearching && (
+        <p className="text-sm text-gray-500">{t("lookup.searching")}</p>
+      )}
+      {search.error && <p className="text-sm text-red-600">{search.error}</p>}
+      {search.source === "offline" && (
+        <p className="text-xs text-amber-700 flex items-center gap-1 mb-1">
+          <WifiOff size={12} />
+          {t("lookup.offlineResults")}
+        </p>
+      )}
+      {!search.isSearching &&
+        !search.error &&
+        search.source &&
+        search.candidates.length === 0 && (
+          <p className="text-sm text-gray-500">{t("lookup.noMatches")}</p>
+        )}
+
+      {!selected && search.candidates.length > 0 && (
+        <ul className="border-2 border-gray-200 rounded-lg divide-y max-h-72 overflow-y-auto">
+          {search.candidates.map((ticket) => (
+            <li key={ticket.id}>
+              <button
+                onClick={() => {
+                  setSelected(ticket);
+                  setAnswer("");
+                }}
+                className="w-full text-left p-3 hover:bg-blue-50 flex items-center gap-3"
+              >
+                <div className="flex-1">
+                  <p className="font-semibold text-gray-800">
+                    {ticket.studentName}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {maskRollNumber(ticket.rollNumber)} ·{" "}
+                    {maskEmail(ticket.email)} · {ticket.id}
+                  </p>
+                </div>
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
+                    STATUS_BADGES[ticket.status] || STATUS_BADGES.valid
+                  }`}
+                >
+                  {t(`status.${ticket.status || "valid"}`)}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {selected && (
+        <div className="border-2 border-blue-300 bg-blue-50 rounded-lg p-4">
+          <p className="text-sm text-gray-600 mb-1">
+            {t("lookup.confirmAttendee")}
+          </p>
+          <p className="text-xl font-bold text-gray-800">
+            {selected.studentName}
+          </p>
+          <p className="text-sm text-gray-700 mb-3">
+            {maskRollNumber(selected.rollNumber)} · {maskEmail(selected.email)}{" "}
+            · {selected.id}
+          </p>
+          {check.matches && (
+            <label className="block text-sm mb-3">
+              <span className="block font-medium text-gray-700 mb-1">
+                {t("lookup.askFor", {
+                  check: t(`lookup.check.${confirmation}`),
+                })}
+              </span>
+              <input
+                type="text"
+                value={answer}
+                onChange={(e) => setAnswer(e.target.value)}
+                autoFocus
+                className={`px-3 py-2 border-2 rounded-lg ${
+                  answer && !isConfirmed ? "border-red-400" : "border-gray-300"
+                }`}
+              />
+            </label>
+          )}
+          <div className="flex gap-2">
+            <button
+              onClick={() => {
+                onConfirm(selected.id);
+                reset();
+              }}
+              disabled={!isConfirmed}
+              className="flex items-center gap-2 bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-6 rounded-lg transition-colors disabled:opacity-50"
+            >
+              <UserCheck size={18} />
+              {t("lookup.confirm")}
+            </button>
+            <button
+              onClick={() => setSelected(null)}
+              className="border-2 border-gray-300 hover:bg-gray-100 text-gray-700 font-semibold py-2 px-6 rounded-lg transition-colors"
+            >
+              {t("lookup.back")}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ManualLookup;
@@ -0,0 +1,103 @@
+import React from "react";
+import { X, WifiOff, Download, RefreshCw, AlertTriangle } from "lucide-react";
+import useLocale from "../hooks/useLocale";
+
+// Downloaded ticket list, check-ins waiting to sync and sync conflicts for
+// the scan tab
+const OfflinePanel = ({ offline, eventId }) => {
+  const { t, formatDateTime } = useLocale();
+
+  return (
+    <div
+      className={`mb-6 p-4 rounded-lg border-2 ${
+        offline.isOnline
+          ? "bg-gray-50 border-gray-200"
+          : "bg-amber-50 border-amber-300"
+      }`}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="text-sm">
+          {!offline.isOnline && (
+            <p className="font-semibold text-amber-800 flex items-center gap-2 mb-1">
+              <WifiOff size={16} />
+              {t("offline.banner")}
+            </p>
+          )}
+          <p className="text-gray-700">
+            {offline.snapshotInfo
+              ? t("offline.listInfo", {
+                  count: offline.snapshotInfo.ticketCount,
+                  time: formatDateTime(offline.snapshotInfo.downloadedAt),
+                })
+              : t("offline.noList")}
+          </p>
+          {offline.pendingCount > 0 && (
+            <p className="text-amber-700">
+              {t("offline.pending", { count: offline.pendingCount })}
+            </p>
+          )}
+          {offline.syncError && (
+            <p className="text-red-600">{offline.syncError}</p>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => offline.downloadSnapshot(eventId)}
+            disabled={!offline.isOnline}
+            className="bg-white border-2 border-gray-300 hover:bg-gray-100 text-gray-700 text-sm font-semibold py-2 px-4 rounded-lg transition-colors flex items-center gap-2 disabled:opacity-50"
+          >
+            <Download size={16} />
+            {t("offline.download")}
+          </button>
+          {offline.pendingCount > 0 && (
+            <button
+              onClick={offline.syncQueue}
+              disabled={!offline.isOnline || offline.isSyncing}
+              className="bg-amber-500 hover:bg-amber-600 text-white text-sm font-semibold py-2 px-4 rounded-lg transition-colors flex items-center gap-2 disabled:opacity-50"
+            >
+              <RefreshCw
+                size={16}
+                className={offline.isSyncing ? "animate-spin" : ""}
+              />
+              {t("offline.syncNow")}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {offline.conflicts.length > 0 && (
+        <div className="mt-4 space-y-2">
+          {offline.conflicts.map((conflict) => (
+            <div
+              key={conflict.localId}
+              className="bg-red-50 border-2 border-red-300 rounded-lg p-3 flex items-start gap-3"
+            >
+              <AlertTriangle className="text-red-500 shrink-0" size={20} />
+              <div className="flex-1 text-sm">
+                <p className="font-semibold text-red-800">
+                  {t("offline.conflict", { ticketId: conflict.ticketId })}
+                </p>
+                <p className="text-red-700">{conflict.message}</p>
+                {conflict.scannedAt && (
+                  <p className="text-xs text-red-600 mt-1">
+                    {t("offline.conflictAt", {
+                      time: formatDateTime(conflict.scannedAt),
+                    })}
+                  </p>
+                )}
+              </div>
+              <button
+                onClick={() => offline.dismissConflict(conflict.localId)}
+                className="text-red-500 hover:text-red-700"
+              >
+                <X size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflinePanel;
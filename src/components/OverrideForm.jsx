@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { ShieldAlert } from "lucide-react";
+import ticketClient from "../api/ticketClient";
+import { hasPermission } from "../utils/permissions";
+import {
+  describeServerError,
+  describeRequestError,
+} from "../utils/serverErrors";
+import useLocale from "../hooks/useLocale";
+
+// Admit a rejected ticket on a supervisor's authority. Supervisors approve
+// with their own login; anyone else needs a supervisor to enter a PIN.
+const OverrideForm = ({ ticket, eventId, user, onApproved, onCancel }) => {
+  const { t } = useLocale();
+  const isSupervisor = hasPermission(user, "override");
+  const [reason, setReason] = useState("");
+  const [supervisorPin, setSupervisorPin] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      const data = await ticketClient.overrideTicket(ticket.id, {
+        eventId,
+        reason: reason.trim(),
+        supervisorPin: isSupervisor ? undefined : supervisorPin,
+      });
+      if (!data.success) {
+        setError(
+          describeServerError({ code: data.code, message: data.message })
+            .details
+        );
+        setIsSubmitting(false);
+        return;
+      }
+      onApproved({
+        success: true,
+        override: true,
+        message: t("override.admitted"),
+        details: t("override.reason", { reason: reason.trim() }),
+        ticket: {
+          ...data.ticket,
+          status: "used",
+          scannedBy: data.ticket.scannedBy || user.name,
+        },
+      });
+    } catch (err) {
+      console.error("❌ Override error:", err);
+      // The server's wording is English only; show the translated reason
+      setError(describeRequestError(err, t("override.failed")));
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mt-4 bg-white border-2 border-amber-300 rounded-lg p-4 space-y-3"
+    >
+      <p className="font-semibold text-amber-800 flex items-center gap-2">
+        <ShieldAlert size={18} />
+        {t("override.title", { name: ticket.studentName })}
+      </p>
+      <textarea
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        required
+        rows={2}
+        placeholder={t("override.reasonPlaceholder")}
+        className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+      />
+      {!isSupervisor && (
+        <input
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          value={supervisorPin}
+          onChange={(e) => setSupervisorPin(e.target.value)}
+          required
+          placeholder={t("override.pin")}
+          className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+        />
+      )}
+      {error && <p className="text-red-700 text-sm">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={isSubmitting || !reason.trim()}
+          className="bg-amber-500 hover:bg-amber-600 text-white font-semibold py-2 px-6 rounded-lg transition-colors disabled:opacity-50"
+        >
+          {isSubmitting ? t("override.recording") : t("override.submit")}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="border-2 border-gray-300 hover:bg-gray-100 text-gray-700 font-semibold py-2 px-6 rounded-lg transition-colors"
+        >
+          {t("confirm.cancel")}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default OverrideForm;
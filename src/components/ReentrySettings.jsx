@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { Save } from "lucide-react";
+import ticketClient from "../api/ticketClient";
+import { REENTRY_MODES, getReentryPolicy } from "../utils/reentry";
+import { describeRequestError } from "../utils/serverErrors";
+import useLocale from "../hooks/useLocale";
+
+// Admin control for the selected event's re-entry rules
+const ReentrySettings = ({ event, onSaved }) => {
+  const { t } = useLocale();
+  const policy = getReentryPolicy(event);
+  const [mode, setMode] = useState(policy.mode);
+  const [limit, setLimit] = useState(policy.limit ?? 1);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isDirty =
+    mode !== policy.mode ||
+    (mode === "limited" && Number(limit) !== policy.limit);
+
+  const save = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const updated = await ticketClient.updateEvent(event.id, {
+        reentry: {
+          mode,
+          limit: mode === "limited" ? Number(limit) : null,
+        },
+      });
+      onSaved(updated);
+    } catch (err) {
+      console.error("❌ Re-entry settings error:", err);
+      setError(describeRequestError(err, t("event.saveFailed")));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <label htmlFor="reentry-mode" className="text-gray-600">
+        {t("reentry.label")}
+      </label>
+      <select
+        id="reentry-mode"
+        value={mode}
+        onChange={(e) => setMode(e.target.value)}
+        className="px-2 py-1 border border-gray-300 rounded-lg"
+      >
+        {REENTRY_MODES.map((value) => (
+          <option key={value} value={value}>
+            {t(`reentry.mode.${value}`)}
+          </option>
+        ))}
+      </select>
+      {mode === "limited" && (
+        <input
+          type="number"
+          min="1"
+          value={limit}
+          onChange={(e) => setLimit(e.target.value)}
+          aria-label={t("reentry.limit")}
+          className="w-16 px-2 py-1 border border-gray-300 rounded-lg"
+        />
+      )}
+      <button
+        onClick={save}
+        disabled={!isDirty || isSaving || (mode === "limited" && limit < 1)}
+        className="flex items-center gap-1 px-3 py-1 rounded-lg bg-blue-500 hover:bg-blue-600 text-white font-semibold disabled:opacity-50"
+      >
+        <Save size={14} />
+        {t("common.save")}
+      </button>
+      {error && <span className="text-red-600">{error}</span>}
+    </div>
+  );
+};
+
+export default ReentrySettings;
@@ -0,0 +1,182 @@
+import React, { useState } from "react";
+import { History, Search, Download, WifiOff } from "lucide-react";
+import { OUTCOMES, historyColumns, filterHistory } from "../utils/scanHistory";
+import { toCsv } from "../utils/csv";
+import { downloadText } from "../utils/download";
+import useLocale from "../hooks/useLocale";
+
+const ScanHistory = ({ history, scope, onScopeChange }) => {
+  const { t, formatDateTime } = useLocale();
+  const [search, setSearch] = useState("");
+  const [outcome, setOutcome] = useState("");
+  const [mode, setMode] = useState("");
+
+  const visible = filterHistory(history.entries, { search, outcome, mode });
+
+  const exportAs = (format) => {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    if (format === "csv") {
+      downloadText(
+        toCsv(visible, historyColumns()),
+        `scan-history-${stamp}.csv`,
+        "text/csv"
+      );
+    } else {
+      downloadText(
+        JSON.stringify(visible, null, 2),
+        `scan-history-${stamp}.json`,
+        "application/json"
+      );
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+          <History className="text-blue-500" />
+          {t("history.title")}
+        </h2>
+        <div className="flex gap-2">
+          {["csv", "json"].map((format) => (
+            <button
+              key={format}
+              onClick={() => exportAs(format)}
+              disabled={visible.length === 0}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+            >
+              <Download size={16} />
+              {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-end gap-3 mb-4 text-sm">
+        <label className="flex flex-col gap-1 flex-1 min-w-48">
+          <span className="text-gray-600">{t("history.search")}</span>
+          <span className="flex items-center gap-2">
+            <Search className="text-gray-400" size={18} />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+              placeholder={t("history.searchPlaceholder")}
+            />
+          </span>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">{t("history.outcome")}</span>
+          <select
+            value={outcome}
+            onChange={(e) => setOutcome(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+          >
+            <option value="">{t("history.all")}</option>
+            {Object.keys(OUTCOMES).map((value) => (
+              <option key={value} value={value}>
+                {t(`history.outcome.${value}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">{t("history.verified")}</span>
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+          >
+            <option value="">{t("history.all")}</option>
+            <option value="online">{t("connection.online")}</option>
+            <option value="offline">{t("connection.offline")}</option>
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">{t("history.show")}</span>
+          <select
+            value={scope}
+            onChange={(e) => onScopeChange(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+          >
+            <option value="session">{t("history.scope.session")}</option>
+            <option value="all">{t("history.scope.all")}</option>
+          </select>
+        </label>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-3">
+        {t("history.showing", {
+          count: visible.length,
+          total: history.entries.length,
+        })}
+      </p>
+
+      {history.error && (
+        <div className="bg-red-50 border-2 border-red-300 rounded-lg p-4 mb-4">
+          <p className="text-red-700 text-sm">{history.error}</p>
+        </div>
+      )}
+
+      {visible.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <History size={48} className="mx-auto mb-4 opacity-50" />
+          <p>{t("history.empty")}</p>
+        </div>
+      ) : (
+        <div className="overflow-auto max-h-[65vh] border rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr className="text-left text-gray-600">
+                <th className="p-2">{t("history.column.time")}</th>
+                <th className="p-2">{t("history.ticket")}</th>
+                <th className="p-2">{t("history.column.outcome")}</th>
+                <th className="p-2">{t("history.column.reason")}</th>
+                <th className="p-2">{t("history.column.operator")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((entry) => (
+                <tr key={entry.id} className="border-t align-top">
+                  <td className="p-2 text-gray-600 whitespace-nowrap">
+                    {formatDateTime(entry.time)}
+                  </td>
+                  <td className="p-2">
+                    <p className="font-medium text-gray-800">
+                      {entry.studentName || "—"}
+                    </p>
+                    <p className="text-xs text-gray-500 break-all">
+                      {entry.ticketId}
+                    </p>
+                  </td>
+                  <td className="p-2">
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
+                        OUTCOMES[entry.outcome].className
+                      }`}
+                    >
+                      {t(`history.outcome.${entry.outcome}`)}
+                    </span>
+                    {entry.mode === "offline" && (
+                      <WifiOff
+                        size={14}
+                        className="inline ml-2 text-amber-600"
+                        aria-label={t("offline.verified")}
+                      />
+                    )}
+                  </td>
+                  <td className="p-2 text-gray-700">{entry.reason}</td>
+                  <td className="p-2 text-gray-700">{entry.operator}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScanHistory;
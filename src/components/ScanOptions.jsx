@@ -0,0 +1,101 @@
+import React from "react";
+import FeedbackToggles from "./FeedbackToggles";
+import useLocale from "../hooks/useLocale";
+
+const INPUT_SOURCES = ["camera", "wedge", "both"];
+
+const OptionRow = ({ label, children }) => (
+  <div className="flex items-center justify-between mb-3">
+    <span className="text-sm font-medium text-gray-700">{label}</span>
+    {children}
+  </div>
+);
+
+// Segmented buttons; `activeClass` may depend on the option
+const Segmented = ({ options, value, onChange, activeClass }) => (
+  <div className="flex gap-1 bg-gray-100 rounded-lg p-1">
+    {options.map((option) => (
+      <button
+        key={String(option.value)}
+        onClick={() => onChange(option.value)}
+        className={`py-1 px-4 rounded-md text-sm font-medium transition-all ${
+          value === option.value
+            ? activeClass(option.value)
+            : "text-gray-600 hover:bg-gray-200"
+        }`}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+const BLUE = () => "bg-blue-500 text-white";
+
+// How the gate scans: direction (when the event allows re-entry), input
+// source, feedback channels and single or continuous mode
+const ScanOptions = ({
+  showDirection,
+  direction,
+  onDirectionChange,
+  inputSource,
+  onInputSourceChange,
+  feedback,
+  continuousMode,
+  onContinuousModeChange,
+}) => {
+  const { t } = useLocale();
+
+  return (
+    <>
+      {showDirection && (
+        <OptionRow label={t("scan.direction")}>
+          <Segmented
+            options={["entry", "exit"].map((value) => ({
+              value,
+              label: t(`direction.${value}`),
+            }))}
+            value={direction}
+            onChange={onDirectionChange}
+            activeClass={(value) =>
+              value === "exit" ? "bg-amber-500 text-white" : BLUE()
+            }
+          />
+        </OptionRow>
+      )}
+
+      <OptionRow label={t("scan.input")}>
+        <Segmented
+          options={INPUT_SOURCES.map((value) => ({
+            value,
+            label: t(`input.${value}`),
+          }))}
+          value={inputSource}
+          onChange={onInputSourceChange}
+          activeClass={BLUE}
+        />
+      </OptionRow>
+
+      <OptionRow label={t("scan.feedback")}>
+        <FeedbackToggles
+          channels={feedback.channels}
+          onToggle={feedback.toggle}
+        />
+      </OptionRow>
+
+      <OptionRow label={t("scan.mode")}>
+        <Segmented
+          options={[
+            { value: false, label: t("mode.single") },
+            { value: true, label: t("mode.continuous") },
+          ]}
+          value={continuousMode}
+          onChange={onContinuousModeChange}
+          activeClass={BLUE}
+        />
+      </OptionRow>
+    </>
+  );
+};
+
+export default ScanOptions;
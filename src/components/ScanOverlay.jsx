@@ -0,0 +1,66 @@
+import React, { useEffect } from "react";
+import { Check, X, WifiOff, Copy } from "lucide-react";
+import { classifyResult } from "../utils/scanFeedback";
+import useLocale from "../hooks/useLocale";
+import { isGroupTicket, describeAdmissions } from "../utils/admissions";
+
+// Green for admitted, amber for already used, red for everything else
+const KIND_STYLES = {
+  success: { className: "bg-green-600/95", icon: Check },
+  duplicate: { className: "bg-amber-500/95", icon: Copy },
+  invalid: { className: "bg-red-600/95", icon: X },
+};
+
+// Full-screen scan result, readable from a distance; clears itself after a
+// moment
+const ScanOverlay = ({ result, onDismiss, durationMs = 2500 }) => {
+  const { t } = useLocale();
+  useEffect(() => {
+    if (!result) return;
+    const timer = setTimeout(onDismiss, durationMs);
+    return () => clearTimeout(timer);
+  }, [result, onDismiss, durationMs]);
+
+  if (!result) return null;
+
+  const style = KIND_STYLES[classifyResult(result)];
+  const Icon = style.icon;
+
+  return (
+    <div
+      onClick={onDismiss}
+      className={`fixed inset-0 z-50 flex flex-col items-center justify-center p-8 text-center text-white ${style.className}`}
+    >
+      <div className="p-6 rounded-full bg-white/20 mb-6">
+        <Icon size={96} />
+      </div>
+      <h2 className="text-5xl font-bold mb-4">{result.message}</h2>
+      {result.ticket && (
+        <p className="text-4xl font-semibold mb-2">
+          {result.ticket.studentName}
+        </p>
+      )}
+      {result.ticket && (
+        <p className="text-2xl opacity-90 mb-4">
+          {result.ticket.rollNumber} · {result.ticket.id}
+        </p>
+      )}
+      {result.success && isGroupTicket(result.ticket) && (
+        <p className="text-3xl font-bold mb-4">
+          {describeAdmissions(result.ticket)}
+        </p>
+      )}
+      {!result.success && (
+        <p className="text-2xl opacity-90">{result.details}</p>
+      )}
+      {result.offline && (
+        <p className="mt-6 inline-flex items-center gap-2 text-lg font-semibold bg-white/20 rounded-full px-4 py-2">
+          <WifiOff size={20} />
+          {t("offline.verified")}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ScanOverlay;
@@ -0,0 +1,157 @@
+import React from "react";
+import {
+  Check,
+  X,
+  WifiOff,
+  Users,
+  ShieldAlert,
+  AlertTriangle,
+  MapPin,
+} from "lucide-react";
+import AttendeePhoto from "./AttendeePhoto";
+import useLocale from "../hooks/useLocale";
+import { isGroupTicket, describeAdmissions } from "../utils/admissions";
+
+// Outcome of a single-mode scan: verdict, badges and the attendee's
+// ticket. Follow-up actions (next scan, override) are passed as children.
+const ScanResultPanel = ({ result, children }) => {
+  const { t, formatDateTime } = useLocale();
+
+  return (
+    <div
+      className={`p-8 rounded-xl border-4 ${
+        result.success
+          ? "bg-green-50 border-green-500"
+          : "bg-red-50 border-red-500"
+      } animate-in`}
+    >
+      <div className="flex items-start gap-6">
+        <div
+          className={`p-4 rounded-full ${
+            result.success ? "bg-green-500" : "bg-red-500"
+          }`}
+        >
+          {result.success ? (
+            <Check className="text-white" size={32} />
+          ) : (
+            <X className="text-white" size={32} />
+          )}
+        </div>
+        <div className="flex-1">
+          <h3
+            className={`text-3xl font-bold mb-2 ${
+              result.success ? "text-green-800" : "text-red-800"
+            }`}
+          >
+            {result.message}
+          </h3>
+          <p
+            className={`text-lg mb-4 ${
+              result.success ? "text-green-700" : "text-red-700"
+            }`}
+          >
+            {result.details}
+          </p>
+          {result.offline && (
+            <p className="inline-flex items-center gap-2 text-xs font-semibold text-amber-800 bg-amber-100 rounded-full px-3 py-1 mb-4">
+              <WifiOff size={14} />
+              {t("offline.verified")}
+            </p>
+          )}
+          {result.success && isGroupTicket(result.ticket) && (
+            <p className="inline-flex items-center gap-2 text-xs font-semibold text-blue-800 bg-blue-100 rounded-full px-3 py-1 mb-4 mr-2">
+              <Users size={14} />
+              {describeAdmissions(result.ticket)}
+            </p>
+          )}
+          {result.priorScan && (
+            <p
+              className={`inline-flex items-center gap-2 text-xs font-semibold rounded-full px-3 py-1 mb-4 ${
+                result.priorScan === "other-gate"
+                  ? "text-amber-800 bg-amber-100"
+                  : "text-gray-700 bg-gray-100"
+              }`}
+            >
+              {result.priorScan === "other-gate" ? (
+                <AlertTriangle size={14} />
+              ) : (
+                <MapPin size={14} />
+              )}
+              {t(`priorScan.${result.priorScan}`)}
+            </p>
+          )}
+          {result.override && (
+            <p className="inline-flex items-center gap-2 text-xs font-semibold text-amber-800 bg-amber-100 rounded-full px-3 py-1 mb-4">
+              <ShieldAlert size={14} />
+              {t("result.supervisorOverride")}
+            </p>
+          )}
+          {result.ticket && (
+            <div className="bg-white rounded-lg p-4 space-y-2">
+              <div className="flex flex-col sm:flex-row gap-4">
+                {result.ticket.photoUrl && (
+                  <AttendeePhoto
+                    ticket={result.ticket}
+                    className="w-40 h-40 shrink-0"
+                  />
+                )}
+                <div className="flex-1 grid grid-cols-2 gap-4">
+                  <div>
+                    <p className="text-xs text-gray-500 uppercase">
+                      {t("field.studentName")}
+                    </p>
+                    <p className="font-semibold text-gray-800">
+                      {result.ticket.studentName}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500 uppercase">
+                      {t("field.rollNumber")}
+                    </p>
+                    <p className="font-semibold text-gray-800">
+                      {result.ticket.rollNumber}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500 uppercase">
+                      {t("field.email")}
+                    </p>
+                    <p className="font-semibold text-gray-800">
+                      {result.ticket.email}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500 uppercase">
+                      {t("field.ticketId")}
+                    </p>
+                    <p className="font-semibold text-gray-800">
+                      {result.ticket.id}
+                    </p>
+                  </div>
+                </div>
+              </div>
+              {result.ticket.scannedAt && (
+                <div className="pt-2 border-t mt-2">
+                  <p className="text-xs text-gray-500">
+                    {t(
+                      result.ticket.scannedBy
+                        ? "result.scannedAtBy"
+                        : "result.scannedAt",
+                      {
+                        time: formatDateTime(result.ticket.scannedAt),
+                        name: result.ticket.scannedBy,
+                      }
+                    )}
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+          {children}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScanResultPanel;
@@ -1,605 +1,580 @@
-import React, { useState, useEffect, useRef, use } from "react";
+import React, { useState, useRef } from "react";
 import {
   Camera,
-  Check,
-  X,
   Ticket,
-  Users,
-  Search,
   StopCircle,
+  Wifi,
+  WifiOff,
+  Activity,
+  QrCode,
+  Upload,
+  CalendarDays,
+  LogOut,
+  UserCircle,
+  ShieldAlert,
+  History,
+  SlidersHorizontal,
+  Keyboard,
+  FileBarChart,
+  MapPin,
 } from "lucide-react";
+import useOfflineSync from "../hooks/useOfflineSync";
+import useScanQueue from "../hooks/useScanQueue";
+import useScanResults from "../hooks/useScanResults";
+import ScanOverlay from "./ScanOverlay";
+import TicketList from "./TicketList";
+import StatsCards from "./StatsCards";
+import Dashboard from "./Dashboard";
+import EventReport from "./EventReport";
+import IssueTicket from "./IssueTicket";
+import ImportTickets from "./ImportTickets";
+import useLiveStats from "../hooks/useLiveStats";
+import useEvents from "../hooks/useEvents";
+import EventPicker from "./EventPicker";
+import LanguageSwitcher from "./LanguageSwitcher";
+import OverrideForm from "./OverrideForm";
+import ReentrySettings from "./ReentrySettings";
+import ScanHistory from "./ScanHistory";
+import ImageScanUpload from "./ImageScanUpload";
+import ManualEntry from "./ManualEntry";
+import OfflinePanel from "./OfflinePanel";
+import CheckInConfirmation from "./CheckInConfirmation";
+import ScanResultPanel from "./ScanResultPanel";
+import DeviceRegistration from "./DeviceRegistration";
+import IdentityCheckSetting from "./IdentityCheckSetting";
+import ScanOptions from "./ScanOptions";
+import useScanFeedback from "../hooks/useScanFeedback";
+import CameraControls from "./CameraControls";
+import useQrCamera from "../hooks/useQrCamera";
+import useKeyboardWedge from "../hooks/useKeyboardWedge";
+import useLocalSetting from "../hooks/useLocalSetting";
+import useLocale from "../hooks/useLocale";
+import useDevice from "../hooks/useDevice";
+import useScanHistory from "../hooks/useScanHistory";
+import { getEntryWindowStatus, formatEntryWindow } from "../utils/entryWindow";
+import { createVerifier } from "../utils/verification";
+import { hasPermission } from "../utils/permissions";
+import {
+  getReentryPolicy,
+  allowsReentry,
+  describeReentryPolicy,
+} from "../utils/reentry";
+import ticketClient from "../api/ticketClient";
+import { t } from "../i18n";
+
+// Labels come from the "tab.<id>" catalog entries
+const TABS = [
+  { id: "scan", icon: Camera, permission: "scan" },
+  { id: "history", icon: History, permission: "scan" },
+  { id: "list", icon: Ticket, permission: "roster" },
+  { id: "dashboard", icon: Activity, permission: "dashboard" },
+  { id: "reports", icon: FileBarChart, permission: "reports" },
+  { id: "issue", icon: QrCode, permission: "issue" },
+  { id: "import", icon: Upload, permission: "import" },
+];
+
+const ENTRY_WINDOW_STYLES = {
+  open: "bg-green-100 text-green-700",
+  "not-open": "bg-amber-100 text-amber-700",
+  closed: "bg-red-100 text-red-700",
+};
+
+// Ignore repeat reads of the same code for this long in continuous mode
+const SCAN_COOLDOWN_MS = 4000;
 
-const QRTicketSystem = () => {
+const QRTicketSystem = ({ user, sessionId, onLogout }) => {
   const [activeTab, setActiveTab] = useState("scan");
-  const [scanResult, setScanResult] = useState(null);
-  const [searchQuery, setSearchQuery] = useState("");
-  const [isScanning, setIsScanning] = useState(false);
-  const [scannerError, setScannerError] = useState(null);
-  const scannerRef = useRef(null);
-  const html5QrCodeRef = useRef(null);
-  const [isProcessing, setIsProcessing] = useState(false);
-
-  // Mock database of tickets (in production, this comes from MongoDB via API)
-  const [tickets] = useState([
-    {
-      id: "STU-2024-001",
-      qrCode: "QR-abc123xyz",
-      studentName: "Rahul Kumar",
-      email: "rahul@student.edu",
-      rollNumber: "CS21B001",
-      status: "valid",
-      generatedAt: "2024-11-01T10:00:00",
-      scannedAt: null,
-    },
-    {
-      id: "STU-2024-002",
-      qrCode: "QR-def456uvw",
-      studentName: "Priya Sharma",
-      email: "priya@student.edu",
-      rollNumber: "CS21B002",
-      status: "used",
-      generatedAt: "2024-11-01T10:05:00",
-      scannedAt: "2024-11-04T09:30:00",
-    },
-    {
-      id: "STU-2024-003",
-      qrCode: "QR-ghi789rst",
-      studentName: "Amit Patel",
-      email: "amit@student.edu",
-      rollNumber: "CS21B003",
-      status: "valid",
-      generatedAt: "2024-11-01T10:10:00",
-      scannedAt: null,
-    },
-  ]);
-
-  const [ticketStatuses, setTicketStatuses] = useState(
-    tickets.reduce((acc, ticket) => {
-      acc[ticket.id] = ticket.status;
-      return acc;
-    }, {})
+  const processingRef = useRef(false);
+  const [continuousMode, setContinuousMode] = useState(false);
+  const [scanDirection, setScanDirection] = useState("entry");
+  const [overrideFor, setOverrideFor] = useState(null);
+  const [historyScope, setHistoryScope] = useState("session");
+  const feedback = useScanFeedback();
+  // Subscribing re-renders the whole screen when the language changes
+  useLocale();
+  const history = useScanHistory(sessionId, historyScope);
+  const [showCameraSettings, setShowCameraSettings] = useState(false);
+  const [inputSource, setInputSource] = useLocalSetting(
+    "qr-ticket:input-source",
+    "both"
   );
-
-  // Initialize QR Scanner
-  const startScanner = async () => {
-    try {
-      setScannerError(null);
-      setIsScanning(true);
-
-      // Dynamically import the library
-      const Html5Qrcode = (await import("html5-qrcode")).Html5Qrcode;
-
-      const html5QrCode = new Html5Qrcode("qr-reader");
-      html5QrCodeRef.current = html5QrCode;
-
-      const config = {
-        fps: 10,
-        qrbox: { width: 250, height: 250 },
-        aspectRatio: 1.0,
-      };
-
-      await html5QrCode.start(
-        { facingMode: "environment" }, // Use back camera
-        config,
-        onScanSuccess,
-        onScanFailure
-      );
-    } catch (err) {
-      console.error("Scanner error:", err);
-      setScannerError("Could not start camera. Please check permissions.");
-      setIsScanning(false);
-    }
-  };
-
-  // Stop QR Scanner
-  const stopScanner = async () => {
-    if (html5QrCodeRef.current && isScanning) {
-      try {
-        await html5QrCodeRef.current.stop();
-        html5QrCodeRef.current.clear();
-        setIsScanning(false);
-      } catch (err) {
-        console.error("Error stopping scanner:", err);
-      }
-    }
-  };
-
-  // Handle successful QR scan
-  // const onScanSuccess = (decodedText, decodedResult) => {
-  //   console.log("QR Code detected:", decodedText);
-
-  //   // Extract ticketId from QR code data
-  //   let ticketId;
-  //   try {
-  //     // If QR contains JSON data
-  //     const qrData = JSON.parse(decodedText);
-  //     ticketId = qrData.ticketId;
-  //   } catch (e) {
-  //     // If QR contains plain text (ticketId directly)
-  //     ticketId = decodedText;
-  //   }
-
-  //   // Stop scanner and verify ticket
-  //   stopScanner();
-  //   verifyTicket(ticketId);
-  // };
-  const onScanSuccess = async (decodedText, decodedResult) => {
-    // Prevent multiple scans while processing
-    if (isProcessing) {
-      console.log("Already processing a scan, ignoring...");
+  const usesCamera = inputSource !== "wedge";
+  const usesWedge = inputSource !== "camera";
+  const offline = useOfflineSync();
+  const { device, register: registerDevice } = useDevice();
+  const [isRegisteringDevice, setIsRegisteringDevice] = useState(false);
+  const events = useEvents();
+  const selectedEvent = events.selectedEvent;
+  // Scanners cannot see the stats, so they never open the stream
+  const canSeeStats = hasPermission(user, "dashboard");
+  const liveStats = useLiveStats(canSeeStats ? events.selectedEventId : null);
+  const visibleTabs = TABS.filter((tab) => hasPermission(user, tab.permission));
+  const reentryPolicy = getReentryPolicy(selectedEvent);
+  const verifier = createVerifier({
+    client: ticketClient,
+    event: selectedEvent,
+    user,
+    offline,
+    findEvent: events.findEvent,
+    exit: scanDirection === "exit",
+  });
+  const results = useScanResults({
+    verifier,
+    user,
+    sessionId,
+    event: selectedEvent,
+    device,
+    history,
+    feedback,
+    continuousMode,
+  });
+  const { scanResult, showResult, clearScanResult } = results;
+
+  // Continuous mode: keep the camera running and verify in the background
+  const scanQueue = useScanQueue({
+    cooldownMs: SCAN_COOLDOWN_MS,
+    onScan: async (decodedText) =>
+      showResult(await verifier.processScan(decodedText), decodedText),
+  });
+
+  // Single mode: stop after each decode until staff ask for the next ticket
+  const onScanSuccess = async (decodedText) => {
+    // Finish the confirmation on screen before taking the next ticket
+    if (results.pending) return;
+
+    if (continuousMode) {
+      scanQueue.enqueue(decodedText);
       return;
     }
 
-    setIsProcessing(true);
-    console.log("QR Code detected:", decodedText);
-
-    // Extract ticketId from QR code data
-    let ticketId;
-    try {
-      // If QR contains JSON data
-      const qrData = JSON.parse(decodedText);
-      ticketId = qrData.ticketId;
-    } catch (e) {
-      // If QR contains plain text (ticketId directly)
-      ticketId = decodedText;
-    }
+    // Prevent multiple scans while processing
+    if (processingRef.current) return;
+    processingRef.current = true;
 
     // Stop scanner immediately after detecting QR code
-    await stopScanner();
+    await qrCamera.stop();
+    showResult(await verifier.processScan(decodedText), decodedText);
 
-    // Then verify ticket
-    await verifyTicket(ticketId);
-
-    setIsProcessing(false);
+    processingRef.current = false;
   };
-
-  const onScanFailure = (error) => {
-    // This is called frequently while scanning, so we don't log it
+  const qrCamera = useQrCamera("qr-reader", onScanSuccess);
+  const { isScanning } = qrCamera;
+
+  // Handheld scanners feed the same handler as the camera
+  useKeyboardWedge({
+    enabled:
+      usesWedge &&
+      activeTab === "scan" &&
+      Boolean(selectedEvent) &&
+      Boolean(device) &&
+      !isRegisteringDevice,
+    onScan: onScanSuccess,
+  });
+
+  const entryWindow = getEntryWindowStatus(selectedEvent);
+
+  const verifyManualEntry = async (identifier) => {
+    showResult(await verifier.checkTicket(identifier), identifier);
   };
 
-  // Cleanup on unmount or tab change
-  useEffect(() => {
-    return () => {
-      if (html5QrCodeRef.current && isScanning) {
-        stopScanner();
-      }
-    };
-  }, []);
-
-  // Verify ticket (call backend API in production)
-  const verifyTicket = async (identifier) => {
-    try {
-      console.log("🔍 Verifying ticket:", identifier);
-
-      // Call backend API
-      const response = await fetch("http://localhost:3000/api/tickets/verify", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ ticketId: identifier }),
-      });
-
-      const data = await response.json();
-      console.log("📡 API Response:", data);
-
-      // Handle API response
-      if (!response.ok) {
-        // Handle error responses (404, 400, etc.)
-        setScanResult({
-          success: false,
-          message: data.message || "Verification Failed",
-          details: data.message || "Unable to verify ticket",
-          ticket: data.ticket || null,
-        });
-        return;
-      }
-
-      // Success response
-      // Success response
-      if (data.success) {
-        setScanResult({
-          success: true,
-          message: "Entry Approved ✓",
-          details: "Student verified successfully",
-          ticket: {
-            id: data.ticket.ticketId,
-            studentName: data.ticket.attendeeName,
-            rollNumber: data.ticket.rollNumber || "N/A",
-            email: data.ticket.email || "N/A",
-            eventName: data.ticket.eventName,
-            status: "used",
-            scannedAt: data.ticket.scannedAt,
-          },
-        });
-      } else {
-        setScanResult({
-          success: false,
-          message: data.message || "Verification Failed",
-          details: data.message || "Unable to verify ticket",
-          ticket: data.ticket || null,
-        });
-      }
-    } catch (error) {
-      console.error("❌ Verification error:", error);
-      setScanResult({
-        success: false,
-        message: "Connection Error",
-        details: "Unable to connect to server. Please check your connection.",
-        ticket: null,
-      });
-    }
-  };
-
-  const stats = {
-    total: tickets.length,
-    used: Object.values(ticketStatuses).filter((s) => s === "used").length,
-    valid: Object.values(ticketStatuses).filter((s) => s === "valid").length,
-  };
-
-  const filteredTickets = tickets.filter(
-    (ticket) =>
-      ticket.studentName.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      ticket.rollNumber.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      ticket.id.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      ticket.email.toLowerCase().includes(searchQuery.toLowerCase())
-  );
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-blue-50 to-purple-50 p-4">
+      <CheckInConfirmation
+        key={results.pending?.id}
+        pending={results.pending}
+        waiting={results.waiting}
+        requireIdentity={Boolean(selectedEvent?.requireIdentityCheck)}
+        onConfirm={results.confirmCheckIn}
+        onDeny={results.denyCheckIn}
+      />
+      <ScanOverlay
+        result={results.flashResult}
+        onDismiss={results.clearFlashResult}
+        durationMs={continuousMode ? 2500 : 1500}
+      />
       <div className="max-w-6xl mx-auto">
+        <div className="flex flex-wrap justify-end items-center gap-3 mb-4 text-sm">
+          <span
+            className={`mr-auto flex items-center gap-1 px-3 py-1 rounded-full text-xs font-semibold ${
+              offline.isOnline
+                ? "bg-green-100 text-green-700"
+                : "bg-amber-100 text-amber-800"
+            }`}
+          >
+            {offline.isOnline ? <Wifi size={14} /> : <WifiOff size={14} />}
+            {offline.isOnline
+              ? t("connection.online")
+              : t("connection.offline")}
+            {!offline.isOnline &&
+              offline.pendingCount > 0 &&
+              ` · ${t("connection.toSync", { count: offline.pendingCount })}`}
+          </span>
+          <button
+            onClick={async () => {
+              if (isScanning) await qrCamera.stop();
+              setActiveTab("scan");
+              setIsRegisteringDevice(true);
+            }}
+            title={t("device.change")}
+            className="flex items-center gap-1 text-gray-600 hover:text-gray-900"
+          >
+            <MapPin size={16} />
+            {device
+              ? t("device.label", {
+                  gate: device.gate,
+                  device: device.deviceId,
+                })
+              : t("device.title")}
+          </button>
+          <LanguageSwitcher />
+          <span className="flex items-center gap-2 text-gray-700">
+            <UserCircle size={20} className="text-gray-500" />
+            <span className="font-semibold">{user.name}</span>
+            <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-indigo-100 text-indigo-700">
+              {t(`role.${user.role}`)}
+            </span>
+          </span>
+          <button
+            onClick={async () => {
+              if (isScanning) await qrCamera.stop();
+              onLogout();
+            }}
+            className="flex items-center gap-1 text-gray-600 hover:text-gray-900"
+          >
+            <LogOut size={16} />
+            {t("auth.signOut")}
+          </button>
+        </div>
+
         <header className="text-center mb-8">
           <h1 className="text-4xl font-bold text-gray-800 mb-2">
-            Student Event Entry System
+            {t("app.title")}
           </h1>
-          <p className="text-gray-600">
-            Scan QR codes to verify student tickets
-          </p>
+          <p className="text-gray-600">{t("app.subtitle")}</p>
         </header>
 
+        <EventPicker
+          events={events}
+          onSelect={(eventId) => {
+            // Results and the running camera belong to the previous event
+            if (isScanning) qrCamera.stop();
+            clearScanResult();
+            events.selectEvent(eventId);
+          }}
+        />
+
         {/* Stats Cards */}
+        {canSeeStats && <StatsCards stats={liveStats.stats} />}
 
         {/* Navigation Tabs */}
         <div className="flex gap-2 mb-6 bg-white rounded-lg p-1 shadow">
-          <button
-            onClick={() => {
-              setActiveTab("scan");
-              setScanResult(null);
-              if (isScanning) stopScanner();
-            }}
-            className={`flex-1 py-3 px-4 rounded-md font-medium transition-all ${
-              activeTab === "scan"
-                ? "bg-blue-500 text-white"
-                : "text-gray-600 hover:bg-gray-100"
-            }`}
-          >
-            <Camera className="inline mr-2" size={20} />
-            Scan Entry
-          </button>
-          {/* <button
-            onClick={() => {
-              setActiveTab("list");
-              if (isScanning) stopScanner();
-            }}
-            className={`flex-1 py-3 px-4 rounded-md font-medium transition-all ${
-              activeTab === "list"
-                ? "bg-blue-500 text-white"
-                : "text-gray-600 hover:bg-gray-100"
-            }`}
-          >
-            <Ticket className="inline mr-2" size={20} />
-            All Tickets
-          </button> */}
+          {visibleTabs.map((tab) => {
+            const Icon = tab.icon;
+            return (
+              <button
+                key={tab.id}
+                onClick={() => {
+                  setActiveTab(tab.id);
+                  if (tab.id === "scan") clearScanResult();
+                  if (isScanning) qrCamera.stop();
+                }}
+                className={`flex-1 py-3 px-4 rounded-md font-medium transition-all ${
+                  activeTab === tab.id
+                    ? "bg-blue-500 text-white"
+                    : "text-gray-600 hover:bg-gray-100"
+                }`}
+              >
+                <Icon className="inline mr-2" size={20} />
+                {t(`tab.${tab.id}`)}
+              </button>
+            );
+          })}
         </div>
 
         {/* Scan Tab */}
         {activeTab === "scan" && (
           <div className="bg-white rounded-lg shadow-lg p-6">
-            <h2 className="text-2xl font-bold mb-6 text-gray-800 flex items-center gap-2">
-              <Camera className="text-blue-500" />
-              Verify Student Entry
-            </h2>
-
-            {/* QR Scanner */}
-            <div className="mb-6">
-              <div
-                className="bg-gray-900 rounded-lg overflow-hidden mb-4"
-                style={{ minHeight: "300px" }}
-              >
-                {!isScanning ? (
-                  <div className="flex items-center justify-center h-64 bg-gray-800">
-                    <button
-                      onClick={startScanner}
-                      className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-4 px-8 rounded-lg transition-colors flex items-center gap-2"
+            <div className="flex flex-wrap items-start justify-between gap-3 mb-6">
+              <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+                <Camera className="text-blue-500" />
+                {t("scan.title")}
+              </h2>
+              {selectedEvent && (
+                <div className="text-right text-sm">
+                  <p className="font-semibold text-gray-800">
+                    {selectedEvent.name}
+                    {selectedEvent.venue ? ` · ${selectedEvent.venue}` : ""}
+                  </p>
+                  <p className="text-gray-600">
+                    {t("scan.entryWindow", {
+                      window: formatEntryWindow(entryWindow),
+                    })}{" "}
+                    <span
+                      className={`ml-1 px-2 py-0.5 rounded-full text-xs font-semibold ${
+                        ENTRY_WINDOW_STYLES[entryWindow.state]
+                      }`}
                     >
-                      <Camera size={24} />
-                      Start Camera Scanner
-                    </button>
-                  </div>
-                ) : (
-                  <div>
-                    <div id="qr-reader" className="w-full"></div>
-                    <div className="bg-gray-800 p-3 flex justify-center">
-                      <button
-                        onClick={stopScanner}
-                        className="bg-red-500 hover:bg-red-600 text-white font-semibold py-2 px-6 rounded-lg transition-colors flex items-center gap-2"
-                      >
-                        <StopCircle size={20} />
-                        Stop Scanner
-                      </button>
-                    </div>
-                  </div>
-                )}
-              </div>
-
-              {scannerError && (
-                <div className="bg-red-50 border-2 border-red-300 rounded-lg p-4 mb-4">
-                  <p className="text-red-700 text-sm">{scannerError}</p>
-                  <p className="text-red-600 text-xs mt-2">
-                    💡 Make sure you've granted camera permissions
+                      {t(`entryWindow.${entryWindow.state}`)}
+                    </span>
                   </p>
+                  {hasPermission(user, "settings") ? (
+                    <>
+                      <div className="mt-1 flex justify-end">
+                        <ReentrySettings
+                          key={`${selectedEvent.id}:${JSON.stringify(
+                            reentryPolicy
+                          )}`}
+                          event={selectedEvent}
+                          onSaved={events.replaceEvent}
+                        />
+                      </div>
+                      <div className="mt-1">
+                        <IdentityCheckSetting
+                          event={selectedEvent}
+                          onSaved={events.replaceEvent}
+                        />
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <p className="text-gray-600">
+                        {describeReentryPolicy(reentryPolicy)}
+                      </p>
+                      {selectedEvent.requireIdentityCheck && (
+                        <p className="text-gray-600">
+                          {t("scan.identityRequired")}
+                        </p>
+                      )}
+                    </>
+                  )}
                 </div>
               )}
-
-              <p className="text-sm text-gray-600 text-center">
-                📱 Point your camera at the QR code to scan automatically
-              </p>
-            </div>
-
-            {/* Manual Entry Fallback */}
-            <div className="mb-6 pt-6 border-t border-gray-200">
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Or Enter Ticket Details Manually
-              </label>
-              <div className="flex gap-2">
-                <input
-                  type="text"
-                  id="manualInput"
-                  className="flex-1 px-4 py-3 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-lg"
-                  placeholder="Enter Ticket ID, Roll Number, or Email"
-                  onKeyPress={(e) => {
-                    if (e.key === "Enter") {
-                      const input = e.target.value;
-                      if (input) {
-                        verifyTicket(input);
-                        e.target.value = "";
-                      }
-                    }
-                  }}
-                />
-                <button
-                  onClick={() => {
-                    const input = document.getElementById("manualInput");
-                    if (input.value) {
-                      verifyTicket(input.value);
-                      input.value = "";
-                    }
-                  }}
-                  className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-8 rounded-lg transition-colors"
-                >
-                  Verify
-                </button>
-              </div>
             </div>
 
-            {/* Quick Test Buttons */}
-            {/* <div className="mb-6">
-              <h3 className="text-sm font-medium text-gray-700 mb-3">
-                Quick Test (Demo)
-              </h3>
-              <div className="grid grid-cols-2 gap-2">
-                {tickets.map((ticket) => (
-                  <button
-                    key={ticket.id}
-                    onClick={() => verifyTicket(ticket.id)}
-                    className={`p-3 rounded-lg text-left text-sm transition-all ${
-                      ticketStatuses[ticket.id] === "used"
-                        ? "bg-gray-100 text-gray-500 cursor-not-allowed"
-                        : "bg-blue-50 text-blue-700 hover:bg-blue-100 border-2 border-blue-200"
-                    }`}
-                    disabled={ticketStatuses[ticket.id] === "used"}
-                  >
-                    <div className="font-semibold">{ticket.studentName}</div>
-                    <div className="text-xs opacity-75">{ticket.id}</div>
-                  </button>
-                ))}
+            {!selectedEvent ? (
+              <div className="text-center py-12 text-gray-500">
+                <CalendarDays size={48} className="mx-auto mb-4 opacity-50" />
+                <p>{t("scan.selectEvent")}</p>
               </div>
-            </div> */}
-
-            {/* Scan Result */}
-            {scanResult && (
-              <div
-                className={`p-8 rounded-xl border-4 ${
-                  scanResult.success
-                    ? "bg-green-50 border-green-500"
-                    : "bg-red-50 border-red-500"
-                } animate-in`}
-              >
-                <div className="flex items-start gap-6">
-                  <div
-                    className={`p-4 rounded-full ${
-                      scanResult.success ? "bg-green-500" : "bg-red-500"
-                    }`}
-                  >
-                    {scanResult.success ? (
-                      <Check className="text-white" size={32} />
-                    ) : (
-                      <X className="text-white" size={32} />
-                    )}
-                  </div>
-                  <div className="flex-1">
-                    <h3
-                      className={`text-3xl font-bold mb-2 ${
-                        scanResult.success ? "text-green-800" : "text-red-800"
-                      }`}
-                    >
-                      {scanResult.message}
-                    </h3>
-                    <p
-                      className={`text-lg mb-4 ${
-                        scanResult.success ? "text-green-700" : "text-red-700"
-                      }`}
-                    >
-                      {scanResult.details}
-                    </p>
-                    {scanResult.ticket && (
-                      <div className="bg-white rounded-lg p-4 space-y-2">
-                        <div className="grid grid-cols-2 gap-4">
-                          <div>
-                            <p className="text-xs text-gray-500 uppercase">
-                              Student Name
-                            </p>
-                            <p className="font-semibold text-gray-800">
-                              {scanResult.ticket.studentName}
-                            </p>
-                          </div>
-                          <div>
-                            <p className="text-xs text-gray-500 uppercase">
-                              Roll Number
-                            </p>
-                            <p className="font-semibold text-gray-800">
-                              {scanResult.ticket.rollNumber}
-                            </p>
-                          </div>
-                          <div>
-                            <p className="text-xs text-gray-500 uppercase">
-                              Email
-                            </p>
-                            <p className="font-semibold text-gray-800">
-                              {scanResult.ticket.email}
-                            </p>
+            ) : !device || isRegisteringDevice ? (
+              <DeviceRegistration
+                device={device}
+                onRegister={(registration) => {
+                  if (registerDevice(registration)) {
+                    setIsRegisteringDevice(false);
+                  }
+                }}
+                onCancel={
+                  device ? () => setIsRegisteringDevice(false) : undefined
+                }
+              />
+            ) : (
+              <>
+                {/* Offline Mode */}
+                <OfflinePanel offline={offline} eventId={selectedEvent.id} />
+
+                {/* QR Scanner */}
+                <div className="mb-6">
+                  <ScanOptions
+                    showDirection={allowsReentry(reentryPolicy)}
+                    direction={scanDirection}
+                    onDirectionChange={(direction) => {
+                      setScanDirection(direction);
+                      clearScanResult();
+                    }}
+                    inputSource={inputSource}
+                    onInputSourceChange={(source) => {
+                      if (source === "wedge" && isScanning) qrCamera.stop();
+                      setInputSource(source);
+                    }}
+                    feedback={feedback}
+                    continuousMode={continuousMode}
+                    onContinuousModeChange={(continuous) => {
+                      setContinuousMode(continuous);
+                      clearScanResult();
+                    }}
+                  />
+
+                  {usesCamera && (
+                    <>
+                      <div className="flex justify-end mb-2">
+                        <button
+                          onClick={() => setShowCameraSettings((open) => !open)}
+                          className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900"
+                        >
+                          <SlidersHorizontal size={16} />
+                          {t("camera.settings")}
+                        </button>
+                      </div>
+                      {showCameraSettings && (
+                        <CameraControls
+                          cameras={qrCamera.cameras}
+                          settings={qrCamera.settings}
+                          capabilities={qrCamera.capabilities}
+                          onChange={qrCamera.changeSettings}
+                        />
+                      )}
+
+                      <div
+                        className="bg-gray-900 rounded-lg overflow-hidden mb-4"
+                        style={{ minHeight: "300px" }}
+                      >
+                        {!isScanning ? (
+                          <div className="flex items-center justify-center h-64 bg-gray-800">
+                            <button
+                              onClick={() => qrCamera.start()}
+                              className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-4 px-8 rounded-lg transition-colors flex items-center gap-2"
+                            >
+                              <Camera size={24} />
+                              {t("camera.start")}
+                            </button>
                           </div>
+                        ) : (
                           <div>
-                            <p className="text-xs text-gray-500 uppercase">
-                              Ticket ID
-                            </p>
-                            <p className="font-semibold text-gray-800">
-                              {scanResult.ticket.id}
-                            </p>
-                          </div>
-                        </div>
-                        {scanResult.ticket.scannedAt && (
-                          <div className="pt-2 border-t mt-2">
-                            <p className="text-xs text-gray-500">
-                              Scanned at:{" "}
-                              {new Date(
-                                scanResult.ticket.scannedAt
-                              ).toLocaleString()}
-                            </p>
+                            <div id="qr-reader" className="w-full"></div>
+                            <div className="bg-gray-800 p-3 flex justify-center">
+                              <button
+                                onClick={qrCamera.stop}
+                                className="bg-red-500 hover:bg-red-600 text-white font-semibold py-2 px-6 rounded-lg transition-colors flex items-center gap-2"
+                              >
+                                <StopCircle size={20} />
+                                {t("camera.stop")}
+                              </button>
+                            </div>
                           </div>
                         )}
                       </div>
-                    )}
-                    <button
-                      onClick={() => {
-                        setScanResult(null);
-                        if (!isScanning) startScanner();
-                      }}
-                      className="mt-4 bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-6 rounded-lg transition-colors"
-                    >
-                      Scan Next Ticket
-                    </button>
-                  </div>
+
+                      {qrCamera.error && (
+                        <div className="bg-red-50 border-2 border-red-300 rounded-lg p-4 mb-4">
+                          <p className="text-red-700 text-sm">
+                            {qrCamera.error}
+                          </p>
+                          <p className="text-red-600 text-xs mt-2">
+                            {t("camera.permissionHint")}
+                          </p>
+                        </div>
+                      )}
+                    </>
+                  )}
+
+                  {usesWedge && (
+                    <div className="flex items-center justify-center gap-2 bg-blue-50 border-2 border-blue-200 rounded-lg p-4 mb-4 text-sm text-blue-800">
+                      <Keyboard size={20} />
+                      {t("scan.wedgeReady")}
+                    </div>
+                  )}
+
+                  <p className="text-sm text-gray-600 text-center">
+                    {!usesCamera
+                      ? t("scan.hint.wedge")
+                      : continuousMode
+                        ? t("scan.hint.continuous")
+                        : t("scan.hint.single")}
+                  </p>
+                  {continuousMode && scanQueue.pending > 0 && (
+                    <p className="text-xs text-blue-600 text-center mt-1">
+                      {t("scan.verifying", { count: scanQueue.pending })}
+                    </p>
+                  )}
                 </div>
-              </div>
-            )}
-          </div>
-        )}
 
-        {/* All Tickets Tab */}
-        {activeTab === "list" && (
-          <div className="bg-white rounded-lg shadow-lg p-6">
-            <div className="flex justify-between items-center mb-6">
-              <h2 className="text-2xl font-bold text-gray-800">
-                All Student Tickets
-              </h2>
-              <div className="flex items-center gap-2">
-                <Search className="text-gray-400" size={20} />
-                <input
-                  type="text"
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                  placeholder="Search students..."
-                />
-              </div>
-            </div>
+                {/* Image Upload */}
+                <div className="mb-6 pt-6 border-t border-gray-200">
+                  <p className="block text-sm font-medium text-gray-700 mb-2">
+                    {t("scan.imageUpload")}
+                  </p>
+                  <ImageScanUpload
+                    onCode={results.verifyUpload}
+                    onSingleResult={results.presentUploadResult}
+                  />
+                </div>
 
-            {filteredTickets.length === 0 ? (
-              <div className="text-center py-12 text-gray-500">
-                <Users size={48} className="mx-auto mb-4 opacity-50" />
-                <p>No tickets found</p>
-              </div>
-            ) : (
-              <div className="space-y-3">
-                {filteredTickets.map((ticket) => (
-                  <div
-                    key={ticket.id}
-                    className={`p-4 rounded-lg border-2 transition-all ${
-                      ticketStatuses[ticket.id] === "used"
-                        ? "bg-gray-50 border-gray-300"
-                        : "bg-green-50 border-green-300"
-                    }`}
-                  >
-                    <div className="flex justify-between items-start">
-                      <div className="flex-1">
-                        <div className="flex items-center gap-3 mb-2">
-                          <h3 className="font-bold text-lg text-gray-800">
-                            {ticket.studentName}
-                          </h3>
-                          <span
-                            className={`px-3 py-1 rounded-full text-xs font-semibold ${
-                              ticketStatuses[ticket.id] === "used"
-                                ? "bg-gray-200 text-gray-700"
-                                : "bg-green-200 text-green-700"
-                            }`}
-                          >
-                            {ticketStatuses[ticket.id] === "used"
-                              ? "✓ SCANNED"
-                              : "VALID"}
-                          </span>
-                        </div>
-                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
-                          <div>
-                            <p className="text-gray-500">Roll Number</p>
-                            <p className="font-medium text-gray-800">
-                              {ticket.rollNumber}
-                            </p>
-                          </div>
-                          <div>
-                            <p className="text-gray-500">Email</p>
-                            <p className="font-medium text-gray-800">
-                              {ticket.email}
-                            </p>
-                          </div>
-                          <div>
-                            <p className="text-gray-500">Ticket ID</p>
-                            <p className="font-medium text-gray-800">
-                              {ticket.id}
-                            </p>
-                          </div>
-                          <div>
-                            <p className="text-gray-500">Generated</p>
-                            <p className="font-medium text-gray-800">
-                              {new Date(
-                                ticket.generatedAt
-                              ).toLocaleDateString()}
-                            </p>
-                          </div>
-                        </div>
-                        {ticketStatuses[ticket.id] === "used" &&
-                          ticket.scannedAt && (
-                            <p className="text-xs text-gray-500 mt-2">
-                              ✓ Scanned:{" "}
-                              {new Date(ticket.scannedAt).toLocaleString()}
-                            </p>
+                {/* Manual Entry Fallback */}
+                <div className="mb-6 pt-6 border-t border-gray-200">
+                  <ManualEntry
+                    eventId={selectedEvent.id}
+                    offlineEventId={offline.snapshotInfo?.eventId}
+                    onSubmit={verifyManualEntry}
+                  />
+                </div>
+
+                {/* Scan Result */}
+                {scanResult && !continuousMode && (
+                  <ScanResultPanel result={scanResult}>
+                    {overrideFor === scanResult ? (
+                      <OverrideForm
+                        ticket={scanResult.ticket}
+                        eventId={selectedEvent.id}
+                        user={user}
+                        onApproved={(result) => {
+                          offline.rememberCheckIn(
+                            result.ticket.id,
+                            result.ticket.scannedAt
+                          );
+                          showResult(result, result.ticket.id);
+                        }}
+                        onCancel={() => setOverrideFor(null)}
+                      />
+                    ) : (
+                      <div className="flex flex-wrap gap-2 mt-4">
+                        <button
+                          onClick={() => {
+                            clearScanResult();
+                            if (usesCamera && !isScanning) qrCamera.start();
+                          }}
+                          className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-6 rounded-lg transition-colors"
+                        >
+                          {t("scan.next")}
+                        </button>
+                        {!scanResult.success &&
+                          scanResult.ticket &&
+                          offline.isOnline && (
+                            <button
+                              onClick={() => setOverrideFor(scanResult)}
+                              className="flex items-center gap-2 bg-amber-500 hover:bg-amber-600 text-white font-semibold py-2 px-6 rounded-lg transition-colors"
+                            >
+                              <ShieldAlert size={18} />
+                              {t("result.overrideButton")}
+                            </button>
                           )}
                       </div>
-                    </div>
-                  </div>
-                ))}
-              </div>
+                    )}
+                  </ScanResultPanel>
+                )}
+              </>
             )}
           </div>
         )}
+
+        {/* History Tab */}
+        {activeTab === "history" && (
+          <ScanHistory
+            history={history}
+            scope={historyScope}
+            onScopeChange={setHistoryScope}
+          />
+        )}
+
+        {/* All Tickets Tab */}
+        {activeTab === "list" && (
+          <TicketList
+            eventId={events.selectedEventId}
+            canManage={hasPermission(user, "manage")}
+          />
+        )}
+
+        {/* Dashboard Tab */}
+        {activeTab === "dashboard" && <Dashboard live={liveStats} />}
+
+        {/* Reports Tab */}
+        {activeTab === "reports" && <EventReport event={selectedEvent} />}
+
+        {/* Issue Ticket Tab */}
+        {activeTab === "issue" && <IssueTicket event={selectedEvent} />}
+
+        {/* Import Tab */}
+        {activeTab === "import" && <ImportTickets event={selectedEvent} />}
       </div>
     </div>
   );
@@ -0,0 +1,269 @@
+// @vitest-environment jsdom
+import "fake-indexeddb/auto";
+import React from "react";
+import {
+  describe,
+  it,
+  expect,
+  vi,
+  beforeAll,
+  beforeEach,
+  afterEach,
+} from "vitest";
+import {
+  render,
+  screen,
+  fireEvent,
+  act,
+  cleanup,
+  waitFor,
+} from "@testing-library/react";
+import { createMockApi } from "../test/mockApi";
+import { EVENT, apiTicket } from "../test/fixtures";
+import { createTicketSigner } from "../test/ticketSigner";
+import { emitDecode, resetFakeScanners } from "../test/fakeHtml5Qrcode";
+
+vi.mock("html5-qrcode", () => import("../test/fakeHtml5Qrcode"));
+
+const USER = { id: "U-1", name: "Gate Staff", role: "scanner" };
+
+const STATS = {
+  total: 10,
+  admitted: 0,
+  remaining: 10,
+  arrivalsPerMinute: [],
+  gates: [],
+  devices: [],
+  updatedAt: "2024-03-05T09:00:00.000Z",
+};
+
+let QRTicketSystem;
+let signer;
+let api;
+
+// Render the scanner for a registered gate device and start the camera
+const renderScanner = async () => {
+  render(<QRTicketSystem user={USER} sessionId="S-1" onLogout={() => {}} />);
+  fireEvent.click(await screen.findByText("Start Camera Scanner"));
+  await screen.findByText("Stop Scanner");
+};
+
+const scan = (text) => act(() => emitDecode(text));
+
+const verifyCalls = () => api.callsTo("POST /api/tickets/verify");
+
+beforeAll(async () => {
+  signer = await createTicketSigner();
+  vi.stubEnv("VITE_TICKET_PUBLIC_KEY", signer.publicKey);
+  ({ default: QRTicketSystem } = await import("./Scanner"));
+});
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  localStorage.setItem("qr-ticket:locale", "en");
+  localStorage.setItem("qr-ticket:selected-event", EVENT.id);
+  localStorage.setItem(
+    "qr-ticket:device",
+    JSON.stringify({ gate: "North Gate", deviceId: "3" })
+  );
+  api = createMockApi({
+    "GET /api/events": () => ({ body: { events: [EVENT] } }),
+    "GET /api/stats": () => ({ body: STATS }),
+  });
+  vi.stubGlobal("fetch", api.fetch);
+});
+
+afterEach(() => {
+  cleanup();
+  resetFakeScanners();
+  localStorage.clear();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("QRTicketSystem scan flow", () => {
+  it("admits a valid ticket and sends the gate and device", async () => {
+    api.on("POST /api/tickets/verify", () => ({
+      body: {
+        success: true,
+        ticket: apiTicket({
+          status: "used",
+          scannedAt: new Date().toISOString(),
+        }),
+      },
+    }));
+    await renderScanner();
+
+    await scan(await signer.issue("STU-1", { eventId: EVENT.id }));
+
+    expect(await screen.findByText("Entry Approved ✓")).toBeTruthy();
+    expect(screen.getByText("Rahul Kumar")).toBeTruthy();
+    expect(verifyCalls()[0].body).toEqual({
+      ticketId: "STU-1",
+      eventId: EVENT.id,
+      gate: "North Gate",
+      deviceId: "3",
+    });
+  });
+
+  it("says where and when an already used ticket was scanned", async () => {
+    api.on("POST /api/tickets/verify", () => ({
+      status: 409,
+      body: {
+        message: "Ticket already used",
+        code: "ALREADY_USED",
+        ticket: apiTicket({
+          status: "used",
+          scannedAt: new Date(Date.now() - 2 * 60 * 1000).toISOString(),
+          scannedGate: "South Gate",
+          scannedDeviceId: "7",
+        }),
+      },
+    }));
+    await renderScanner();
+
+    await scan(await signer.issue("STU-1"));
+
+    expect(await screen.findByText("Ticket Already Used")).toBeTruthy();
+    expect(
+      screen.getByText("Used at South Gate, device 7, 2 min ago")
+    ).toBeTruthy();
+    expect(
+      screen.getByText(
+        "Scanned at a different gate - the QR code may be shared or copied"
+      )
+    ).toBeTruthy();
+  });
+
+  it("reports a ticket the backend does not know", async () => {
+    api.on("POST /api/tickets/verify", () => ({
+      status: 404,
+      body: { message: "Ticket not found", code: "NOT_FOUND" },
+    }));
+    await renderScanner();
+
+    await scan(await signer.issue("STU-404"));
+
+    expect(await screen.findByText("Ticket Not Found")).toBeTruthy();
+  });
+
+  it("rejects a malformed JSON response", async () => {
+    api.on("POST /api/tickets/verify", () => ({ body: "{ not json" }));
+    await renderScanner();
+
+    await scan(await signer.issue("STU-1"));
+
+    expect(await screen.findByText("Verification Failed")).toBeTruthy();
+    expect(
+      screen.getByText("The server sent an unexpected response.")
+    ).toBeTruthy();
+  });
+
+  it("reports a connection error when the network fails", async () => {
+    api.on("POST /api/tickets/verify", () => {
+      throw new TypeError("Failed to fetch");
+    });
+    await renderScanner();
+
+    await scan(await signer.issue("STU-1"));
+
+    expect(await screen.findByText("Connection Error")).toBeTruthy();
+  });
+
+  it("verifies a code decoded twice in a row only once", async () => {
+    api.on("POST /api/tickets/verify", () => ({
+      body: { success: true, ticket: apiTicket({ status: "used" }) },
+    }));
+    await renderScanner();
+    const qr = await signer.issue("STU-1");
+
+    await act(async () => {
+      emitDecode(qr);
+      emitDecode(qr);
+      emitDecode(qr);
+    });
+
+    expect(await screen.findByText("Entry Approved ✓")).toBeTruthy();
+    expect(verifyCalls()).toHaveLength(1);
+  });
+
+  it("drops repeat reads of the same code in continuous mode", async () => {
+    api.on("POST /api/tickets/verify", () => ({
+      body: { success: true, ticket: apiTicket({ status: "used" }) },
+    }));
+    render(<QRTicketSystem user={USER} sessionId="S-1" onLogout={() => {}} />);
+    fireEvent.click(await screen.findByText("Continuous"));
+    fireEvent.click(screen.getByText("Start Camera Scanner"));
+    await screen.findByText("Stop Scanner");
+    const qr = await signer.issue("STU-1");
+
+    await scan(qr);
+    await scan(qr);
+
+    expect(await screen.findByText("Entry Approved ✓")).toBeTruthy();
+    expect(verifyCalls()).toHaveLength(1);
+  });
+
+  it("queues a second scan behind an open identity check", async () => {
+    api.on("GET /api/events", () => ({
+      body: { events: [{ ...EVENT, requireIdentityCheck: true }] },
+    }));
+    const names = { "STU-1": "Rahul Kumar", "STU-2": "Priya Sharma" };
+    api.on("POST /api/tickets/verify", ({ ticketId, dryRun }) => ({
+      body: {
+        success: true,
+        ticket: apiTicket({
+          ticketId,
+          attendeeName: names[ticketId],
+          status: dryRun ? "valid" : "used",
+        }),
+      },
+    }));
+    render(<QRTicketSystem user={USER} sessionId="S-1" onLogout={() => {}} />);
+    fireEvent.click(await screen.findByText("Continuous"));
+    fireEvent.click(screen.getByText("Start Camera Scanner"));
+    await screen.findByText("Stop Scanner");
+    const first = await signer.issue("STU-1");
+    const second = await signer.issue("STU-2");
+
+    await act(async () => {
+      emitDecode(first);
+      emitDecode(second);
+    });
+
+    expect(await screen.findByText("Rahul Kumar")).toBeTruthy();
+    expect(await screen.findByText("1 more check-in waiting")).toBeTruthy();
+
+    fireEvent.click(screen.getByText("Identity Confirmed"));
+    expect(await screen.findByText("Priya Sharma")).toBeTruthy();
+
+    fireEvent.click(screen.getByText("Identity Confirmed"));
+    await screen.findAllByText("Entry Approved ✓");
+
+    const commits = verifyCalls().filter((call) => !call.body.dryRun);
+    expect(commits.map((call) => call.body.ticketId)).toEqual([
+      "STU-1",
+      "STU-2",
+    ]);
+  });
+
+  it("opens live stats only for staff who may see them", async () => {
+    await renderScanner();
+    expect(api.callsTo("GET /api/stats")).toEqual([]);
+    cleanup();
+
+    render(
+      <QRTicketSystem
+        user={{ ...USER, role: "supervisor" }}
+        sessionId="S-1"
+        onLogout={() => {}}
+      />
+    );
+
+    expect(await screen.findByText("Total Attendees")).toBeTruthy();
+    await waitFor(() =>
+      expect(api.callsTo("GET /api/stats").length).toBeGreaterThan(0)
+    );
+  });
+});
@@ -0,0 +1,56 @@
+import React from "react";
+import { Users, Check, Ticket } from "lucide-react";
+import useLocale from "../hooks/useLocale";
+
+const StatsCards = ({ stats }) => {
+  const { t } = useLocale();
+  const cards = [
+    {
+      label: t("stats.total"),
+      value: stats?.total,
+      hint:
+        stats?.ticketCount != null &&
+        t("stats.tickets", { count: stats.ticketCount }),
+      icon: Ticket,
+      color: "text-blue-500",
+    },
+    {
+      label: t("stats.admitted"),
+      value: stats?.admitted,
+      icon: Check,
+      color: "text-green-500",
+    },
+    {
+      label: t("stats.remaining"),
+      value: stats?.remaining,
+      icon: Users,
+      color: "text-purple-500",
+    },
+  ];
+
+  return (
+    <div className="grid grid-cols-3 gap-4 mb-6">
+      {cards.map((card) => {
+        const Icon = card.icon;
+        return (
+          <div key={card.label} className="bg-white rounded-lg shadow p-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-500">{card.label}</p>
+                <p className="text-3xl font-bold text-gray-800">
+                  {card.value ?? "—"}
+                </p>
+                {card.hint && (
+                  <p className="text-xs text-gray-500">{card.hint}</p>
+                )}
+              </div>
+              <Icon className={card.color} size={32} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StatsCards;
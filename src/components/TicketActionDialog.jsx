@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import { X } from "lucide-react";
+import ticketClient from "../api/ticketClient";
+import IssuedTicketQr from "./IssuedTicketQr";
+import { describeRequestError } from "../utils/serverErrors";
+import useLocale from "../hooks/useLocale";
+
+// Title, note and submit label come from the catalog as
+// ticketAction.<action>.title, .note and .submit
+const TICKET_ACTIONS = {
+  revoke: {
+    run: (ticket, form) =>
+      ticketClient.revokeTicket(ticket.id, { reason: form.reason }),
+  },
+  reissue: {
+    run: (ticket, form) =>
+      ticketClient.reissueTicket(ticket.id, { reason: form.reason }),
+  },
+  transfer: {
+    withStudent: true,
+    run: (ticket, form) =>
+      ticketClient.transferTicket(ticket.id, {
+        studentName: form.studentName,
+        rollNumber: form.rollNumber,
+        email: form.email,
+        reason: form.reason,
+      }),
+  },
+  undo: {
+    run: (ticket, form) =>
+      ticketClient.undoCheckIn(ticket.id, { reason: form.reason }),
+  },
+};
+
+const STUDENT_FIELDS = [
+  { name: "studentName", label: "ticketAction.newStudentName", type: "text" },
+  { name: "rollNumber", label: "field.rollNumber", type: "text" },
+  { name: "email", label: "field.email", type: "email" },
+];
+
+const EMPTY_FORM = { reason: "", studentName: "", rollNumber: "", email: "" };
+
+const TicketActionDialog = ({ action, ticket, onClose, onDone }) => {
+  const { t } = useLocale();
+  const config = TICKET_ACTIONS[action];
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [issued, setIssued] = useState(null);
+
+  const updateField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const trimmed = Object.fromEntries(
+        Object.entries(form).map(([key, value]) => [key, value.trim()])
+      );
+      const result = await config.run(ticket, trimmed);
+      onDone();
+      // Reissue and transfer hand back a new code to give to the student
+      if (result.token) {
+        setIssued(result);
+      } else {
+        onClose();
+      }
+    } catch (err) {
+      console.error(`❌ Ticket ${action} error:`, err);
+      setError(describeRequestError(err, t("ticketAction.failed")));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gray-900/70 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-xl p-6 w-full max-w-md">
+        <div className="flex items-start justify-between mb-2">
+          <h3 className="text-xl font-bold text-gray-800">
+            {t(`ticketAction.${action}.title`)}
+          </h3>
+          <button
+            onClick={onClose}
+            aria-label={t("ticketAction.close")}
+            className="text-gray-400 hover:text-gray-700"
+          >
+            <X size={20} />
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          {ticket.studentName} · {ticket.id}
+        </p>
+
+        {issued ? (
+          <IssuedTicketQr ticket={issued.ticket} token={issued.token} />
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-3">
+            <p className="text-sm text-amber-700 bg-amber-50 rounded-lg p-3">
+              {t(`ticketAction.${action}.note`)}
+            </p>
+            {config.withStudent &&
+              STUDENT_FIELDS.map((field) => (
+                <label key={field.name} className="block">
+                  <span className="block text-sm font-medium text-gray-700 mb-1">
+                    {t(field.label)}
+                  </span>
+                  <input
+                    type={field.type}
+                    required
+                    value={form[field.name]}
+                    onChange={updateField(field.name)}
+                    className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+              ))}
+            <label className="block">
+              <span className="block text-sm font-medium text-gray-700 mb-1">
+                {t("ticketAction.reason")}
+              </span>
+              <input
+                type="text"
+                required
+                value={form.reason}
+                onChange={updateField("reason")}
+                placeholder={t("ticketAction.reasonPlaceholder")}
+                className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            {error && <p className="text-red-700 text-sm">{error}</p>}
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 rounded-lg transition-colors disabled:opacity-50"
+            >
+              {isSubmitting
+                ? t("ticketAction.saving")
+                : t(`ticketAction.${action}.submit`)}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TicketActionDialog;
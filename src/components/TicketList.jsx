@@ -0,0 +1,324 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useVirtualizer } from "@tanstack/react-virtual";
+import { Users, Search, RefreshCw } from "lucide-react";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import useTicketRoster from "../hooks/useTicketRoster";
+import TicketActionDialog from "./TicketActionDialog";
+import { availableActions } from "../utils/ticketStatus";
+import { isGroupTicket, describeAdmissions } from "../utils/admissions";
+import useLocale from "../hooks/useLocale";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const STATUS_STYLES = {
+  valid: {
+    card: "bg-green-50 border-green-300",
+    badge: "bg-green-200 text-green-700",
+    labelKey: "status.valid",
+  },
+  used: {
+    card: "bg-gray-50 border-gray-300",
+    badge: "bg-gray-200 text-gray-700",
+    labelKey: "list.badge.used",
+  },
+  exited: {
+    card: "bg-amber-50 border-amber-300",
+    badge: "bg-amber-200 text-amber-700",
+    labelKey: "list.badge.exited",
+  },
+  revoked: {
+    card: "bg-red-50 border-red-300",
+    badge: "bg-red-200 text-red-700",
+    labelKey: "status.revoked",
+  },
+  superseded: {
+    card: "bg-red-50 border-red-300",
+    badge: "bg-red-200 text-red-700",
+    labelKey: "status.superseded",
+  },
+  transferred: {
+    card: "bg-red-50 border-red-300",
+    badge: "bg-red-200 text-red-700",
+    labelKey: "status.transferred",
+  },
+};
+
+const STATUSES = Object.keys(STATUS_STYLES);
+
+// Convert a datetime-local input value to an ISO timestamp for the API
+const toIsoOrUndefined = (value) =>
+  value ? new Date(value).toISOString() : undefined;
+
+const TicketRow = ({ ticket, onAction }) => {
+  const { t, formatDate, formatDateTime } = useLocale();
+  const style = STATUS_STYLES[ticket.status] || STATUS_STYLES.valid;
+
+  return (
+    <div className={`p-4 rounded-lg border-2 transition-all ${style.card}`}>
+      <div className="flex items-center gap-3 mb-2">
+        <h3 className="font-bold text-lg text-gray-800">
+          {ticket.studentName}
+        </h3>
+        <span
+          className={`px-3 py-1 rounded-full text-xs font-semibold ${style.badge}`}
+        >
+          {t(style.labelKey)}
+        </span>
+        {isGroupTicket(ticket) && (
+          <span className="px-3 py-1 rounded-full text-xs font-semibold bg-blue-100 text-blue-800">
+            {describeAdmissions(ticket)}
+          </span>
+        )}
+        {onAction && (
+          <div className="ml-auto flex flex-wrap gap-1">
+            {availableActions(ticket).map((action) => (
+              <button
+                key={action}
+                onClick={() => onAction(action, ticket)}
+                className="px-2 py-1 text-xs font-semibold border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-100"
+              >
+                {t(`ticketAction.${action}`)}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        <div>
+          <p className="text-gray-500">{t("field.rollNumber")}</p>
+          <p className="font-medium text-gray-800">{ticket.rollNumber}</p>
+        </div>
+        <div>
+          <p className="text-gray-500">{t("field.email")}</p>
+          <p className="font-medium text-gray-800 truncate">{ticket.email}</p>
+        </div>
+        <div>
+          <p className="text-gray-500">{t("field.ticketId")}</p>
+          <p className="font-medium text-gray-800">{ticket.id}</p>
+        </div>
+        <div>
+          <p className="text-gray-500">{t("list.generated")}</p>
+          <p className="font-medium text-gray-800">
+            {ticket.generatedAt ? formatDate(ticket.generatedAt) : "—"}
+          </p>
+        </div>
+      </div>
+      {ticket.scannedAt && ticket.admitted > 0 && (
+        <p className="text-xs text-gray-500 mt-2">
+          {ticket.scannedBy
+            ? t("list.scannedBy", {
+                time: formatDateTime(ticket.scannedAt),
+                name: ticket.scannedBy,
+              })
+            : t("list.scanned", { time: formatDateTime(ticket.scannedAt) })}
+        </p>
+      )}
+      {ticket.statusReason && (
+        <p className="text-xs text-red-700 mt-1">
+          {t("list.reason", { reason: ticket.statusReason })}
+          {ticket.replacedBy &&
+            ` · ${t("list.replacedBy", { ticketId: ticket.replacedBy })}`}
+        </p>
+      )}
+      {ticket.override && (
+        <p className="text-xs text-amber-700 mt-1">
+          {t("list.override", {
+            name: ticket.override.by,
+            reason: ticket.override.reason,
+          })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const TicketList = ({ eventId, canManage }) => {
+  const { t } = useLocale();
+  const [pendingAction, setPendingAction] = useState(null);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [status, setStatus] = useState("");
+  const [scannedFrom, setScannedFrom] = useState("");
+  const [scannedTo, setScannedTo] = useState("");
+  const debouncedSearch = useDebouncedValue(
+    searchQuery.trim(),
+    SEARCH_DEBOUNCE_MS
+  );
+
+  const roster = useTicketRoster({
+    eventId,
+    search: debouncedSearch,
+    status,
+    scannedFrom: toIsoOrUndefined(scannedFrom),
+    scannedTo: toIsoOrUndefined(scannedTo),
+  });
+
+  const listRef = useRef(null);
+  const virtualizer = useVirtualizer({
+    // One extra row at the end acts as the "load more" sentinel
+    count: roster.hasMore ? roster.tickets.length + 1 : roster.tickets.length,
+    getScrollElement: () => listRef.current,
+    estimateSize: () => 140,
+    overscan: 6,
+  });
+  const virtualRows = virtualizer.getVirtualItems();
+
+  // Fetch the next page once the sentinel row scrolls into view. After a
+  // failed page the sentinel waits for a manual retry instead.
+  const lastRowIndex = virtualRows.length
+    ? virtualRows[virtualRows.length - 1].index
+    : -1;
+  const { hasMore, loadMore, tickets, error } = roster;
+  useEffect(() => {
+    if (hasMore && !error && lastRowIndex >= tickets.length) {
+      loadMore();
+    }
+  }, [hasMore, error, lastRowIndex, tickets.length, loadMore]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+        <h2 className="text-2xl font-bold text-gray-800">{t("list.title")}</h2>
+        <div className="flex items-center gap-2">
+          <Search className="text-gray-400" size={20} />
+          <input
+            type="text"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder={t("list.searchPlaceholder")}
+          />
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-end gap-3 mb-4 text-sm">
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">{t("list.status")}</span>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+          >
+            <option value="">{t("list.status.all")}</option>
+            {STATUSES.map((value) => (
+              <option key={value} value={value}>
+                {t(`list.status.${value}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">{t("list.scannedFrom")}</span>
+          <input
+            type="datetime-local"
+            value={scannedFrom}
+            onChange={(e) => setScannedFrom(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">{t("list.scannedTo")}</span>
+          <input
+            type="datetime-local"
+            value={scannedTo}
+            onChange={(e) => setScannedTo(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+        <button
+          onClick={roster.reload}
+          className="ml-auto flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100"
+        >
+          <RefreshCw
+            size={16}
+            className={roster.isLoading ? "animate-spin" : ""}
+          />
+          {t("list.refresh")}
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-3">
+        {t("list.showing", {
+          count: roster.tickets.length,
+          total: roster.total,
+        })}
+        {roster.attendeeTotal != null &&
+          ` · ${t("list.attendees", { count: roster.attendeeTotal })}`}
+      </p>
+
+      {roster.error && (
+        <div className="bg-red-50 border-2 border-red-300 rounded-lg p-4 mb-4">
+          <p className="text-red-700 text-sm">{roster.error}</p>
+        </div>
+      )}
+
+      {roster.tickets.length === 0 && !roster.isLoading ? (
+        <div className="text-center py-12 text-gray-500">
+          <Users size={48} className="mx-auto mb-4 opacity-50" />
+          <p>{t("list.empty")}</p>
+        </div>
+      ) : (
+        <div
+          ref={listRef}
+          className="overflow-y-auto"
+          style={{ height: "65vh" }}
+        >
+          <div
+            className="relative w-full"
+            style={{ height: `${virtualizer.getTotalSize()}px` }}
+          >
+            {virtualRows.map((row) => {
+              const ticket = roster.tickets[row.index];
+              return (
+                <div
+                  key={row.key}
+                  data-index={row.index}
+                  ref={virtualizer.measureElement}
+                  className="absolute top-0 left-0 w-full pb-3"
+                  style={{ transform: `translateY(${row.start}px)` }}
+                >
+                  {ticket ? (
+                    <TicketRow
+                      ticket={ticket}
+                      onAction={
+                        canManage
+                          ? (action, target) =>
+                              setPendingAction({ action, ticket: target })
+                          : null
+                      }
+                    />
+                  ) : roster.error ? (
+                    <div className="text-center py-4">
+                      <button
+                        onClick={roster.loadMore}
+                        className="inline-flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        <RefreshCw size={16} />
+                        {t("list.retry")}
+                      </button>
+                    </div>
+                  ) : (
+                    <p className="text-center text-sm text-gray-500 py-4">
+                      {t("list.loadingMore")}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {pendingAction && (
+        <TicketActionDialog
+          action={pendingAction.action}
+          ticket={pendingAction.ticket}
+          onClose={() => setPendingAction(null)}
+          onDone={roster.reload}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TicketList;
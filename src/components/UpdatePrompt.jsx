@@ -0,0 +1,50 @@
+import React from "react";
+import { useRegisterSW } from "virtual:pwa-register/react";
+import { RefreshCw, X } from "lucide-react";
+import useLocale from "../hooks/useLocale";
+
+// Offer the freshly deployed build instead of reloading under the operator
+const UpdatePrompt = () => {
+  const { t } = useLocale();
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    offlineReady: [offlineReady, setOfflineReady],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisterError: (err) =>
+      console.error("❌ Service worker registration error:", err),
+  });
+
+  if (!needRefresh && !offlineReady) return null;
+
+  const close = () => {
+    setNeedRefresh(false);
+    setOfflineReady(false);
+  };
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 bg-gray-900 text-white rounded-lg shadow-lg px-4 py-3 flex items-center gap-4 text-sm">
+      <span>
+        {needRefresh ? t("update.available") : t("update.offlineReady")}
+      </span>
+      {needRefresh && (
+        <button
+          onClick={() => updateServiceWorker(true)}
+          className="flex items-center gap-1 bg-blue-500 hover:bg-blue-600 font-semibold py-1 px-3 rounded-md"
+        >
+          <RefreshCw size={14} />
+          {t("update.reload")}
+        </button>
+      )}
+      <button
+        onClick={close}
+        aria-label={t("common.dismiss")}
+        className="text-gray-300 hover:text-white"
+      >
+        <X size={16} />
+      </button>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,98 @@
+import { useState, useEffect } from "react";
+import ticketClient from "../api/ticketClient";
+import { NetworkError, TimeoutError } from "../api/errors";
+import { describeRequestError } from "../utils/serverErrors";
+import { t } from "../i18n";
+import { getAllTickets } from "../utils/offlineStore";
+import { rankCandidates } from "../utils/fuzzyMatch";
+import useDebouncedValue from "./useDebouncedValue";
+
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+
+// Translated wording for a failed search; the server's own messages are
+// English only
+const describeLookupError = (error) =>
+  describeRequestError(error, t("lookup.failed"));
+
+// Candidates for a manual lookup. The backend search is used when online;
+// the downloaded snapshot stands in for it when the gate is offline.
+const useAttendeeSearch = (query, { eventId, offlineEventId }) => {
+  const debouncedQuery = useDebouncedValue(query.trim(), SEARCH_DEBOUNCE_MS);
+  const [candidates, setCandidates] = useState([]);
+  const [source, setSource] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (debouncedQuery.length < MIN_QUERY_LENGTH || !eventId) {
+      setCandidates([]);
+      setSource(null);
+      setError(null);
+      // A search cancelled by this change never cleared its own spinner
+      setIsSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    // Null when no ticket list for this event has been downloaded
+    const searchOffline = async () => {
+      if (offlineEventId !== eventId) return null;
+      return rankCandidates(debouncedQuery, await getAllTickets());
+    };
+
+    const search = async () => {
+      setIsSearching(true);
+      setError(null);
+      try {
+        let ranked;
+        let from = "server";
+        if (!navigator.onLine) {
+          ranked = await searchOffline();
+          from = "offline";
+        } else {
+          try {
+            const { tickets } = await ticketClient.searchTickets(
+              debouncedQuery,
+              { eventId }
+            );
+            // Re-rank locally so server and offline results order alike
+            ranked = rankCandidates(debouncedQuery, tickets, {
+              threshold: 0,
+            });
+          } catch (err) {
+            if (!(err instanceof NetworkError || err instanceof TimeoutError)) {
+              throw err;
+            }
+            ranked = await searchOffline();
+            from = "offline";
+          }
+        }
+        if (cancelled) return;
+        if (!ranked) {
+          setCandidates([]);
+          setError(t("lookup.noOfflineList"));
+          return;
+        }
+        setCandidates(ranked.map((candidate) => candidate.ticket));
+        setSource(from);
+      } catch (err) {
+        if (cancelled) return;
+        console.error("❌ Lookup error:", err);
+        setCandidates([]);
+        setError(describeLookupError(err));
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    };
+
+    search();
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedQuery, eventId, offlineEventId]);
+
+  return { candidates, source, isSearching, error };
+};
+
+export default useAttendeeSearch;
@@ -0,0 +1,33 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { renderHook, waitFor } from "@testing-library/react";
+import ticketClient from "../api/ticketClient";
+import useAttendeeSearch from "./useAttendeeSearch";
+
+const renderSearch = (query) =>
+  renderHook(
+    ({ text }) =>
+      useAttendeeSearch(text, { eventId: "EVT-1", offlineEventId: null }),
+    { initialProps: { text: query } }
+  );
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("useAttendeeSearch", () => {
+  it("stops searching when the query is cleared mid-search", async () => {
+    // A backend search that never answers
+    vi.spyOn(ticketClient, "searchTickets").mockReturnValue(
+      new Promise(() => {})
+    );
+    const { result, rerender } = renderSearch("Rahul");
+    await waitFor(() => expect(result.current.isSearching).toBe(true));
+
+    rerender({ text: "" });
+
+    await waitFor(() => expect(result.current.isSearching).toBe(false));
+    expect(result.current.candidates).toEqual([]);
+    expect(result.current.error).toBeNull();
+  });
+});
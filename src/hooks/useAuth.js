@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback } from "react";
+import ticketClient from "../api/ticketClient";
+import {
+  getSession,
+  saveSession,
+  clearSession,
+  subscribeSession,
+} from "../api/session";
+
+// Signed-in staff member for this device. The session also ends when the
+// API client sees a 401, so the app drops back to the login screen.
+const useAuth = () => {
+  const [session, setSession] = useState(getSession);
+
+  useEffect(() => subscribeSession(setSession), []);
+
+  const login = useCallback(async (username, password) => {
+    const result = await ticketClient.login(username, password);
+    // The local id groups this device's scan history by staff session
+    saveSession({ ...result, id: crypto.randomUUID() });
+    return result.user;
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await ticketClient.logout();
+    } catch (err) {
+      // The local session is dropped either way
+      console.error("❌ Logout error:", err);
+    }
+    clearSession();
+  }, []);
+
+  return {
+    user: session?.user ?? null,
+    sessionId: session?.id ?? null,
+    login,
+    logout,
+  };
+};
+
+export default useAuth;
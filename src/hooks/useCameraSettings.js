@@ -0,0 +1,22 @@
+import { useState } from "react";
+import {
+  loadCameraSettings,
+  saveCameraSettings,
+  normalizeCameraSettings,
+} from "../utils/cameraSettings";
+
+// Camera settings for this device; `update` saves and returns the result
+const useCameraSettings = () => {
+  const [settings, setSettings] = useState(loadCameraSettings);
+
+  const update = (patch) => {
+    const next = normalizeCameraSettings({ ...settings, ...patch });
+    setSettings(next);
+    saveCameraSettings(next);
+    return next;
+  };
+
+  return { settings, update };
+};
+
+export default useCameraSettings;
@@ -0,0 +1,15 @@
+import { useState, useEffect } from "react";
+
+// Returns `value` once it has stopped changing for `delayMs`
+const useDebouncedValue = (value, delayMs) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delayMs);
+    return () => clearTimeout(timer);
+  }, [value, delayMs]);
+
+  return debounced;
+};
+
+export default useDebouncedValue;
@@ -0,0 +1,13 @@
+import { useState, useEffect } from "react";
+import { getDevice, saveDevice, subscribeDevice } from "../api/device";
+
+// This scanner's gate registration; null until staff register the device
+const useDevice = () => {
+  const [device, setDevice] = useState(getDevice);
+
+  useEffect(() => subscribeDevice(setDevice), []);
+
+  return { device, register: saveDevice };
+};
+
+export default useDevice;
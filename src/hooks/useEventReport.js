@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from "react";
+import ticketClient from "../api/ticketClient";
+import { t } from "../i18n";
+
+// Post-event report payload for one event, fetched on demand rather than
+// streamed like the live stats
+const useEventReport = (eventId) => {
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  // A different event's numbers must never show, even briefly
+  useEffect(() => {
+    setReport(null);
+  }, [eventId]);
+
+  useEffect(() => {
+    if (!eventId) {
+      setIsLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    const load = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const result = await ticketClient.getEventReport(eventId);
+        if (!cancelled) setReport(result);
+      } catch (err) {
+        if (cancelled) return;
+        console.error("❌ Report error:", err);
+        setError(t("report.loadError"));
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [eventId, reloadCount]);
+
+  const reload = useCallback(() => setReloadCount((count) => count + 1), []);
+
+  return { report, isLoading, error, reload };
+};
+
+export default useEventReport;
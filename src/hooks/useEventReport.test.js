@@ -0,0 +1,47 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import ticketClient from "../api/ticketClient";
+import useEventReport from "./useEventReport";
+
+const reportFor = (eventId) => ({ eventId, tickets: [], attempts: [] });
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("useEventReport", () => {
+  it("ignores a previous event's report that arrives late", async () => {
+    const pending = {};
+    vi.spyOn(ticketClient, "getEventReport").mockImplementation(
+      (eventId) =>
+        new Promise((resolve) => {
+          pending[eventId] = () => resolve(reportFor(eventId));
+        })
+    );
+    const { result, rerender } = renderHook(
+      ({ eventId }) => useEventReport(eventId),
+      { initialProps: { eventId: "EVT-1" } }
+    );
+
+    rerender({ eventId: "EVT-2" });
+    await act(async () => pending["EVT-2"]());
+    await act(async () => pending["EVT-1"]());
+
+    expect(result.current.report.eventId).toBe("EVT-2");
+    expect(result.current.isLoading).toBe(false);
+  });
+
+  it("fetches again on reload", async () => {
+    const getEventReport = vi
+      .spyOn(ticketClient, "getEventReport")
+      .mockImplementation(async (eventId) => reportFor(eventId));
+    const { result } = renderHook(() => useEventReport("EVT-1"));
+    await waitFor(() => expect(result.current.report).not.toBeNull());
+
+    act(() => result.current.reload());
+
+    await waitFor(() => expect(getEventReport).toHaveBeenCalledTimes(2));
+    expect(result.current.report.eventId).toBe("EVT-1");
+  });
+});
@@ -0,0 +1,85 @@
+import { useState, useEffect, useCallback } from "react";
+import ticketClient from "../api/ticketClient";
+import { describeRequestError } from "../utils/serverErrors";
+import { t } from "../i18n";
+
+const STORAGE_KEY = "qr-ticket:selected-event";
+const CACHE_KEY = "qr-ticket:events";
+
+const readCachedEvents = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+// Event list plus the event this device is working for, remembered across
+// reloads so a gate phone stays on its event. The list is cached so the
+// scanner can still start while offline.
+const useEvents = () => {
+  const [events, setEvents] = useState(readCachedEvents);
+  const [selectedEventId, setSelectedEventId] = useState(() =>
+    localStorage.getItem(STORAGE_KEY)
+  );
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadEvents = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await ticketClient.listEvents();
+      setEvents(result.events);
+      localStorage.setItem(CACHE_KEY, JSON.stringify(result.events));
+    } catch (err) {
+      console.error("❌ Events error:", err);
+      setError(describeRequestError(err, t("event.loadError")));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const selectEvent = useCallback((eventId) => {
+    setSelectedEventId(eventId || null);
+    if (eventId) {
+      localStorage.setItem(STORAGE_KEY, eventId);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  }, []);
+
+  // Swap in an event the backend just returned after an update
+  const replaceEvent = useCallback((updated) => {
+    setEvents((prev) => {
+      const next = prev.map((event) =>
+        event.id === updated.id ? updated : event
+      );
+      localStorage.setItem(CACHE_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  const findEvent = useCallback(
+    (eventId) => events.find((event) => event.id === eventId) || null,
+    [events]
+  );
+
+  return {
+    events,
+    selectedEvent: findEvent(selectedEventId),
+    selectedEventId,
+    selectEvent,
+    findEvent,
+    replaceEvent,
+    isLoading,
+    error,
+    reload: loadEvents,
+  };
+};
+
+export default useEvents;
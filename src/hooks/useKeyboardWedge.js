@@ -0,0 +1,40 @@
+import { useEffect, useRef } from "react";
+import { createWedgeDetector } from "../utils/wedgeDetector";
+
+// Listen for handheld scanner bursts anywhere on the page, whatever has
+// focus. A completed burst is swallowed so it does not also submit or
+// fill the focused field.
+const useKeyboardWedge = ({ enabled, onScan }) => {
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const detector = createWedgeDetector();
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey) return;
+
+      const payload = detector.handleKey(e.key, e.timeStamp);
+      if (payload === null) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      const target = e.target;
+      if (
+        (target instanceof HTMLInputElement ||
+          target instanceof HTMLTextAreaElement) &&
+        target.value.endsWith(payload)
+      ) {
+        target.value = target.value.slice(0, -payload.length);
+      }
+      onScanRef.current(payload);
+    };
+
+    // Capture phase so the burst is seen before any field handles Enter
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  }, [enabled]);
+};
+
+export default useKeyboardWedge;
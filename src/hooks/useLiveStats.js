@@ -0,0 +1,99 @@
+import { useState, useEffect } from "react";
+import ticketClient from "../api/ticketClient";
+import { statsSchema } from "../api/schemas";
+import { describeRequestError } from "../utils/serverErrors";
+import { t } from "../i18n";
+
+const POLL_INTERVAL_MS = 10000;
+const STREAM_RETRY_MS = 30000;
+
+// Live check-in stats for an event over Server-Sent Events, polling while the stream
+// is unavailable. `connection` is "idle", "connecting", "live" or "polling".
+// Nothing is opened without an event, so pass null for staff who may not
+// see the stats.
+const useLiveStats = (eventId) => {
+  const [stats, setStats] = useState(null);
+  const [connection, setConnection] = useState("connecting");
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!eventId) {
+      setStats(null);
+      setConnection("idle");
+      setError(null);
+      return;
+    }
+
+    setConnection("connecting");
+    let stream = null;
+    let pollTimer = null;
+    let retryTimer = null;
+    let cancelled = false;
+
+    const poll = async () => {
+      try {
+        const result = await ticketClient.getStats(eventId);
+        if (cancelled) return;
+        setStats(result);
+        setError(null);
+      } catch (err) {
+        if (cancelled) return;
+        console.error("❌ Stats error:", err);
+        setError(describeRequestError(err, t("dashboard.loadError")));
+      }
+    };
+
+    const startPolling = () => {
+      if (pollTimer) return;
+      setConnection("polling");
+      poll();
+      pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    };
+
+    const stopPolling = () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
+
+    const openStream = () => {
+      if (typeof EventSource === "undefined") {
+        startPolling();
+        return;
+      }
+
+      stream = new EventSource(ticketClient.statsStreamUrl(eventId));
+      stream.onopen = () => {
+        stopPolling();
+        setConnection("live");
+        setError(null);
+      };
+      stream.onmessage = (event) => {
+        try {
+          const parsed = statsSchema.safeParse(JSON.parse(event.data));
+          if (parsed.success) setStats(parsed.data);
+        } catch (err) {
+          console.error("❌ Stats stream message error:", err);
+        }
+      };
+      stream.onerror = () => {
+        stream.close();
+        stream = null;
+        startPolling();
+        retryTimer = setTimeout(openStream, STREAM_RETRY_MS);
+      };
+    };
+
+    openStream();
+
+    return () => {
+      cancelled = true;
+      stream?.close();
+      stopPolling();
+      clearTimeout(retryTimer);
+    };
+  }, [eventId]);
+
+  return { stats, connection, error };
+};
+
+export default useLiveStats;
@@ -0,0 +1,25 @@
+import { useState, useCallback } from "react";
+
+// A small piece of state remembered on this device
+const useLocalSetting = (key, defaultValue) => {
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = localStorage.getItem(key);
+      return stored === null ? defaultValue : JSON.parse(stored);
+    } catch {
+      return defaultValue;
+    }
+  });
+
+  const update = useCallback(
+    (next) => {
+      setValue(next);
+      localStorage.setItem(key, JSON.stringify(next));
+    },
+    [key]
+  );
+
+  return [value, update];
+};
+
+export default useLocalSetting;
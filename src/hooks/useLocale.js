@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  getLocale,
+  setLocale,
+  subscribeLocale,
+  translate,
+  formatDateTime,
+  formatDate,
+  formatTime,
+} from "../i18n";
+
+// Current device language with translate and date helpers bound to it.
+// Every component using this re-renders when the language is switched.
+const useLocale = () => {
+  const [locale, setLocaleState] = useState(getLocale);
+
+  useEffect(() => subscribeLocale(setLocaleState), []);
+
+  const t = useCallback(
+    (key, params) => translate(locale, key, params),
+    [locale]
+  );
+
+  return {
+    locale,
+    setLocale,
+    t,
+    formatDateTime: (value) => formatDateTime(value, locale),
+    formatDate: (value) => formatDate(value, locale),
+    formatTime: (value) => formatTime(value, locale),
+  };
+};
+
+export default useLocale;
@@ -0,0 +1,287 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import {
+  saveSnapshot,
+  getSnapshotInfo,
+  findTicket,
+  recordOfflineCheckIn,
+  getQueuedCheckIns,
+  removeQueuedCheckIns,
+  markTicketUsed,
+} from "../utils/offlineStore";
+import { verifySignature, decodeBase64UrlJson } from "../utils/signature";
+import ticketClient from "../api/ticketClient";
+import { getDevice } from "../api/device";
+import { snapshotPayloadSchema } from "../api/schemas";
+import {
+  MalformedResponseError,
+  NetworkError,
+  TimeoutError,
+  HttpError,
+} from "../api/errors";
+import { describeInactiveTicket } from "../utils/ticketStatus";
+import { describeServerError } from "../utils/serverErrors";
+import { t } from "../i18n";
+import {
+  admit,
+  remainingAdmissions,
+  describeAdmissions,
+} from "../utils/admissions";
+
+// Translated wording for a failed download or sync
+const describeSyncError = (error) => {
+  if (error instanceof HttpError && error.isClientError) {
+    return describeServerError({
+      code: error.data?.code,
+      status: error.status,
+      message: error.message,
+    }).details;
+  }
+  if (error instanceof NetworkError || error instanceof TimeoutError) {
+    return t("offline.unreachable");
+  }
+  if (error instanceof MalformedResponseError) {
+    return t("result.unexpectedResponse");
+  }
+  return t("offline.syncFailed");
+};
+
+const useOfflineSync = () => {
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [snapshotInfo, setSnapshotInfo] = useState(null);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [conflicts, setConflicts] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [syncError, setSyncError] = useState(null);
+  const syncingRef = useRef(false);
+
+  const refreshPending = useCallback(async () => {
+    const queued = await getQueuedCheckIns();
+    setPendingCount(queued.length);
+    return queued;
+  }, []);
+
+  // Download the signed ticket list and keep it for offline verification
+  const downloadSnapshot = useCallback(async (eventId) => {
+    setSyncError(null);
+    try {
+      const { payload, signature } = await ticketClient.getSnapshot(eventId);
+
+      const isValid = await verifySignature(payload, signature);
+      if (!isValid) {
+        setSyncError(t("offline.snapshotInvalid"));
+        return;
+      }
+
+      const parsed = snapshotPayloadSchema.safeParse(
+        decodeBase64UrlJson(payload)
+      );
+      if (!parsed.success) {
+        throw new MalformedResponseError("Snapshot contents are malformed", {
+          cause: parsed.error,
+        });
+      }
+      await saveSnapshot(parsed.data);
+      setSnapshotInfo(await getSnapshotInfo());
+    } catch (error) {
+      console.error("❌ Snapshot error:", error);
+      setSyncError(describeSyncError(error));
+    }
+  }, []);
+
+  // Check a ticket against the stored snapshot and queue the check-in.
+  // With commit false a valid ticket is only reported, not marked used.
+  // `count` admits several people from a group ticket.
+  const verifyOffline = useCallback(
+    async (ticketId, operator, { commit = true, count = 1 } = {}) => {
+      const ticket = await findTicket(ticketId);
+
+      if (!ticket) {
+        return {
+          success: false,
+          offline: true,
+          reason: "not-found",
+          message: t("reason.not-found"),
+          details: t("result.offlineNotFound.details"),
+          ticket: null,
+        };
+      }
+
+      if (ticket.status === "used") {
+        return {
+          success: false,
+          offline: true,
+          reason: "already-used",
+          message: t("reason.already-used"),
+          details: t("reason.already-used.details"),
+          ticket,
+        };
+      }
+
+      if (ticket.status !== "valid") {
+        return {
+          success: false,
+          offline: true,
+          message: t("result.verificationFailed"),
+          details: t("result.offlineStatus.details", { status: ticket.status }),
+          ...describeInactiveTicket(ticket),
+          ticket,
+        };
+      }
+
+      if (count > remainingAdmissions(ticket)) {
+        return {
+          success: false,
+          offline: true,
+          reason: "too-many-admissions",
+          message: t("reason.too-many-admissions"),
+          details: t("result.tooManyAdmissions.details", {
+            remaining: remainingAdmissions(ticket),
+            summary: describeAdmissions(ticket),
+          }),
+          ticket,
+        };
+      }
+
+      if (!commit) {
+        return {
+          success: true,
+          offline: true,
+          pendingConfirmation: true,
+          message: t("result.confirmCheckIn"),
+          details: t("result.confirmCheckIn.details"),
+          ticket,
+        };
+      }
+
+      const scannedAt = new Date().toISOString();
+      const device = getDevice();
+      await recordOfflineCheckIn(
+        ticket,
+        scannedAt,
+        operator?.id,
+        count,
+        device
+      );
+      await refreshPending();
+
+      return {
+        success: true,
+        offline: true,
+        message: t("result.entryApproved"),
+        details: t("result.verifiedOffline"),
+        ticket: {
+          ...admit(ticket, count),
+          scannedAt,
+          scannedBy: operator?.name || null,
+          scannedGate: device?.gate ?? null,
+          scannedDeviceId: device?.deviceId ?? null,
+        },
+      };
+    },
+    [refreshPending]
+  );
+
+  // `admitted` is the server's running count for group tickets
+  const rememberCheckIn = useCallback(async (ticketId, scannedAt, admitted) => {
+    try {
+      await markTicketUsed(
+        ticketId,
+        scannedAt || new Date().toISOString(),
+        admitted
+      );
+    } catch (error) {
+      console.error("❌ Offline store error:", error);
+    }
+  }, []);
+
+  // Push queued check-ins to the backend and collect any conflicts
+  const syncQueue = useCallback(async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    setIsSyncing(true);
+    setSyncError(null);
+
+    try {
+      const queued = await refreshPending();
+      if (queued.length === 0) return;
+
+      const { results } = await ticketClient.syncCheckIns(queued);
+      // A conflict means the ticket was already admitted elsewhere unless
+      // the server gives a more specific reason
+      const newConflicts = results
+        .filter((result) => result.status === "conflict")
+        .map((result) => ({
+          localId: result.localId,
+          ticketId: result.ticketId,
+          message: describeServerError({
+            code: result.code,
+            status: 409,
+            message: result.message,
+          }).details,
+          scannedAt: queued.find((q) => q.localId === result.localId)
+            ?.scannedAt,
+        }));
+
+      await removeQueuedCheckIns(results.map((result) => result.localId));
+      if (newConflicts.length > 0) {
+        setConflicts((prev) => [...prev, ...newConflicts]);
+      }
+      await refreshPending();
+    } catch (error) {
+      console.error("❌ Sync error:", error);
+      setSyncError(describeSyncError(error));
+    } finally {
+      syncingRef.current = false;
+      setIsSyncing(false);
+    }
+  }, [refreshPending]);
+
+  const dismissConflict = useCallback((localId) => {
+    setConflicts((prev) => prev.filter((c) => c.localId !== localId));
+  }, []);
+
+  // Load stored state once on mount. Check-ins left from an earlier
+  // session go out straight away if the device is already online.
+  useEffect(() => {
+    getSnapshotInfo()
+      .then(setSnapshotInfo)
+      .catch((error) => console.error("❌ Offline store error:", error));
+    refreshPending()
+      .then((queued) => {
+        if (navigator.onLine && queued.length > 0) syncQueue();
+      })
+      .catch((error) => console.error("❌ Offline store error:", error));
+  }, [refreshPending, syncQueue]);
+
+  // Track connectivity and flush the queue when the connection returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncQueue();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [syncQueue]);
+
+  return {
+    isOnline,
+    snapshotInfo,
+    pendingCount,
+    conflicts,
+    isSyncing,
+    syncError,
+    downloadSnapshot,
+    verifyOffline,
+    rememberCheckIn,
+    syncQueue,
+    dismissConflict,
+  };
+};
+
+export default useOfflineSync;
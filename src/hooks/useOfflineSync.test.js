@@ -0,0 +1,227 @@
+// @vitest-environment jsdom
+import "fake-indexeddb/auto";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { createMockApi } from "../test/mockApi";
+import {
+  saveSnapshot,
+  findTicket,
+  recordOfflineCheckIn,
+  getQueuedCheckIns,
+  removeQueuedCheckIns,
+} from "../utils/offlineStore";
+import useOfflineSync from "./useOfflineSync";
+
+const OPERATOR = { id: "U-1", name: "Gate Staff" };
+
+const ticket = (id, overrides = {}) => ({
+  id,
+  studentName: "Rahul Kumar",
+  status: "valid",
+  admissions: 1,
+  admitted: 0,
+  ...overrides,
+});
+
+let api;
+
+const renderOfflineSync = async () => {
+  const { result } = renderHook(() => useOfflineSync());
+  await waitFor(() => expect(result.current.pendingCount).toBe(0));
+  return result;
+};
+
+beforeEach(async () => {
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  localStorage.setItem("qr-ticket:locale", "en");
+  localStorage.setItem(
+    "qr-ticket:device",
+    JSON.stringify({ gate: "North Gate", deviceId: "3" })
+  );
+  const queued = await getQueuedCheckIns();
+  await removeQueuedCheckIns(queued.map((entry) => entry.localId));
+  await saveSnapshot({
+    eventId: "EVT-1",
+    generatedAt: "2024-03-05T08:00:00.000Z",
+    tickets: [
+      ticket("STU-1"),
+      ticket("STU-2"),
+      ticket("STU-3", { status: "revoked" }),
+    ],
+  });
+  api = createMockApi();
+  vi.stubGlobal("fetch", api.fetch);
+});
+
+afterEach(() => {
+  localStorage.clear();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("useOfflineSync", () => {
+  it("admits a ticket from the snapshot and queues the check-in", async () => {
+    const offline = await renderOfflineSync();
+
+    let result;
+    await act(async () => {
+      result = await offline.current.verifyOffline("STU-1", OPERATOR);
+    });
+
+    expect(result).toMatchObject({
+      success: true,
+      offline: true,
+      ticket: { id: "STU-1", status: "used", scannedGate: "North Gate" },
+    });
+    expect(offline.current.pendingCount).toBe(1);
+  });
+
+  it("rejects a second offline scan of the same ticket", async () => {
+    const offline = await renderOfflineSync();
+
+    let second;
+    await act(async () => {
+      await offline.current.verifyOffline("STU-1", OPERATOR);
+      second = await offline.current.verifyOffline("STU-1", OPERATOR);
+    });
+
+    expect(second).toMatchObject({ success: false, reason: "already-used" });
+    expect(offline.current.pendingCount).toBe(1);
+  });
+
+  it("rejects unknown and inactive tickets without queueing them", async () => {
+    const offline = await renderOfflineSync();
+
+    let unknown;
+    let revoked;
+    await act(async () => {
+      unknown = await offline.current.verifyOffline("STU-9", OPERATOR);
+      revoked = await offline.current.verifyOffline("STU-3", OPERATOR);
+    });
+
+    expect(unknown).toMatchObject({ success: false, reason: "not-found" });
+    expect(revoked.success).toBe(false);
+    expect(offline.current.pendingCount).toBe(0);
+  });
+
+  it("does not queue a dry run", async () => {
+    const offline = await renderOfflineSync();
+
+    let result;
+    await act(async () => {
+      result = await offline.current.verifyOffline("STU-1", OPERATOR, {
+        commit: false,
+      });
+    });
+
+    expect(result.pendingConfirmation).toBe(true);
+    expect(await getQueuedCheckIns()).toEqual([]);
+  });
+
+  it("sends queued check-ins and clears the accepted ones", async () => {
+    api.on("POST /api/tickets/sync", ({ checkIns }) => ({
+      body: {
+        results: checkIns.map((checkIn) => ({
+          localId: checkIn.localId,
+          ticketId: checkIn.ticketId,
+          status: "accepted",
+        })),
+      },
+    }));
+    const offline = await renderOfflineSync();
+    await act(async () => {
+      await offline.current.verifyOffline("STU-1", OPERATOR);
+      await offline.current.verifyOffline("STU-2", OPERATOR);
+    });
+
+    await act(() => offline.current.syncQueue());
+
+    const [call] = api.callsTo("POST /api/tickets/sync");
+    expect(call.body.checkIns).toEqual([
+      expect.objectContaining({
+        ticketId: "STU-1",
+        operatorId: "U-1",
+        gate: "North Gate",
+        deviceId: "3",
+      }),
+      expect.objectContaining({ ticketId: "STU-2" }),
+    ]);
+    expect(offline.current.pendingCount).toBe(0);
+    expect(offline.current.conflicts).toEqual([]);
+  });
+
+  it("reports tickets that were also admitted elsewhere as conflicts", async () => {
+    api.on("POST /api/tickets/sync", ({ checkIns }) => ({
+      body: {
+        results: checkIns.map((checkIn) => ({
+          localId: checkIn.localId,
+          ticketId: checkIn.ticketId,
+          status: checkIn.ticketId === "STU-2" ? "conflict" : "accepted",
+        })),
+      },
+    }));
+    const offline = await renderOfflineSync();
+    await act(async () => {
+      await offline.current.verifyOffline("STU-1", OPERATOR);
+      await offline.current.verifyOffline("STU-2", OPERATOR);
+    });
+
+    await act(() => offline.current.syncQueue());
+
+    expect(offline.current.pendingCount).toBe(0);
+    expect(offline.current.conflicts).toEqual([
+      expect.objectContaining({
+        ticketId: "STU-2",
+        message: "This ticket has already been scanned.",
+      }),
+    ]);
+
+    act(() =>
+      offline.current.dismissConflict(offline.current.conflicts[0].localId)
+    );
+    expect(offline.current.conflicts).toEqual([]);
+  });
+
+  it("sends check-ins left from an earlier session on start", async () => {
+    api.on("POST /api/tickets/sync", ({ checkIns }) => ({
+      body: {
+        results: checkIns.map((checkIn) => ({
+          localId: checkIn.localId,
+          ticketId: checkIn.ticketId,
+          status: "accepted",
+        })),
+      },
+    }));
+    await recordOfflineCheckIn(
+      await findTicket("STU-1"),
+      "2024-03-05T09:00:00.000Z",
+      "U-1"
+    );
+
+    const { result } = renderHook(() => useOfflineSync());
+
+    await waitFor(() =>
+      expect(api.callsTo("POST /api/tickets/sync")).toHaveLength(1)
+    );
+    await waitFor(() => expect(result.current.isSyncing).toBe(false));
+    expect(result.current.pendingCount).toBe(0);
+    expect(await getQueuedCheckIns()).toEqual([]);
+  });
+
+  it("keeps the queue when the sync request fails", async () => {
+    api.on("POST /api/tickets/sync", () => {
+      throw new TypeError("Failed to fetch");
+    });
+    const offline = await renderOfflineSync();
+    await act(async () => {
+      await offline.current.verifyOffline("STU-1", OPERATOR);
+    });
+
+    await act(() => offline.current.syncQueue());
+
+    expect(offline.current.syncError).toBe(
+      "Could not reach the server. Please try again."
+    );
+    expect(offline.current.pendingCount).toBe(1);
+  });
+});
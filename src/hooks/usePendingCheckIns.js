@@ -0,0 +1,24 @@
+import { useState, useRef, useCallback } from "react";
+
+// Check-ins waiting for the operator: an identity check or a group count.
+// Scans that need confirmation while one is on screen queue up behind it
+// rather than replacing it, and are shown one at a time in arrival order.
+const usePendingCheckIns = () => {
+  const [queue, setQueue] = useState([]);
+  const nextIdRef = useRef(0);
+
+  const add = useCallback((result, identifier) => {
+    nextIdRef.current += 1;
+    const entry = { id: nextIdRef.current, result, identifier };
+    setQueue((prev) => [...prev, entry]);
+  }, []);
+
+  // Drop an entry once it has been confirmed or denied
+  const resolve = useCallback((id) => {
+    setQueue((prev) => prev.filter((entry) => entry.id !== id));
+  }, []);
+
+  return { current: queue[0] ?? null, count: queue.length, add, resolve };
+};
+
+export default usePendingCheckIns;
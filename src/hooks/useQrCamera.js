@@ -0,0 +1,169 @@
+import { useState, useEffect, useRef } from "react";
+import useCameraSettings from "./useCameraSettings";
+import { needsRestart } from "../utils/cameraSettings";
+import { t } from "../i18n";
+
+const NO_CAMERA_CAPABILITIES = { torch: false, zoom: null };
+
+// Wait for slider drags to settle before restarting the camera
+const CAMERA_RESTART_DELAY_MS = 600;
+
+// This is called for every frame without a code, so it is not logged
+const onScanFailure = () => {};
+
+// The html5-qrcode camera behind the scan tab, rendered into the element
+// with the given id. Decodes go to `onDecode`, the saved camera settings
+// are applied on start, and torch/zoom follow changes to them live.
+const useQrCamera = (elementId, onDecode) => {
+  const camera = useCameraSettings();
+  const [isScanning, setIsScanning] = useState(false);
+  const [error, setError] = useState(null);
+  const [cameras, setCameras] = useState([]);
+  const [capabilities, setCapabilities] = useState(NO_CAMERA_CAPABILITIES);
+  const html5QrCodeRef = useRef(null);
+  const restartTimerRef = useRef(null);
+  // The library keeps the callback it was started with, so route decodes
+  // through a ref to always reach the latest handler
+  const onDecodeRef = useRef(onDecode);
+  onDecodeRef.current = onDecode;
+
+  // Read what the running track supports and re-apply saved torch/zoom
+  const applyCapabilities = async (html5QrCode, settings) => {
+    try {
+      const track = html5QrCode.getRunningTrackCameraCapabilities();
+      const torch = track.torchFeature();
+      const zoom = track.zoomFeature();
+      const zoomRange = zoom.isSupported()
+        ? { min: zoom.min(), max: zoom.max(), step: zoom.step() }
+        : null;
+      setCapabilities({ torch: torch.isSupported(), zoom: zoomRange });
+
+      if (torch.isSupported() && settings.torch) await torch.apply(true);
+      if (zoomRange && settings.zoom !== null) {
+        await zoom.apply(
+          Math.min(zoomRange.max, Math.max(zoomRange.min, settings.zoom))
+        );
+      }
+    } catch (err) {
+      console.error("Camera capabilities error:", err);
+    }
+  };
+
+  const start = async (settings = camera.settings) => {
+    try {
+      setError(null);
+      setIsScanning(true);
+
+      // Dynamically import the library
+      const Html5Qrcode = (await import("html5-qrcode")).Html5Qrcode;
+
+      const html5QrCode = new Html5Qrcode(elementId);
+      html5QrCodeRef.current = html5QrCode;
+
+      const config = {
+        fps: settings.fps,
+        qrbox: { width: settings.qrboxSize, height: settings.qrboxSize },
+        aspectRatio: 1.0,
+      };
+
+      const handleDecode = (decodedText) => onDecodeRef.current(decodedText);
+      try {
+        await html5QrCode.start(
+          settings.cameraId || { facingMode: "environment" }, // Back camera by default
+          config,
+          handleDecode,
+          onScanFailure
+        );
+      } catch (err) {
+        // A remembered camera may have been unplugged or renamed
+        if (!settings.cameraId) throw err;
+        console.error("Saved camera unavailable, using default:", err);
+        await html5QrCode.start(
+          { facingMode: "environment" },
+          config,
+          handleDecode,
+          onScanFailure
+        );
+      }
+
+      await applyCapabilities(html5QrCode, settings);
+      // Labels are only available once camera permission is granted
+      Html5Qrcode.getCameras()
+        .then(setCameras)
+        .catch((err) => console.error("Camera list error:", err));
+    } catch (err) {
+      console.error("Scanner error:", err);
+      // A scanner that never started cannot be stopped
+      html5QrCodeRef.current = null;
+      setError(t("camera.startError"));
+      setIsScanning(false);
+    }
+  };
+
+  const stop = async () => {
+    const html5QrCode = html5QrCodeRef.current;
+    if (html5QrCode?.isScanning) {
+      try {
+        await html5QrCode.stop();
+        html5QrCode.clear();
+      } catch (err) {
+        console.error("Error stopping scanner:", err);
+      }
+    }
+    html5QrCodeRef.current = null;
+    setCapabilities(NO_CAMERA_CAPABILITIES);
+    setIsScanning(false);
+  };
+
+  // Torch and zoom apply to the live track; the rest needs a restart
+  const changeSettings = async (patch) => {
+    const next = camera.update(patch);
+    const html5QrCode = html5QrCodeRef.current;
+    if (!html5QrCode?.isScanning) return;
+
+    if (needsRestart(patch)) {
+      clearTimeout(restartTimerRef.current);
+      restartTimerRef.current = setTimeout(async () => {
+        await stop();
+        start(next);
+      }, CAMERA_RESTART_DELAY_MS);
+      return;
+    }
+
+    try {
+      const track = html5QrCode.getRunningTrackCameraCapabilities();
+      if ("torch" in patch) await track.torchFeature().apply(next.torch);
+      if ("zoom" in patch) await track.zoomFeature().apply(next.zoom);
+    } catch (err) {
+      console.error("Camera settings error:", err);
+    }
+  };
+
+  // Cleanup on unmount. stop() throws synchronously when the scanner is
+  // not running, so only stop one that is.
+  useEffect(() => {
+    return () => {
+      clearTimeout(restartTimerRef.current);
+      const html5QrCode = html5QrCodeRef.current;
+      if (!html5QrCode?.isScanning) return;
+      try {
+        html5QrCode.stop().catch(() => {});
+      } catch (err) {
+        console.error("Error stopping scanner:", err);
+      }
+    };
+  }, []);
+
+  return {
+    isScanning,
+    error,
+    cameras,
+    capabilities,
+    settings: camera.settings,
+    start,
+    stop,
+    changeSettings,
+  };
+};
+
+export default useQrCamera;
@@ -0,0 +1,85 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import {
+  emitDecode,
+  latestScanner,
+  failNextStart,
+  setTrackFeatures,
+  resetFakeScanners,
+} from "../test/fakeHtml5Qrcode";
+import useQrCamera from "./useQrCamera";
+
+vi.mock("html5-qrcode", () => import("../test/fakeHtml5Qrcode"));
+
+const renderCamera = (onDecode = () => {}) =>
+  renderHook(({ handler }) => useQrCamera("qr-reader", handler), {
+    initialProps: { handler: onDecode },
+  });
+
+beforeEach(() => {
+  localStorage.setItem("qr-ticket:locale", "en");
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  resetFakeScanners();
+  localStorage.clear();
+  vi.restoreAllMocks();
+});
+
+describe("useQrCamera", () => {
+  it("sends decodes to the latest handler", async () => {
+    const first = vi.fn();
+    const second = vi.fn();
+    const { result, rerender } = renderCamera(first);
+
+    await act(() => result.current.start());
+    rerender({ handler: second });
+    emitDecode("STU-1");
+
+    expect(result.current.isScanning).toBe(true);
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledWith("STU-1");
+  });
+
+  it("stops a running scanner on unmount", async () => {
+    const { result, unmount } = renderCamera();
+    await act(() => result.current.start());
+
+    unmount();
+
+    expect(latestScanner().isScanning).toBe(false);
+  });
+
+  it("reports a camera that fails to start and unmounts cleanly", async () => {
+    failNextStart(new Error("Permission denied"));
+    const { result, unmount } = renderCamera();
+
+    await act(() => result.current.start());
+
+    expect(result.current.isScanning).toBe(false);
+    expect(result.current.error).toBe(
+      "Could not start camera. Please check permissions."
+    );
+    expect(() => unmount()).not.toThrow();
+  });
+
+  it("keeps a rejected torch change from escaping", async () => {
+    setTrackFeatures({
+      torch: {
+        isSupported: () => true,
+        apply: () => Promise.reject(new Error("Torch unavailable")),
+      },
+    });
+    const { result } = renderCamera();
+    await act(() => result.current.start());
+
+    await act(() => result.current.changeSettings({ torch: true }));
+
+    expect(console.error).toHaveBeenCalledWith(
+      "Camera settings error:",
+      expect.any(Error)
+    );
+  });
+});
@@ -0,0 +1,40 @@
+import { useCallback } from "react";
+import useLocalSetting from "./useLocalSetting";
+import {
+  classifyResult,
+  playFeedbackSound,
+  vibrateFor,
+} from "../utils/scanFeedback";
+
+const DEFAULT_CHANNELS = { sound: true, vibration: true, flash: false };
+
+// Per-device switches for each feedback channel, plus a helper that fires
+// the enabled sound and vibration cues for a result
+const useScanFeedback = () => {
+  const [stored, setStored] = useLocalSetting(
+    "qr-ticket:feedback",
+    DEFAULT_CHANNELS
+  );
+  const channels = { ...DEFAULT_CHANNELS, ...stored };
+
+  const toggle = (channel) =>
+    setStored({ ...channels, [channel]: !channels[channel] });
+
+  const { sound, vibration } = channels;
+  const announce = useCallback(
+    (result) => {
+      const kind = classifyResult(result);
+      try {
+        if (sound) playFeedbackSound(kind);
+        if (vibration) vibrateFor(kind);
+      } catch (err) {
+        console.error("❌ Feedback error:", err);
+      }
+    },
+    [sound, vibration]
+  );
+
+  return { channels, toggle, announce };
+};
+
+export default useScanFeedback;
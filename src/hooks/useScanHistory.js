@@ -0,0 +1,43 @@
+import { useState, useEffect, useCallback } from "react";
+import { addHistoryEntry, getHistory } from "../utils/offlineStore";
+import { t } from "../i18n";
+
+// Persistent scan history for this device. `scope` is "session" for the
+// signed-in staff session or "all" for everything recorded on the device.
+const useScanHistory = (sessionId, scope = "session") => {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getHistory(scope === "session" ? { sessionId } : {})
+      .then((stored) => {
+        if (!cancelled) setEntries(stored);
+      })
+      .catch((err) => {
+        console.error("❌ History error:", err);
+        if (!cancelled) setError(t("history.loadError"));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, scope]);
+
+  const record = useCallback(
+    async (entry) => {
+      try {
+        const stored = await addHistoryEntry(entry);
+        if (scope === "all" || stored.sessionId === sessionId) {
+          setEntries((prev) => [stored, ...prev]);
+        }
+      } catch (err) {
+        console.error("❌ History error:", err);
+      }
+    },
+    [sessionId, scope]
+  );
+
+  return { entries, error, record };
+};
+
+export default useScanHistory;
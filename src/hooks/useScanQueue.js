@@ -0,0 +1,41 @@
+import { useState, useRef, useCallback } from "react";
+
+// Serializes scan processing and drops repeat reads of the same code
+// that arrive within `cooldownMs` of the previous read.
+const useScanQueue = ({ cooldownMs, onScan }) => {
+  const [pending, setPending] = useState(0);
+  const lastSeenRef = useRef(new Map());
+  const chainRef = useRef(Promise.resolve());
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  const enqueue = useCallback(
+    (decodedText) => {
+      const now = Date.now();
+      const lastSeen = lastSeenRef.current.get(decodedText);
+      // Every read refreshes the window, so a code held in front of the
+      // camera is only processed once
+      lastSeenRef.current.set(decodedText, now);
+      if (lastSeen !== undefined && now - lastSeen < cooldownMs) {
+        return false;
+      }
+
+      // Forget expired entries so the map doesn't grow all event long
+      for (const [text, seenAt] of lastSeenRef.current) {
+        if (now - seenAt >= cooldownMs) lastSeenRef.current.delete(text);
+      }
+
+      setPending((count) => count + 1);
+      chainRef.current = chainRef.current
+        .then(() => onScanRef.current(decodedText))
+        .catch((error) => console.error("❌ Scan processing error:", error))
+        .finally(() => setPending((count) => count - 1));
+      return true;
+    },
+    [cooldownMs]
+  );
+
+  return { enqueue, pending };
+};
+
+export default useScanQueue;
@@ -0,0 +1,123 @@
+import { useState, useCallback } from "react";
+import usePendingCheckIns from "./usePendingCheckIns";
+import { toHistoryEntry } from "../utils/scanHistory";
+import { describePriorScan } from "../utils/ticketStatus";
+import { t } from "../i18n";
+
+// What happens to a verification result at the gate: it is shown with the
+// enabled feedback, kept in the scan history, or held for the operator to
+// confirm first. Camera, handheld, manual and uploaded scans all end here.
+const useScanResults = ({
+  verifier,
+  user,
+  sessionId,
+  event,
+  device,
+  history,
+  feedback,
+  continuousMode,
+}) => {
+  const [scanResult, setScanResult] = useState(null);
+  const [flashResult, setFlashResult] = useState(null);
+  const pendingCheckIns = usePendingCheckIns();
+
+  // Keep every outcome in the device's scan history
+  const recordResult = (result, identifier) =>
+    history.record(
+      toHistoryEntry({
+        result,
+        identifier,
+        user,
+        sessionId,
+        eventId: event?.id,
+      })
+    );
+
+  // Display a result with whichever sound, vibration and flash are enabled.
+  // Continuous mode always uses the full-screen view.
+  const presentResult = (result) => {
+    setScanResult(result);
+    feedback.announce(result);
+    if (continuousMode || feedback.channels.flash) setFlashResult(result);
+  };
+
+  // Say where and when an already-used ticket was scanned before
+  const describeResult = (result) =>
+    result.reason === "already-used"
+      ? { ...result, ...describePriorScan(result.ticket, device) }
+      : result;
+
+  const showResult = (result, identifier) => {
+    // Identity checks and group counts wait for the operator before
+    // anything is recorded
+    if (result.pendingConfirmation) {
+      pendingCheckIns.add(result, identifier);
+      return;
+    }
+    const described = describeResult(result);
+    presentResult(described);
+    recordResult(described, identifier);
+  };
+
+  const confirmCheckIn = async (count) => {
+    const { id, result, identifier } = pendingCheckIns.current;
+    const committed = await verifier.verifyTicket(result.ticket.id, {
+      commit: true,
+      count,
+    });
+    pendingCheckIns.resolve(id);
+    showResult(committed, identifier);
+  };
+
+  const denyCheckIn = () => {
+    const { id, result, identifier } = pendingCheckIns.current;
+    pendingCheckIns.resolve(id);
+    // Without an identity check this is just the operator backing out
+    if (!event.requireIdentityCheck) return;
+    showResult(
+      {
+        success: false,
+        reason: "identity-denied",
+        message: t("result.identityDenied"),
+        details: t("result.identityDenied.details"),
+        ticket: result.ticket,
+      },
+      identifier
+    );
+  };
+
+  // Uploads list their own results, so only check-ins needing confirmation
+  // are shown straight away; the upload decides whether to present the rest
+  const verifyUpload = async (code) => {
+    const result = describeResult(await verifier.processScan(code));
+    if (result.pendingConfirmation) {
+      showResult(result, code);
+    } else {
+      recordResult(result, code);
+    }
+    return result;
+  };
+
+  const presentUploadResult = (result) => {
+    if (!result.pendingConfirmation) presentResult(result);
+  };
+
+  const clearScanResult = () => setScanResult(null);
+  const clearFlashResult = useCallback(() => setFlashResult(null), []);
+
+  return {
+    scanResult,
+    flashResult,
+    pending: pendingCheckIns.current,
+    waiting: Math.max(0, pendingCheckIns.count - 1),
+    showResult,
+    confirmCheckIn,
+    denyCheckIn,
+    verifyUpload,
+    presentUploadResult,
+    clearScanResult,
+    clearFlashResult,
+  };
+};
+
+export default useScanResults;
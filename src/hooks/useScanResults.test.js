@@ -0,0 +1,65 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import useScanResults from "./useScanResults";
+
+const DEVICE = { gate: "North Gate", deviceId: "3" };
+
+const usedTicket = {
+  id: "STU-1",
+  studentName: "Rahul Kumar",
+  status: "used",
+  scannedAt: new Date().toISOString(),
+  scannedGate: "South Gate",
+  scannedDeviceId: "7",
+};
+
+const renderResults = (scanResult) => {
+  const history = { record: vi.fn() };
+  const verifier = { processScan: vi.fn().mockResolvedValue(scanResult) };
+  const { result } = renderHook(() =>
+    useScanResults({
+      verifier,
+      user: { id: "U-1", name: "Gate Staff" },
+      sessionId: "S-1",
+      event: { id: "EVT-1" },
+      device: DEVICE,
+      history,
+      feedback: { announce: vi.fn(), channels: { flash: false } },
+      continuousMode: false,
+    })
+  );
+  return { result, history };
+};
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+describe("useScanResults", () => {
+  it("says where an uploaded, already used ticket was scanned", async () => {
+    localStorage.setItem("qr-ticket:locale", "en");
+    const { result, history } = renderResults({
+      success: false,
+      reason: "already-used",
+      message: "Already Used",
+      details: "This ticket has already been scanned.",
+      ticket: usedTicket,
+    });
+
+    let uploaded;
+    await act(async () => {
+      uploaded = await result.current.verifyUpload("STU-1");
+    });
+    act(() => result.current.presentUploadResult(uploaded));
+
+    expect(uploaded).toMatchObject({
+      priorScan: "other-gate",
+      details: expect.stringContaining("South Gate, device 7"),
+    });
+    expect(result.current.scanResult).toBe(uploaded);
+    expect(history.record).toHaveBeenCalledWith(
+      expect.objectContaining({ reason: expect.stringContaining("South Gate") })
+    );
+  });
+});
@@ -0,0 +1,84 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import ticketClient from "../api/ticketClient";
+import { describeRequestError } from "../utils/serverErrors";
+import { t } from "../i18n";
+
+const PAGE_SIZE = 100;
+
+// Server-backed roster: reloads from page 1 whenever the filters change
+// and appends further pages on demand.
+const useTicketRoster = (filters) => {
+  const [tickets, setTickets] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [attendeeTotal, setAttendeeTotal] = useState(null);
+  const [page, setPage] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Bumped on every filter change so responses for old filters are dropped
+  const generationRef = useRef(0);
+
+  const { eventId, search, status, scannedFrom, scannedTo } = filters;
+
+  const fetchPage = useCallback(
+    async (pageToLoad, generation) => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const result = await ticketClient.listTickets({
+          eventId,
+          search,
+          status,
+          scannedFrom,
+          scannedTo,
+          page: pageToLoad,
+          pageSize: PAGE_SIZE,
+        });
+        if (generation !== generationRef.current) return;
+
+        setTickets((prev) =>
+          pageToLoad === 1 ? result.tickets : [...prev, ...result.tickets]
+        );
+        setTotal(result.total);
+        setAttendeeTotal(result.attendeeTotal ?? null);
+        setPage(result.page);
+      } catch (err) {
+        if (generation !== generationRef.current) return;
+        console.error("❌ Roster error:", err);
+        setError(describeRequestError(err, t("list.loadError")));
+      } finally {
+        if (generation === generationRef.current) setIsLoading(false);
+      }
+    },
+    [eventId, search, status, scannedFrom, scannedTo]
+  );
+
+  useEffect(() => {
+    generationRef.current += 1;
+    fetchPage(1, generationRef.current);
+  }, [fetchPage]);
+
+  const hasMore = tickets.length < total;
+
+  const loadMore = useCallback(() => {
+    if (isLoading || !hasMore) return;
+    fetchPage(page + 1, generationRef.current);
+  }, [isLoading, hasMore, page, fetchPage]);
+
+  const reload = useCallback(() => {
+    generationRef.current += 1;
+    fetchPage(1, generationRef.current);
+  }, [fetchPage]);
+
+  return {
+    tickets,
+    total,
+    attendeeTotal,
+    isLoading,
+    error,
+    hasMore,
+    loadMore,
+    reload,
+  };
+};
+
+export default useTicketRoster;
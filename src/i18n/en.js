@@ -0,0 +1,519 @@
+// English catalog. Keys are grouped by screen; every other catalog falls
+// back to these strings for anything it has not translated yet.
+const en = {
+  // App shell
+  "app.title": "Student Event Entry System",
+  "app.subtitle": "Scan QR codes to verify student tickets",
+  "app.language": "Language",
+  "connection.online": "Online",
+  "connection.offline": "Offline",
+  "connection.toSync": "{count} to sync",
+  "auth.signOut": "Sign out",
+  "role.scanner": "Gate Scanner",
+  "role.supervisor": "Supervisor",
+  "role.admin": "Admin",
+  "update.available": "A new version of the app is available.",
+  "update.offlineReady": "The app is ready to work offline.",
+  "update.reload": "Reload",
+  "common.dismiss": "Dismiss",
+
+  // Sign in
+  "login.title": "Staff Sign In",
+  "login.subtitle": "QR Ticket System",
+  "login.username": "Username",
+  "login.password": "Password",
+  "login.submit": "Sign In",
+  "login.submitting": "Signing in...",
+  "login.invalid": "Invalid username or password",
+  "login.unreachable": "Could not reach the server. Please try again.",
+
+  // Navigation
+  "tab.scan": "Scan Entry",
+  "tab.history": "History",
+  "tab.list": "All Tickets",
+  "tab.dashboard": "Dashboard",
+  "tab.reports": "Reports",
+  "tab.issue": "Issue Ticket",
+  "tab.import": "Import",
+
+  // Event and stats
+  "event.label": "Event",
+  "event.loading": "Loading events...",
+  "event.select": "Select an event",
+  "event.loadError": "Could not load events. Retry",
+  "stats.total": "Total Attendees",
+  "stats.tickets": "on {count} tickets",
+  "stats.admitted": "Admitted",
+  "stats.remaining": "Remaining",
+  "event.selectFirst": "Select an event first",
+  "event.requireIdentityCheck": "Require identity confirmation",
+  "event.saveFailed": "Could not save the event settings. Please try again.",
+  "common.save": "Save",
+
+  // Device registration
+  "device.title": "Register This Scanner",
+  "device.intro":
+    "Each scanner is registered to a gate, so a rejected ticket can show where it was already used.",
+  "device.gate": "Gate name",
+  "device.gatePlaceholder": "e.g. North Gate",
+  "device.deviceId": "Device ID",
+  "device.deviceIdPlaceholder": "e.g. 3",
+  "device.save": "Register",
+  "device.cancel": "Cancel",
+  "device.label": "{gate} · device {device}",
+  "device.change": "Change gate or device",
+
+  // Scan tab
+  "scan.title": "Verify Student Entry",
+  "scan.entryWindow": "Entry window: {window}",
+  "scan.identityRequired": "Identity confirmation required",
+  "scan.selectEvent":
+    "Select the event you are checking in for to start scanning",
+  "scan.direction": "Direction",
+  "scan.input": "Input",
+  "scan.feedback": "Feedback",
+  "scan.mode": "Scan Mode",
+  "scan.verifying": {
+    one: "Verifying {count} ticket...",
+    other: "Verifying {count} tickets...",
+  },
+  "scan.hint.wedge":
+    "⌨️ Scans are read from the handheld scanner wherever the cursor is",
+  "scan.hint.continuous":
+    "📱 Camera stays on - present tickets one after another",
+  "scan.hint.single":
+    "📱 Point your camera at the QR code to scan automatically",
+  "scan.wedgeReady": "Handheld scanner ready - scan a ticket at any time",
+  "scan.imageUpload": "Or Decode a Screenshot or Photo",
+  "scan.manual": "Or Enter Ticket Details Manually",
+  "scan.next": "Scan Next Ticket",
+  "direction.entry": "Entry",
+  "direction.exit": "Exit",
+  "input.camera": "Camera",
+  "input.wedge": "Handheld",
+  "input.both": "Both",
+  "mode.single": "Single",
+  "mode.continuous": "Continuous",
+
+  // Entry window and re-entry
+  "entryWindow.open": "Entry open",
+  "entryWindow.not-open": "Entry not open yet",
+  "entryWindow.closed": "Entry closed",
+  "entryWindow.range": "{from} – {to}",
+  "entryWindow.from": "from {time}",
+  "entryWindow.until": "until {time}",
+  "entryWindow.allDay": "all day",
+  "reentry.none": "No re-entry",
+  "reentry.unlimited": "Unlimited re-entry",
+  "reentry.upTo": {
+    one: "Up to {count} re-entry",
+    other: "Up to {count} re-entries",
+  },
+  "reentry.allowed": "Re-entry allowed",
+  "reentry.left": {
+    one: "{count} re-entry left",
+    other: "{count} re-entries left",
+  },
+  "reentry.mode.none": "No re-entry",
+  "reentry.mode.unlimited": "Unlimited re-entry",
+  "reentry.mode.limited": "Limited re-entries",
+  "reentry.label": "Re-entry",
+  "reentry.limit": "Re-entries allowed",
+
+  // Camera
+  "camera.settings": "Camera settings",
+  "camera.start": "Start Camera Scanner",
+  "camera.stop": "Stop Scanner",
+  "camera.startError": "Could not start camera. Please check permissions.",
+  "camera.permissionHint": "💡 Make sure you've granted camera permissions",
+  "camera.camera": "Camera",
+  "camera.default": "Back camera (default)",
+  "camera.numbered": "Camera {number}",
+  "camera.torchOn": "Torch on",
+  "camera.torchOff": "Torch off",
+  "camera.zoom": "Zoom {zoom}×",
+  "camera.scanBox": "Scan box {size}px",
+  "camera.frameRate": "Frame rate {fps} fps",
+  "feedback.sound": "Sound",
+  "feedback.vibration": "Vibrate",
+  "feedback.flash": "Flash",
+
+  // Offline mode
+  "offline.banner": "Offline - verifying against downloaded ticket list",
+  "offline.listInfo": "Offline list: {count} tickets, downloaded {time}",
+  "offline.noList": "No offline ticket list downloaded",
+  "offline.pending": {
+    one: "{count} check-in waiting to sync",
+    other: "{count} check-ins waiting to sync",
+  },
+  "offline.download": "Download List",
+  "offline.syncNow": "Sync Now",
+  "offline.conflict": "Sync conflict: {ticketId}",
+  "offline.conflictAt": "Admitted here offline at {time}",
+  "offline.verified": "Verified offline",
+  "offline.checked": "Checked against the offline list",
+  "offline.snapshotInvalid":
+    "The downloaded ticket list failed its signature check and was not saved.",
+  "offline.unreachable": "Could not reach the server. Please try again.",
+  "offline.syncFailed": "Syncing with the server failed. Please try again.",
+
+  // Image upload
+  "upload.button": "Upload Image",
+  "upload.reading": "Reading image...",
+  "upload.noCode": "No QR code found. Try a sharper or larger image.",
+  "upload.notImage": "{name} is not an image",
+  "upload.readError": "Could not read this image.",
+
+  // Manual entry and lookup
+  "manual.ticketId": "Ticket ID",
+  "manual.lookup": "Find Attendee",
+  "manual.placeholder": "Enter Ticket ID",
+  "manual.verify": "Verify",
+  "lookup.placeholder": "Search by name, roll number or email",
+  "lookup.secondCheck": "Second confirmation",
+  "lookup.check.none": "No second check",
+  "lookup.check.rollLast4": "Last 4 of roll number",
+  "lookup.check.emailStart": "First 3 letters of email",
+  "lookup.searching": "Searching...",
+  "lookup.offlineResults": "Results from the downloaded ticket list",
+  "lookup.noMatches": "No matching attendees",
+  "lookup.confirmAttendee": "Confirm this attendee",
+  "lookup.askFor": "Ask the attendee for: {check}",
+  "lookup.confirm": "Confirm & Check In",
+  "lookup.back": "Back",
+  "lookup.noOfflineList": "Offline and no ticket list is downloaded.",
+  "lookup.failed": "The search failed. Please try again.",
+
+  // Scan history
+  "history.title": "Scan History",
+  "history.search": "Search",
+  "history.searchPlaceholder": "Ticket ID, student, operator or reason",
+  "history.outcome": "Outcome",
+  "history.verified": "Verified",
+  "history.show": "Show",
+  "history.all": "All",
+  "history.scope.session": "This session",
+  "history.scope.all": "All sessions on this device",
+  "history.showing": "Showing {count} of {total} scans",
+  "history.empty": "No scans recorded",
+  "history.loadError": "Could not read the scan history on this device.",
+  "history.ticket": "Ticket",
+  "history.outcome.approved": "Approved",
+  "history.outcome.rejected": "Rejected",
+  "history.outcome.exit": "Exit",
+  "history.outcome.override": "Override",
+  "history.column.time": "Time",
+  "history.column.ticketId": "Ticket ID",
+  "history.column.studentName": "Student",
+  "history.column.outcome": "Outcome",
+  "history.column.reason": "Reason",
+  "history.column.operator": "Operator",
+  "history.column.mode": "Mode",
+  "history.column.eventId": "Event",
+
+  // Event report
+  "report.title": "Attendance Report",
+  "report.selectEvent": "Select an event to see its report",
+  "report.refresh": "Refresh",
+  "report.print": "Print",
+  "report.pdf": "PDF",
+  "report.buildingPdf": "Building PDF...",
+  "report.attendanceCsv": "Attendance CSV",
+  "report.csv": "CSV",
+  "report.loading": "Loading report...",
+  "report.empty": "No report available",
+  "report.loadError": "Could not load the report. Please try again.",
+  "report.pdfFailed": "Could not build the PDF. Please try again.",
+  "report.generated": "Generated {time}",
+  "report.generatedFor": "{event} · generated {time}",
+  "report.summary": "Summary",
+  "report.attendanceRate": "Attendance rate",
+  "report.attended": "Attended",
+  "report.attendedOf": "{attended} of {expected}",
+  "report.noShowTickets": "No-show tickets",
+  "report.duplicateAttempts": "Duplicate attempts",
+  "report.invalidAttempts": "Invalid attempts",
+  "report.arrivals": "Arrivals",
+  "report.bucket": "{minutes} min",
+  "report.noArrivals": "No arrivals recorded",
+  "report.peak": "peak {count}",
+  "report.peakPer": "peak {count} per {minutes} min",
+  "report.gates": "Gates",
+  "report.gateThroughput": "Gate throughput",
+  "report.noShows": "No-shows ({count})",
+  "report.everyoneCame": "Everyone turned up",
+  "report.yes": "Yes",
+  "report.no": "No",
+  "report.unassigned": "Unassigned",
+  "report.column.ticketId": "Ticket ID",
+  "report.column.studentName": "Student Name",
+  "report.column.name": "Name",
+  "report.column.rollNumber": "Roll Number",
+  "report.column.email": "Email",
+  "report.column.admissions": "Admissions",
+  "report.column.admitted": "Admitted",
+  "report.column.attended": "Attended",
+  "report.column.firstArrivalAt": "First Arrival",
+  "report.column.gate": "Gate",
+  "report.column.perHour": "Per hour",
+  "report.column.duplicate": "Duplicate",
+  "report.column.invalid": "Invalid",
+  "report.column.people": "People",
+
+  // Ticket status badges
+  "status.valid": "VALID",
+  "status.used": "USED",
+  "status.exited": "EXITED",
+  "status.revoked": "REVOKED",
+  "status.superseded": "REISSUED",
+  "status.transferred": "TRANSFERRED",
+
+  // Scan results
+  "result.entryApproved": "Entry Approved ✓",
+  "result.reentryApproved": "Re-entry Approved ✓",
+  "result.studentVerified": "Student verified successfully",
+  "result.verifiedOffline": "Verified offline, will sync when back online",
+  "result.confirmCheckIn": "Confirm Check-In",
+  "result.confirmCheckIn.details": "Confirm the attendee before admitting",
+  "result.identityDenied": "Identity Not Confirmed",
+  "result.identityDenied.details":
+    "Entry denied. The ticket has not been used.",
+  "result.exitRecorded": "Exit Recorded",
+  "result.exitNotRecorded": "Exit Not Recorded",
+  "result.exitNotRecorded.details":
+    "Exit scans need a connection to the server. Please try again.",
+  "result.verificationFailed": "Verification Failed",
+  "result.unexpectedResponse": "The server sent an unexpected response.",
+  "result.signingKeyMissing":
+    "Ticket signing key is not configured, so tickets cannot be checked.",
+  "result.signatureCheckFailed": "The ticket signature could not be checked.",
+  "result.serverError": "Server Error",
+  "result.serverError.details":
+    "The server could not verify this ticket. Please try again.",
+  "result.connectionError": "Connection Error",
+  "result.connectionError.details":
+    "Unable to connect to server and no offline ticket list is downloaded.",
+  "result.offlineReadError": "Unable to read the offline ticket list.",
+  "result.offlineNotFound.details":
+    "This ticket is not in the offline ticket list.",
+  "result.offlineStatus.details": 'Ticket status is "{status}".',
+  "result.tooManyAdmissions.details":
+    "Only {remaining} more can enter on this ticket ({summary}).",
+  "result.wrongEvent.details": "This ticket is for {event}.",
+  "result.differentEvent": "a different event",
+  "result.scannedAt": "Scanned at: {time}",
+  "result.scannedAtBy": "Scanned at: {time} by {name}",
+  "result.supervisorOverride": "Supervisor override",
+  "result.overrideButton": "Supervisor Override",
+  "override.title": "Supervisor override for {name}",
+  "override.reasonPlaceholder": "Reason (recorded in the audit trail)",
+  "override.pin": "Supervisor PIN",
+  "override.submit": "Admit Anyway",
+  "override.recording": "Recording...",
+  "override.admitted": "Admitted by Override",
+  "override.reason": "Reason: {reason}",
+  "override.failed":
+    "The server could not record the override. Please try again.",
+  "field.studentName": "Student Name",
+  "field.rollNumber": "Roll Number",
+  "field.email": "Email",
+  "field.ticketId": "Ticket ID",
+
+  // Rejection reasons, shared by local checks and server errors
+  "reason.not-found": "Ticket Not Found",
+  "reason.not-found.details": "No ticket with this ID exists for the event.",
+  "reason.already-used": "Ticket Already Used",
+  "reason.already-used.details": "This ticket has already been scanned.",
+  "reason.wrong-event": "Wrong Event",
+  "reason.wrong-event.details": "This ticket is for a different event.",
+  "reason.revoked": "Ticket Revoked",
+  "reason.revoked.details": "Ticket revoked",
+  "reason.superseded": "Ticket Replaced",
+  "reason.superseded.details": "Superseded by reissued ticket",
+  "reason.transferred": "Ticket Transferred",
+  "reason.transferred.details": "Transferred to another student",
+  "reason.expired": "Ticket Expired",
+  "reason.expired.details": "This ticket is no longer valid.",
+  "reason.entry-not-open": "Entry Not Open",
+  "reason.entry-not-open.details": "Entry for this event has not opened yet.",
+  "reason.entry-closed": "Entry Closed",
+  "reason.entry-closed.details": "Entry for this event has closed.",
+  "reason.reentry-limit": "Re-entry Not Allowed",
+  "reason.reentry-limit.details":
+    "This ticket has no re-entries left for the event.",
+  "reason.too-many-admissions": "Too Many Admissions",
+  "reason.too-many-admissions.details":
+    "More people than the ticket has left were checked in.",
+  "reason.not-allowed": "Not Allowed",
+  "reason.not-allowed.details": "Your account cannot check in this ticket.",
+  "reason.rejected": "Ticket Rejected",
+  "reason.rejected.details": "The server did not accept this ticket.",
+  "reason.forged": "Forged Ticket",
+  "reason.forged.details":
+    "This QR code was not issued by the event organizers.",
+  "reason.tampered": "Tampered Ticket",
+  "reason.tampered.details":
+    "This QR code has been modified after it was issued.",
+  "reason.invalid-pin": "Override Not Accepted",
+  "reason.invalid-pin.details": "The supervisor PIN was not accepted.",
+  "token.notTicket": "This QR code is not a signed event ticket.",
+  "token.unknownIssuer": "This QR code was signed by an unknown issuer.",
+  "token.idMismatch": "The ticket ID does not match its signature.",
+  "inactive.revokedBecause": "Ticket revoked: {reason}",
+  "inactive.supersededBy": "Superseded by reissued ticket {ticketId}",
+  "inactive.transferredBecause": "Transferred to another student: {reason}",
+  "priorScan.gateDevice": "Used at {gate}, device {device}, {ago}",
+  "priorScan.gate": "Used at {gate}, {ago}",
+  "priorScan.when": "Used {ago}",
+  "priorScan.this-device": "Scanned on this device - likely a repeat tap",
+  "priorScan.this-gate": "Scanned by another device at this gate",
+  "priorScan.other-gate":
+    "Scanned at a different gate - the QR code may be shared or copied",
+
+  // Group tickets
+  "admissions.summary": "{admitted} of {admissions} admitted",
+  "admissions.entering": "{count} of {max} entering now",
+  "admissions.fewer": "One fewer",
+  "admissions.more": "One more",
+
+  // Check-in confirmation
+  "confirm.identityTitle": "Confirm identity before entry",
+  "confirm.groupTitle": "Confirm group check-in",
+  "confirm.deny": "Deny Entry",
+  "confirm.cancel": "Cancel",
+  "confirm.checkingIn": "Checking in...",
+  "confirm.admit": "Admit {count}",
+  "confirm.identityConfirmed": "Identity Confirmed",
+  "confirm.noPhoto": "No photo on file",
+  "confirm.waiting": {
+    one: "{count} more check-in waiting",
+    other: "{count} more check-ins waiting",
+  },
+
+  // Live dashboard
+  "dashboard.title": "Live Check-in Dashboard",
+  "dashboard.connection.idle": "No event selected",
+  "dashboard.connection.connecting": "Connecting...",
+  "dashboard.connection.live": "Live",
+  "dashboard.connection.polling": "Polling",
+  "dashboard.selectEvent": "Select an event to see live stats",
+  "dashboard.loading": "Loading stats...",
+  "dashboard.loadError": "Could not load live stats. Retrying...",
+  "dashboard.arrivals": "Arrivals per minute",
+  "dashboard.noArrivals": "No arrivals yet",
+  "dashboard.peak": "peak {count}/min",
+  "dashboard.byGate": "By gate",
+  "dashboard.byDevice": "By device",
+  "dashboard.column.device": "Device",
+  "dashboard.column.gate": "Gate",
+  "dashboard.column.admitted": "Admitted",
+  "dashboard.column.lastScan": "Last scan",
+  "dashboard.updated": "Updated {time}",
+
+  // Ticket list
+  "list.title": "All Student Tickets",
+  "list.searchPlaceholder": "Name, roll number, email or ticket ID",
+  "list.status": "Status",
+  "list.status.all": "All",
+  "list.status.valid": "Valid",
+  "list.status.used": "Used",
+  "list.status.exited": "Exited",
+  "list.status.revoked": "Revoked",
+  "list.status.superseded": "Reissued",
+  "list.status.transferred": "Transferred",
+  "list.scannedFrom": "Scanned from",
+  "list.scannedTo": "Scanned to",
+  "list.refresh": "Refresh",
+  "list.showing": "Showing {count} of {total} tickets",
+  "list.attendees": "{count} attendees",
+  "list.empty": "No tickets found",
+  "list.retry": "Retry",
+  "list.loadingMore": "Loading more tickets...",
+  "list.loadError": "Could not load the tickets. Please try again.",
+  "list.badge.used": "✓ SCANNED",
+  "list.badge.exited": "↩ EXITED",
+  "list.generated": "Generated",
+  "list.scanned": "✓ Scanned: {time}",
+  "list.scannedBy": "✓ Scanned: {time} by {name}",
+  "list.reason": "Reason: {reason}",
+  "list.replacedBy": "replaced by {ticketId}",
+  "list.override": "⚠ Admitted by override ({name}): {reason}",
+
+  // Ticket actions
+  "ticketAction.revoke": "Revoke",
+  "ticketAction.reissue": "Reissue",
+  "ticketAction.transfer": "Transfer",
+  "ticketAction.undo": "Undo check-in",
+  "ticketAction.revoke.title": "Revoke ticket",
+  "ticketAction.revoke.note":
+    "The ticket will be rejected at the gate with this reason.",
+  "ticketAction.revoke.submit": "Revoke Ticket",
+  "ticketAction.reissue.title": "Reissue ticket",
+  "ticketAction.reissue.note":
+    "A new QR code is issued and the current one stops working.",
+  "ticketAction.reissue.submit": "Issue Replacement",
+  "ticketAction.transfer.title": "Transfer ticket",
+  "ticketAction.transfer.note":
+    "The new student gets their own QR code; the current one stops working.",
+  "ticketAction.transfer.submit": "Transfer Ticket",
+  "ticketAction.undo.title": "Undo check-in",
+  "ticketAction.undo.note":
+    "The ticket becomes valid again and can be scanned.",
+  "ticketAction.undo.submit": "Undo Check-in",
+  "ticketAction.newStudentName": "New Student Name",
+  "ticketAction.reason": "Reason",
+  "ticketAction.reasonPlaceholder": "e.g. refunded, lost phone",
+  "ticketAction.saving": "Saving...",
+  "ticketAction.close": "Close",
+  "ticketAction.failed":
+    "The server could not update this ticket. Please try again.",
+
+  // Issuing tickets
+  "issue.title": "Issue Ticket",
+  "issue.submit": "Issue Ticket",
+  "issue.submitting": "Issuing...",
+  "issue.placeholder": "The issued ticket's QR code will appear here",
+  "issue.failed": "The server could not issue the ticket. Please try again.",
+  "qr.rendering": "Rendering QR code...",
+  "qr.renderError": "Could not render the QR code.",
+  "qr.alt": "QR code for {ticketId}",
+  "qr.printCard": "Print Card",
+  "qr.printTitle": "Ticket {ticketId}",
+  "qr.eventTicket": "Event Ticket",
+
+  // Importing tickets
+  "import.title": "Import Tickets",
+  "import.choose": "Choose CSV or XLSX",
+  "import.rows": {
+    one: "{name} · {count} row",
+    other: "{name} · {count} rows",
+  },
+  "import.noRows": "The file has no data rows.",
+  "import.readError": "Could not read the file.",
+  "import.notMapped": "— Not mapped —",
+  "import.columnNumber": "Column {number}",
+  "import.ready": "{count} ready",
+  "import.withProblems": "{count} with problems",
+  "import.onlyProblems": "Show only rows with problems",
+  "import.column.rowNumber": "Row",
+  "import.column.problems": "Problems",
+  "import.column.error": "Error",
+  "import.previewLimit": "Preview shows the first {count} rows",
+  "import.progress": "Processed {done} of {total}...",
+  "import.done": "Created {created} tickets, {failed} rows failed",
+  "import.submit": {
+    one: "Import {count} Ticket",
+    other: "Import {count} Tickets",
+  },
+  "import.downloadFailed": "Download Failed Rows",
+  "import.notCreated": "Not created by server",
+  "import.batchFailed": "The server could not create these tickets.",
+  "import.missing.studentName": "Missing student name",
+  "import.missing.rollNumber": "Missing roll number",
+  "import.missing.email": "Missing email",
+  "import.invalidEmail": "Invalid email",
+  "import.duplicateRollNumber": "Duplicate roll number",
+  "import.duplicateEmail": "Duplicate email",
+};
+
+export default en;
@@ -0,0 +1,511 @@
+// Hindi catalog. Missing keys fall back to English.
+const hi = {
+  // App shell
+  "app.title": "छात्र कार्यक्रम प्रवेश प्रणाली",
+  "app.subtitle": "छात्र टिकट सत्यापित करने के लिए QR कोड स्कैन करें",
+  "app.language": "भाषा",
+  "connection.online": "ऑनलाइन",
+  "connection.offline": "ऑफ़लाइन",
+  "connection.toSync": "{count} सिंक बाकी",
+  "auth.signOut": "साइन आउट",
+  "role.scanner": "गेट स्कैनर",
+  "role.supervisor": "पर्यवेक्षक",
+  "role.admin": "एडमिन",
+  "update.available": "ऐप का नया संस्करण उपलब्ध है।",
+  "update.offlineReady": "ऐप अब ऑफ़लाइन काम करने के लिए तैयार है।",
+  "update.reload": "फिर से लोड करें",
+  "common.dismiss": "बंद करें",
+
+  // Sign in
+  "login.title": "स्टाफ़ साइन इन",
+  "login.subtitle": "QR टिकट प्रणाली",
+  "login.username": "यूज़रनेम",
+  "login.password": "पासवर्ड",
+  "login.submit": "साइन इन करें",
+  "login.submitting": "साइन इन हो रहा है...",
+  "login.invalid": "यूज़रनेम या पासवर्ड गलत है",
+  "login.unreachable": "सर्वर से संपर्क नहीं हो सका। कृपया फिर से प्रयास करें।",
+
+  // Navigation
+  "tab.scan": "प्रवेश स्कैन",
+  "tab.history": "इतिहास",
+  "tab.list": "सभी टिकट",
+  "tab.dashboard": "डैशबोर्ड",
+  "tab.reports": "रिपोर्ट",
+  "tab.issue": "टिकट जारी करें",
+  "tab.import": "आयात",
+
+  // Event and stats
+  "event.label": "कार्यक्रम",
+  "event.loading": "कार्यक्रम लोड हो रहे हैं...",
+  "event.select": "कार्यक्रम चुनें",
+  "event.loadError": "कार्यक्रम लोड नहीं हो सके। फिर से प्रयास करें",
+  "stats.total": "कुल उपस्थित",
+  "stats.tickets": "{count} टिकटों पर",
+  "stats.admitted": "प्रवेश हुआ",
+  "stats.remaining": "शेष",
+  "event.selectFirst": "पहले कार्यक्रम चुनें",
+  "event.requireIdentityCheck": "पहचान की पुष्टि आवश्यक करें",
+  "event.saveFailed":
+    "कार्यक्रम की सेटिंग सहेजी नहीं जा सकी। कृपया फिर से प्रयास करें।",
+  "common.save": "सहेजें",
+
+  // Device registration
+  "device.title": "इस स्कैनर को पंजीकृत करें",
+  "device.intro":
+    "हर स्कैनर एक गेट पर पंजीकृत होता है, ताकि अस्वीकृत टिकट पर दिखे कि उसका उपयोग कहाँ हुआ था।",
+  "device.gate": "गेट का नाम",
+  "device.gatePlaceholder": "जैसे North Gate",
+  "device.deviceId": "डिवाइस आईडी",
+  "device.deviceIdPlaceholder": "जैसे 3",
+  "device.save": "पंजीकृत करें",
+  "device.cancel": "रद्द करें",
+  "device.label": "{gate} · डिवाइस {device}",
+  "device.change": "गेट या डिवाइस बदलें",
+
+  // Scan tab
+  "scan.title": "छात्र प्रवेश सत्यापित करें",
+  "scan.entryWindow": "प्रवेश समय: {window}",
+  "scan.identityRequired": "पहचान की पुष्टि आवश्यक है",
+  "scan.selectEvent":
+    "स्कैन शुरू करने के लिए वह कार्यक्रम चुनें जिसके लिए आप प्रवेश दे रहे हैं",
+  "scan.direction": "दिशा",
+  "scan.input": "इनपुट",
+  "scan.feedback": "संकेत",
+  "scan.mode": "स्कैन मोड",
+  "scan.verifying": {
+    one: "{count} टिकट सत्यापित हो रहा है...",
+    other: "{count} टिकट सत्यापित हो रहे हैं...",
+  },
+  "scan.hint.wedge":
+    "⌨️ कर्सर कहीं भी हो, हैंडहेल्ड स्कैनर से स्कैन पढ़े जाते हैं",
+  "scan.hint.continuous": "📱 कैमरा चालू रहता है - टिकट एक के बाद एक दिखाएँ",
+  "scan.hint.single": "📱 अपने आप स्कैन करने के लिए कैमरा QR कोड की ओर रखें",
+  "scan.wedgeReady": "हैंडहेल्ड स्कैनर तैयार है - कभी भी टिकट स्कैन करें",
+  "scan.imageUpload": "या स्क्रीनशॉट या फ़ोटो से कोड पढ़ें",
+  "scan.manual": "या टिकट विवरण स्वयं दर्ज करें",
+  "scan.next": "अगला टिकट स्कैन करें",
+  "direction.entry": "प्रवेश",
+  "direction.exit": "निकास",
+  "input.camera": "कैमरा",
+  "input.wedge": "हैंडहेल्ड",
+  "input.both": "दोनों",
+  "mode.single": "एकल",
+  "mode.continuous": "लगातार",
+
+  // Entry window and re-entry
+  "entryWindow.open": "प्रवेश खुला है",
+  "entryWindow.not-open": "प्रवेश अभी खुला नहीं है",
+  "entryWindow.closed": "प्रवेश बंद है",
+  "entryWindow.range": "{from} – {to}",
+  "entryWindow.from": "{time} से",
+  "entryWindow.until": "{time} तक",
+  "entryWindow.allDay": "पूरे दिन",
+  "reentry.none": "दोबारा प्रवेश नहीं",
+  "reentry.unlimited": "असीमित दोबारा प्रवेश",
+  "reentry.upTo": {
+    one: "अधिकतम {count} बार दोबारा प्रवेश",
+    other: "अधिकतम {count} बार दोबारा प्रवेश",
+  },
+  "reentry.allowed": "दोबारा प्रवेश की अनुमति है",
+  "reentry.left": {
+    one: "{count} बार दोबारा प्रवेश बाकी",
+    other: "{count} बार दोबारा प्रवेश बाकी",
+  },
+  "reentry.mode.none": "दोबारा प्रवेश नहीं",
+  "reentry.mode.unlimited": "असीमित दोबारा प्रवेश",
+  "reentry.mode.limited": "सीमित दोबारा प्रवेश",
+  "reentry.label": "दोबारा प्रवेश",
+  "reentry.limit": "दोबारा प्रवेश की अनुमत संख्या",
+
+  // Camera
+  "camera.settings": "कैमरा सेटिंग",
+  "camera.start": "कैमरा स्कैनर शुरू करें",
+  "camera.stop": "स्कैनर रोकें",
+  "camera.startError": "कैमरा शुरू नहीं हो सका। कृपया अनुमतियाँ जाँचें।",
+  "camera.permissionHint": "💡 सुनिश्चित करें कि कैमरा की अनुमति दी गई है",
+  "camera.camera": "कैमरा",
+  "camera.default": "पीछे का कैमरा (डिफ़ॉल्ट)",
+  "camera.numbered": "कैमरा {number}",
+  "camera.torchOn": "टॉर्च चालू",
+  "camera.torchOff": "टॉर्च बंद",
+  "camera.zoom": "ज़ूम {zoom}×",
+  "camera.scanBox": "स्कैन बॉक्स {size}px",
+  "camera.frameRate": "फ़्रेम दर {fps} fps",
+  "feedback.sound": "ध्वनि",
+  "feedback.vibration": "कंपन",
+  "feedback.flash": "फ़्लैश",
+
+  // Offline mode
+  "offline.banner": "ऑफ़लाइन - डाउनलोड की गई टिकट सूची से सत्यापन हो रहा है",
+  "offline.listInfo": "ऑफ़लाइन सूची: {count} टिकट, {time} को डाउनलोड की गई",
+  "offline.noList": "कोई ऑफ़लाइन टिकट सूची डाउनलोड नहीं की गई",
+  "offline.pending": {
+    one: "{count} चेक-इन सिंक होना बाकी है",
+    other: "{count} चेक-इन सिंक होने बाकी हैं",
+  },
+  "offline.download": "सूची डाउनलोड करें",
+  "offline.syncNow": "अभी सिंक करें",
+  "offline.conflict": "सिंक टकराव: {ticketId}",
+  "offline.conflictAt": "यहाँ ऑफ़लाइन {time} को प्रवेश दिया गया",
+  "offline.verified": "ऑफ़लाइन सत्यापित",
+  "offline.checked": "ऑफ़लाइन सूची से जाँचा गया",
+  "offline.snapshotInvalid":
+    "डाउनलोड की गई टिकट सूची हस्ताक्षर जाँच में विफल रही और सहेजी नहीं गई।",
+  "offline.unreachable":
+    "सर्वर से संपर्क नहीं हो सका। कृपया फिर से प्रयास करें।",
+  "offline.syncFailed": "सर्वर के साथ सिंक विफल रहा। कृपया फिर से प्रयास करें।",
+
+  // Image upload
+  "upload.button": "छवि अपलोड करें",
+  "upload.reading": "छवि पढ़ी जा रही है...",
+  "upload.noCode": "कोई QR कोड नहीं मिला। अधिक साफ़ या बड़ी छवि आज़माएँ।",
+  "upload.notImage": "{name} कोई छवि नहीं है",
+  "upload.readError": "यह छवि पढ़ी नहीं जा सकी।",
+
+  // Manual entry and lookup
+  "manual.ticketId": "टिकट ID",
+  "manual.lookup": "उपस्थित व्यक्ति खोजें",
+  "manual.placeholder": "टिकट ID दर्ज करें",
+  "manual.verify": "सत्यापित करें",
+  "lookup.placeholder": "नाम, रोल नंबर या ईमेल से खोजें",
+  "lookup.secondCheck": "दूसरी पुष्टि",
+  "lookup.check.none": "कोई दूसरी जाँच नहीं",
+  "lookup.check.rollLast4": "रोल नंबर के अंतिम 4 अंक",
+  "lookup.check.emailStart": "ईमेल के पहले 3 अक्षर",
+  "lookup.searching": "खोज जारी है...",
+  "lookup.offlineResults": "डाउनलोड की गई टिकट सूची से परिणाम",
+  "lookup.noMatches": "कोई मेल खाता व्यक्ति नहीं मिला",
+  "lookup.confirmAttendee": "इस व्यक्ति की पुष्टि करें",
+  "lookup.askFor": "व्यक्ति से पूछें: {check}",
+  "lookup.confirm": "पुष्टि करें और प्रवेश दें",
+  "lookup.back": "वापस",
+  "lookup.noOfflineList": "ऑफ़लाइन हैं और कोई टिकट सूची डाउनलोड नहीं है।",
+  "lookup.failed": "खोज विफल रही। कृपया फिर से प्रयास करें।",
+
+  // Scan history
+  "history.title": "स्कैन इतिहास",
+  "history.search": "खोजें",
+  "history.searchPlaceholder": "टिकट ID, छात्र, ऑपरेटर या कारण",
+  "history.outcome": "परिणाम",
+  "history.verified": "सत्यापन",
+  "history.show": "दिखाएँ",
+  "history.all": "सभी",
+  "history.scope.session": "यह सत्र",
+  "history.scope.all": "इस डिवाइस के सभी सत्र",
+  "history.showing": "{total} में से {count} स्कैन",
+  "history.empty": "कोई स्कैन दर्ज नहीं",
+  "history.loadError": "इस डिवाइस का स्कैन इतिहास पढ़ा नहीं जा सका।",
+  "history.ticket": "टिकट",
+  "history.outcome.approved": "स्वीकृत",
+  "history.outcome.rejected": "अस्वीकृत",
+  "history.outcome.exit": "निकास",
+  "history.outcome.override": "ओवरराइड",
+  "history.column.time": "समय",
+  "history.column.ticketId": "टिकट ID",
+  "history.column.studentName": "छात्र",
+  "history.column.outcome": "परिणाम",
+  "history.column.reason": "कारण",
+  "history.column.operator": "ऑपरेटर",
+  "history.column.mode": "मोड",
+  "history.column.eventId": "इवेंट",
+
+  // Event report
+  "report.title": "उपस्थिति रिपोर्ट",
+  "report.selectEvent": "रिपोर्ट देखने के लिए इवेंट चुनें",
+  "report.refresh": "रीफ़्रेश करें",
+  "report.print": "प्रिंट करें",
+  "report.pdf": "PDF",
+  "report.buildingPdf": "PDF बन रहा है...",
+  "report.attendanceCsv": "उपस्थिति CSV",
+  "report.csv": "CSV",
+  "report.loading": "रिपोर्ट लोड हो रही है...",
+  "report.empty": "कोई रिपोर्ट उपलब्ध नहीं",
+  "report.loadError": "रिपोर्ट लोड नहीं हो सकी। कृपया फिर से प्रयास करें।",
+  "report.pdfFailed": "PDF नहीं बन सका। कृपया फिर से प्रयास करें।",
+  "report.generated": "{time} को बनाई गई",
+  "report.generatedFor": "{event} · {time} को बनाई गई",
+  "report.summary": "सारांश",
+  "report.attendanceRate": "उपस्थिति दर",
+  "report.attended": "उपस्थित",
+  "report.attendedOf": "{expected} में से {attended}",
+  "report.noShowTickets": "अनुपस्थित टिकट",
+  "report.duplicateAttempts": "दोहराए गए प्रयास",
+  "report.invalidAttempts": "अमान्य प्रयास",
+  "report.arrivals": "आगमन",
+  "report.bucket": "{minutes} मिनट",
+  "report.noArrivals": "कोई आगमन दर्ज नहीं",
+  "report.peak": "अधिकतम {count}",
+  "report.peakPer": "हर {minutes} मिनट में अधिकतम {count}",
+  "report.gates": "गेट",
+  "report.gateThroughput": "गेट के अनुसार प्रवेश",
+  "report.noShows": "अनुपस्थित ({count})",
+  "report.everyoneCame": "सभी उपस्थित रहे",
+  "report.yes": "हाँ",
+  "report.no": "नहीं",
+  "report.unassigned": "अनिर्धारित",
+  "report.column.ticketId": "टिकट ID",
+  "report.column.studentName": "छात्र का नाम",
+  "report.column.name": "नाम",
+  "report.column.rollNumber": "रोल नंबर",
+  "report.column.email": "ईमेल",
+  "report.column.admissions": "प्रवेश संख्या",
+  "report.column.admitted": "प्रवेश हुआ",
+  "report.column.attended": "उपस्थित",
+  "report.column.firstArrivalAt": "पहला आगमन",
+  "report.column.gate": "गेट",
+  "report.column.perHour": "प्रति घंटा",
+  "report.column.duplicate": "दोहराए गए",
+  "report.column.invalid": "अमान्य",
+  "report.column.people": "लोग",
+
+  // Ticket status badges
+  "status.valid": "मान्य",
+  "status.used": "उपयोग हो चुका",
+  "status.exited": "बाहर गया",
+  "status.revoked": "रद्द",
+  "status.superseded": "पुनः जारी",
+  "status.transferred": "हस्तांतरित",
+
+  // Scan results
+  "result.entryApproved": "प्रवेश स्वीकृत ✓",
+  "result.reentryApproved": "दोबारा प्रवेश स्वीकृत ✓",
+  "result.studentVerified": "छात्र सफलतापूर्वक सत्यापित",
+  "result.verifiedOffline": "ऑफ़लाइन सत्यापित, ऑनलाइन होने पर सिंक हो जाएगा",
+  "result.confirmCheckIn": "चेक-इन की पुष्टि करें",
+  "result.confirmCheckIn.details": "प्रवेश देने से पहले व्यक्ति की पुष्टि करें",
+  "result.identityDenied": "पहचान की पुष्टि नहीं हुई",
+  "result.identityDenied.details":
+    "प्रवेश अस्वीकृत। टिकट का उपयोग नहीं हुआ है।",
+  "result.exitRecorded": "निकास दर्ज हुआ",
+  "result.exitNotRecorded": "निकास दर्ज नहीं हुआ",
+  "result.exitNotRecorded.details":
+    "निकास स्कैन के लिए सर्वर से कनेक्शन चाहिए। कृपया फिर से प्रयास करें।",
+  "result.verificationFailed": "सत्यापन विफल",
+  "result.unexpectedResponse": "सर्वर ने अप्रत्याशित उत्तर भेजा।",
+  "result.signingKeyMissing":
+    "टिकट हस्ताक्षर कुंजी सेट नहीं है, इसलिए टिकट जाँचे नहीं जा सकते।",
+  "result.signatureCheckFailed": "टिकट के हस्ताक्षर की जाँच नहीं हो सकी।",
+  "result.serverError": "सर्वर त्रुटि",
+  "result.serverError.details":
+    "सर्वर इस टिकट को सत्यापित नहीं कर सका। कृपया फिर से प्रयास करें।",
+  "result.connectionError": "कनेक्शन त्रुटि",
+  "result.connectionError.details":
+    "सर्वर से कनेक्ट नहीं हो सका और कोई ऑफ़लाइन टिकट सूची डाउनलोड नहीं है।",
+  "result.offlineReadError": "ऑफ़लाइन टिकट सूची पढ़ी नहीं जा सकी।",
+  "result.offlineNotFound.details": "यह टिकट ऑफ़लाइन टिकट सूची में नहीं है।",
+  "result.offlineStatus.details": 'टिकट की स्थिति "{status}" है।',
+  "result.tooManyAdmissions.details":
+    "इस टिकट पर केवल {remaining} और लोग प्रवेश कर सकते हैं ({summary})।",
+  "result.wrongEvent.details": "यह टिकट {event} के लिए है।",
+  "result.differentEvent": "किसी दूसरे कार्यक्रम",
+  "result.scannedAt": "स्कैन का समय: {time}",
+  "result.scannedAtBy": "स्कैन का समय: {time}, {name} द्वारा",
+  "result.supervisorOverride": "पर्यवेक्षक ओवरराइड",
+  "result.overrideButton": "पर्यवेक्षक ओवरराइड",
+  "override.title": "{name} के लिए पर्यवेक्षक ओवरराइड",
+  "override.reasonPlaceholder": "कारण (ऑडिट रिकॉर्ड में दर्ज होगा)",
+  "override.pin": "पर्यवेक्षक PIN",
+  "override.submit": "फिर भी प्रवेश दें",
+  "override.recording": "दर्ज किया जा रहा है...",
+  "override.admitted": "ओवरराइड से प्रवेश",
+  "override.reason": "कारण: {reason}",
+  "override.failed":
+    "सर्वर ओवरराइड दर्ज नहीं कर सका। कृपया फिर से प्रयास करें।",
+  "field.studentName": "छात्र का नाम",
+  "field.rollNumber": "रोल नंबर",
+  "field.email": "ईमेल",
+  "field.ticketId": "टिकट ID",
+
+  // Rejection reasons, shared by local checks and server errors
+  "reason.not-found": "टिकट नहीं मिला",
+  "reason.not-found.details": "इस कार्यक्रम के लिए इस ID का कोई टिकट नहीं है।",
+  "reason.already-used": "टिकट पहले ही उपयोग हो चुका है",
+  "reason.already-used.details": "यह टिकट पहले ही स्कैन हो चुका है।",
+  "reason.wrong-event": "गलत कार्यक्रम",
+  "reason.wrong-event.details": "यह टिकट किसी दूसरे कार्यक्रम के लिए है।",
+  "reason.revoked": "टिकट रद्द",
+  "reason.revoked.details": "टिकट रद्द कर दिया गया है",
+  "reason.superseded": "टिकट बदला गया",
+  "reason.superseded.details": "इसकी जगह नया टिकट जारी किया गया है",
+  "reason.transferred": "टिकट हस्तांतरित",
+  "reason.transferred.details": "किसी दूसरे छात्र को हस्तांतरित",
+  "reason.expired": "टिकट की अवधि समाप्त",
+  "reason.expired.details": "यह टिकट अब मान्य नहीं है।",
+  "reason.entry-not-open": "प्रवेश खुला नहीं है",
+  "reason.entry-not-open.details":
+    "इस कार्यक्रम का प्रवेश अभी शुरू नहीं हुआ है।",
+  "reason.entry-closed": "प्रवेश बंद है",
+  "reason.entry-closed.details": "इस कार्यक्रम का प्रवेश बंद हो चुका है।",
+  "reason.reentry-limit": "दोबारा प्रवेश की अनुमति नहीं",
+  "reason.reentry-limit.details":
+    "इस टिकट पर इस कार्यक्रम के लिए दोबारा प्रवेश बाकी नहीं है।",
+  "reason.too-many-admissions": "बहुत अधिक प्रवेश",
+  "reason.too-many-admissions.details":
+    "टिकट पर बचे लोगों से अधिक लोगों को प्रवेश दिया गया।",
+  "reason.not-allowed": "अनुमति नहीं",
+  "reason.not-allowed.details": "आपका खाता इस टिकट पर प्रवेश नहीं दे सकता।",
+  "reason.rejected": "टिकट अस्वीकृत",
+  "reason.rejected.details": "सर्वर ने यह टिकट स्वीकार नहीं किया।",
+  "reason.forged": "नकली टिकट",
+  "reason.forged.details": "यह QR कोड आयोजकों द्वारा जारी नहीं किया गया है।",
+  "reason.tampered": "छेड़छाड़ किया गया टिकट",
+  "reason.tampered.details":
+    "जारी होने के बाद इस QR कोड में बदलाव किया गया है।",
+  "reason.invalid-pin": "ओवरराइड स्वीकार नहीं हुआ",
+  "reason.invalid-pin.details": "पर्यवेक्षक PIN स्वीकार नहीं हुआ।",
+  "token.notTicket": "यह QR कोड हस्ताक्षरित इवेंट टिकट नहीं है।",
+  "token.unknownIssuer":
+    "यह QR कोड किसी अज्ञात जारीकर्ता ने हस्ताक्षरित किया है।",
+  "token.idMismatch": "टिकट ID उसके हस्ताक्षर से मेल नहीं खाती।",
+  "inactive.revokedBecause": "टिकट रद्द: {reason}",
+  "inactive.supersededBy": "इसकी जगह नया टिकट {ticketId} जारी किया गया है",
+  "inactive.transferredBecause": "किसी दूसरे छात्र को हस्तांतरित: {reason}",
+  "priorScan.gateDevice": "{gate}, डिवाइस {device} पर {ago} उपयोग हुआ",
+  "priorScan.gate": "{gate} पर {ago} उपयोग हुआ",
+  "priorScan.when": "{ago} उपयोग हुआ",
+  "priorScan.this-device": "इसी डिवाइस पर स्कैन हुआ - शायद दोबारा टैप",
+  "priorScan.this-gate": "इसी गेट के दूसरे डिवाइस पर स्कैन हुआ",
+  "priorScan.other-gate":
+    "दूसरे गेट पर स्कैन हुआ - QR कोड साझा या कॉपी किया गया हो सकता है",
+
+  // Group tickets
+  "admissions.summary": "{admissions} में से {admitted} का प्रवेश हुआ",
+  "admissions.entering": "{max} में से {count} अभी प्रवेश कर रहे हैं",
+  "admissions.fewer": "एक कम",
+  "admissions.more": "एक और",
+
+  // Check-in confirmation
+  "confirm.identityTitle": "प्रवेश से पहले पहचान की पुष्टि करें",
+  "confirm.groupTitle": "समूह चेक-इन की पुष्टि करें",
+  "confirm.deny": "प्रवेश अस्वीकार करें",
+  "confirm.cancel": "रद्द करें",
+  "confirm.checkingIn": "चेक-इन हो रहा है...",
+  "confirm.admit": "{count} को प्रवेश दें",
+  "confirm.identityConfirmed": "पहचान की पुष्टि हुई",
+  "confirm.noPhoto": "कोई फ़ोटो उपलब्ध नहीं",
+  "confirm.waiting": "{count} और चेक-इन प्रतीक्षा में",
+
+  // Live dashboard
+  "dashboard.title": "लाइव चेक-इन डैशबोर्ड",
+  "dashboard.connection.idle": "कोई कार्यक्रम नहीं चुना गया",
+  "dashboard.connection.connecting": "कनेक्ट हो रहा है...",
+  "dashboard.connection.live": "लाइव",
+  "dashboard.connection.polling": "पोलिंग",
+  "dashboard.selectEvent": "लाइव आँकड़े देखने के लिए कार्यक्रम चुनें",
+  "dashboard.loading": "आँकड़े लोड हो रहे हैं...",
+  "dashboard.loadError":
+    "लाइव आँकड़े लोड नहीं हो सके। फिर से प्रयास किया जा रहा है...",
+  "dashboard.arrivals": "प्रति मिनट आगमन",
+  "dashboard.noArrivals": "अभी तक कोई आगमन नहीं",
+  "dashboard.peak": "अधिकतम {count}/मिनट",
+  "dashboard.byGate": "गेट के अनुसार",
+  "dashboard.byDevice": "डिवाइस के अनुसार",
+  "dashboard.column.device": "डिवाइस",
+  "dashboard.column.gate": "गेट",
+  "dashboard.column.admitted": "प्रवेश हुआ",
+  "dashboard.column.lastScan": "अंतिम स्कैन",
+  "dashboard.updated": "{time} को अपडेट हुआ",
+
+  // Ticket list
+  "list.title": "सभी छात्र टिकट",
+  "list.searchPlaceholder": "नाम, रोल नंबर, ईमेल या टिकट ID",
+  "list.status": "स्थिति",
+  "list.status.all": "सभी",
+  "list.status.valid": "मान्य",
+  "list.status.used": "उपयोग हो चुका",
+  "list.status.exited": "बाहर गया",
+  "list.status.revoked": "रद्द",
+  "list.status.superseded": "पुनः जारी",
+  "list.status.transferred": "हस्तांतरित",
+  "list.scannedFrom": "स्कैन कब से",
+  "list.scannedTo": "स्कैन कब तक",
+  "list.refresh": "रीफ़्रेश करें",
+  "list.showing": "{total} में से {count} टिकट दिखाए जा रहे हैं",
+  "list.attendees": "{count} उपस्थित",
+  "list.empty": "कोई टिकट नहीं मिला",
+  "list.retry": "फिर से प्रयास करें",
+  "list.loadingMore": "और टिकट लोड हो रहे हैं...",
+  "list.loadError": "टिकट लोड नहीं हो सके। कृपया फिर से प्रयास करें।",
+  "list.badge.used": "✓ स्कैन हुआ",
+  "list.badge.exited": "↩ बाहर गया",
+  "list.generated": "बनाया गया",
+  "list.scanned": "✓ स्कैन: {time}",
+  "list.scannedBy": "✓ स्कैन: {time}, {name} द्वारा",
+  "list.reason": "कारण: {reason}",
+  "list.replacedBy": "{ticketId} से बदला गया",
+  "list.override": "⚠ ओवरराइड से प्रवेश ({name}): {reason}",
+
+  // Ticket actions
+  "ticketAction.revoke": "रद्द करें",
+  "ticketAction.reissue": "पुनः जारी करें",
+  "ticketAction.transfer": "हस्तांतरित करें",
+  "ticketAction.undo": "चेक-इन वापस लें",
+  "ticketAction.revoke.title": "टिकट रद्द करें",
+  "ticketAction.revoke.note": "गेट पर यह टिकट इसी कारण से अस्वीकार होगा।",
+  "ticketAction.revoke.submit": "टिकट रद्द करें",
+  "ticketAction.reissue.title": "टिकट पुनः जारी करें",
+  "ticketAction.reissue.note":
+    "नया QR कोड जारी होगा और मौजूदा कोड काम करना बंद कर देगा।",
+  "ticketAction.reissue.submit": "नया टिकट जारी करें",
+  "ticketAction.transfer.title": "टिकट हस्तांतरित करें",
+  "ticketAction.transfer.note":
+    "नए छात्र को अपना QR कोड मिलेगा; मौजूदा कोड काम करना बंद कर देगा।",
+  "ticketAction.transfer.submit": "टिकट हस्तांतरित करें",
+  "ticketAction.undo.title": "चेक-इन वापस लें",
+  "ticketAction.undo.note": "टिकट फिर से मान्य हो जाएगा और स्कैन हो सकेगा।",
+  "ticketAction.undo.submit": "चेक-इन वापस लें",
+  "ticketAction.newStudentName": "नए छात्र का नाम",
+  "ticketAction.reason": "कारण",
+  "ticketAction.reasonPlaceholder": "जैसे रिफ़ंड, फ़ोन खो गया",
+  "ticketAction.saving": "सहेजा जा रहा है...",
+  "ticketAction.close": "बंद करें",
+  "ticketAction.failed":
+    "सर्वर इस टिकट को अपडेट नहीं कर सका। कृपया फिर से प्रयास करें।",
+
+  // Issuing tickets
+  "issue.title": "टिकट जारी करें",
+  "issue.submit": "टिकट जारी करें",
+  "issue.submitting": "जारी किया जा रहा है...",
+  "issue.placeholder": "जारी किए गए टिकट का QR कोड यहाँ दिखेगा",
+  "issue.failed": "सर्वर टिकट जारी नहीं कर सका। कृपया फिर से प्रयास करें।",
+  "qr.rendering": "QR कोड बन रहा है...",
+  "qr.renderError": "QR कोड नहीं बन सका।",
+  "qr.alt": "{ticketId} का QR कोड",
+  "qr.printCard": "कार्ड प्रिंट करें",
+  "qr.printTitle": "टिकट {ticketId}",
+  "qr.eventTicket": "कार्यक्रम टिकट",
+
+  // Importing tickets
+  "import.title": "टिकट आयात करें",
+  "import.choose": "CSV या XLSX चुनें",
+  "import.rows": {
+    one: "{name} · {count} पंक्ति",
+    other: "{name} · {count} पंक्तियाँ",
+  },
+  "import.noRows": "फ़ाइल में डेटा की कोई पंक्ति नहीं है।",
+  "import.readError": "फ़ाइल पढ़ी नहीं जा सकी।",
+  "import.notMapped": "— मैप नहीं किया गया —",
+  "import.columnNumber": "कॉलम {number}",
+  "import.ready": "{count} तैयार",
+  "import.withProblems": "{count} में समस्या",
+  "import.onlyProblems": "केवल समस्या वाली पंक्तियाँ दिखाएँ",
+  "import.column.rowNumber": "पंक्ति",
+  "import.column.problems": "समस्याएँ",
+  "import.column.error": "त्रुटि",
+  "import.previewLimit": "पूर्वावलोकन में पहली {count} पंक्तियाँ हैं",
+  "import.progress": "{total} में से {done} संसाधित...",
+  "import.done": "{created} टिकट बने, {failed} पंक्तियाँ विफल रहीं",
+  "import.submit": "{count} टिकट आयात करें",
+  "import.downloadFailed": "विफल पंक्तियाँ डाउनलोड करें",
+  "import.notCreated": "सर्वर ने नहीं बनाया",
+  "import.batchFailed": "सर्वर ये टिकट नहीं बना सका।",
+  "import.missing.studentName": "छात्र का नाम नहीं है",
+  "import.missing.rollNumber": "रोल नंबर नहीं है",
+  "import.missing.email": "ईमेल नहीं है",
+  "import.invalidEmail": "अमान्य ईमेल",
+  "import.duplicateRollNumber": "रोल नंबर दोहराया गया है",
+  "import.duplicateEmail": "ईमेल दोहराया गया है",
+};
+
+export default hi;
@@ -0,0 +1,111 @@
+import en from "./en";
+import hi from "./hi";
+
+// Translation catalogs and the language chosen on this device, with change
+// notifications so the UI re-renders when staff switch languages. Catalog
+// values may use {name} placeholders, and plural entries are objects keyed
+// by Intl plural category ("one", "other", ...) selected by `count`.
+const STORAGE_KEY = "qr-ticket:locale";
+
+export const LANGUAGES = [
+  { code: "en", label: "English", intl: "en-IN" },
+  { code: "hi", label: "हिन्दी", intl: "hi-IN" },
+];
+
+const CATALOGS = { en, hi };
+const DEFAULT_LOCALE = "en";
+
+const listeners = new Set();
+
+const isSupported = (code) => code in CATALOGS;
+
+// Fall back to the browser language the first time the app is opened
+const detectLocale = () => {
+  const browser = globalThis.navigator?.language?.slice(0, 2);
+  return isSupported(browser) ? browser : DEFAULT_LOCALE;
+};
+
+export const getLocale = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return isSupported(stored) ? stored : detectLocale();
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+};
+
+export const setLocale = (code) => {
+  if (!isSupported(code)) return;
+  localStorage.setItem(STORAGE_KEY, code);
+  listeners.forEach((listener) => listener(code));
+};
+
+export const subscribeLocale = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const intlLocale = (code = getLocale()) =>
+  LANGUAGES.find((language) => language.code === code)?.intl ?? code;
+
+const interpolate = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match
+  );
+
+// Look up `key` in the given locale, falling back to English and then to
+// the key itself so a missing translation never blanks the screen
+export const translate = (code, key, params = {}) => {
+  let entry = CATALOGS[code]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (entry === undefined) return key;
+
+  if (typeof entry === "object") {
+    const category = new Intl.PluralRules(intlLocale(code)).select(
+      params.count ?? 0
+    );
+    entry = entry[category] ?? entry.other;
+  }
+  return interpolate(entry, params);
+};
+
+// Translate in the current device language, for code outside components
+export const t = (key, params) => translate(getLocale(), key, params);
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+export const formatDateTime = (value, code = getLocale()) =>
+  toDate(value).toLocaleString(intlLocale(code), {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+export const formatDate = (value, code = getLocale()) =>
+  toDate(value).toLocaleDateString(intlLocale(code), { dateStyle: "medium" });
+
+export const formatTime = (value, code = getLocale()) =>
+  toDate(value).toLocaleTimeString(intlLocale(code), {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+const RELATIVE_UNITS = [
+  ["day", 86_400],
+  ["hour", 3_600],
+  ["minute", 60],
+  ["second", 1],
+];
+
+// "2 min ago", in the largest unit that fits
+export const formatRelativeTime = (
+  value,
+  { now = new Date(), code = getLocale() } = {}
+) => {
+  const seconds = Math.round((toDate(value) - toDate(now)) / 1000);
+  const [unit, size] =
+    RELATIVE_UNITS.find(([, size]) => Math.abs(seconds) >= size) ??
+    RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+  return new Intl.RelativeTimeFormat(intlLocale(code), {
+    numeric: "auto",
+    style: "short",
+  }).format(Math.round(seconds / size), unit);
+};
@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import { translate, formatDate, formatRelativeTime } from "./index";
+
+describe("translate", () => {
+  it("fills in placeholders", () => {
+    expect(
+      translate("en", "admissions.summary", { admitted: 3, admissions: 8 })
+    ).toBe("3 of 8 admitted");
+  });
+
+  it("picks the plural form for the count", () => {
+    expect(translate("en", "reentry.left", { count: 1 })).toBe(
+      "1 re-entry left"
+    );
+    expect(translate("en", "reentry.left", { count: 3 })).toBe(
+      "3 re-entries left"
+    );
+  });
+
+  it("uses the chosen language", () => {
+    expect(translate("hi", "result.entryApproved")).toBe("प्रवेश स्वीकृत ✓");
+  });
+
+  it("falls back to English, then to the key", () => {
+    expect(translate("xx", "result.entryApproved")).toBe("Entry Approved ✓");
+    expect(translate("hi", "no.such.key")).toBe("no.such.key");
+  });
+});
+
+describe("formatDate", () => {
+  it("formats for the chosen locale", () => {
+    const date = new Date("2024-03-05T10:00:00Z");
+    expect(formatDate(date, "en")).toBe(
+      date.toLocaleDateString("en-IN", { dateStyle: "medium" })
+    );
+  });
+});
+
+describe("formatRelativeTime", () => {
+  const now = new Date("2024-03-05T10:00:00Z");
+
+  it("uses the largest whole unit", () => {
+    expect(
+      formatRelativeTime("2024-03-05T09:58:00Z", { now, code: "en" })
+    ).toBe("2 min ago");
+    expect(
+      formatRelativeTime("2024-03-05T07:00:00Z", { now, code: "en" })
+    ).toBe("3 hr ago");
+  });
+
+  it("counts seconds for very recent scans", () => {
+    expect(
+      formatRelativeTime("2024-03-05T09:59:45Z", { now, code: "en" })
+    ).toBe("15 sec ago");
+  });
+});
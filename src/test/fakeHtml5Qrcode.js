@@ -0,0 +1,82 @@
+// Stand-in for html5-qrcode's Html5Qrcode so the scan flow runs without a
+// camera. Tests call `emitDecode` to present a QR code to the running
+// scanner, as the library would after decoding a frame.
+const instances = [];
+
+const UNSUPPORTED = { isSupported: () => false };
+
+let startError = null;
+let trackFeatures = { torch: UNSUPPORTED, zoom: UNSUPPORTED };
+
+export class Html5Qrcode {
+  constructor(elementId) {
+    this.elementId = elementId;
+    this.isScanning = false;
+    this.onDecode = null;
+    instances.push(this);
+  }
+
+  async start(camera, config, onDecode) {
+    if (startError) {
+      const error = startError;
+      startError = null;
+      throw error;
+    }
+    this.camera = camera;
+    this.config = config;
+    this.onDecode = onDecode;
+    this.isScanning = true;
+  }
+
+  // Like the library, stopping a scanner that is not running throws
+  // synchronously rather than rejecting
+  stop() {
+    if (!this.isScanning) {
+      throw "Cannot stop, scanner is not running or paused.";
+    }
+    this.isScanning = false;
+    return Promise.resolve();
+  }
+
+  clear() {}
+
+  getRunningTrackCameraCapabilities() {
+    return {
+      torchFeature: () => trackFeatures.torch,
+      zoomFeature: () => trackFeatures.zoom,
+    };
+  }
+
+  static async getCameras() {
+    return [{ id: "fake-camera", label: "Fake camera" }];
+  }
+}
+
+// The scanner started last. Like the real library, it can still deliver
+// frames it had already decoded while a stop() is in progress.
+export const latestScanner = () =>
+  instances.findLast((instance) => instance.onDecode) ?? null;
+
+// Decode `text` on the latest scanner; throws if the camera never started
+export const emitDecode = (text) => {
+  const scanner = latestScanner();
+  if (!scanner) throw new Error("No scanner has been started");
+  return scanner.onDecode(text);
+};
+
+// Make the next start() reject, as the library does when camera
+// permission is denied
+export const failNextStart = (error) => {
+  startError = error;
+};
+
+// Torch and zoom features reported by the running track
+export const setTrackFeatures = (features) => {
+  trackFeatures = { ...trackFeatures, ...features };
+};
+
+export const resetFakeScanners = () => {
+  instances.length = 0;
+  startError = null;
+  trackFeatures = { torch: UNSUPPORTED, zoom: UNSUPPORTED };
+};
@@ -0,0 +1,14 @@
+// Backend payloads shared by the API client and scanner tests
+
+export const EVENT = { id: "EVT-1", name: "Tech Fest 2024" };
+
+// A ticket as the backend sends it, before it is mapped onto the scanner
+// shape
+export const apiTicket = (overrides = {}) => ({
+  ticketId: "STU-1",
+  attendeeName: "Rahul Kumar",
+  rollNumber: "CS21B001",
+  email: "rahul@student.edu",
+  eventName: EVENT.name,
+  ...overrides,
+});
@@ -0,0 +1,41 @@
+// A local stand-in for the backend. Routes are keyed "METHOD /path" and
+// handlers return { status, body } (objects are sent as JSON, strings as
+// they are) or throw to simulate a network failure. Every call is kept in
+// `calls` with its parsed JSON body.
+export const createMockApi = (routes = {}) => {
+  const calls = [];
+  const handlers = { ...routes };
+
+  const fetch = async (url, init = {}) => {
+    const method = init.method || "GET";
+    const { pathname } = new URL(url);
+    const key = `${method} ${pathname}`;
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    calls.push({ method, path: pathname, body });
+
+    const handler = handlers[key];
+    if (!handler) {
+      return new Response(JSON.stringify({ message: `No route ${key}` }), {
+        status: 404,
+      });
+    }
+    const { status = 200, body: responseBody } = await handler(body);
+    return new Response(
+      typeof responseBody === "string"
+        ? responseBody
+        : JSON.stringify(responseBody),
+      { status, headers: { "Content-Type": "application/json" } }
+    );
+  };
+
+  return {
+    fetch,
+    calls,
+    // Replace or add a route for the rest of the test
+    on: (key, handler) => {
+      handlers[key] = handler;
+    },
+    callsTo: (key) =>
+      calls.filter((call) => `${call.method} ${call.path}` === key),
+  };
+};
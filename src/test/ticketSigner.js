@@ -0,0 +1,38 @@
+// Issues signed ticket QR codes the way the backend does, with a key pair
+// generated for the test run. The public key has to be in the environment
+// before the scanner modules load.
+// Shared with the token parser tests, which hand-craft malformed tokens
+export const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+export const encodeJson = (value) =>
+  toBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+
+export const createTicketSigner = async () => {
+  const keyPair = await crypto.subtle.generateKey({ name: "Ed25519" }, true, [
+    "sign",
+    "verify",
+  ]);
+  const rawKey = await crypto.subtle.exportKey("raw", keyPair.publicKey);
+
+  // QR text for a ticket valid for the next hour
+  const issue = async (ticketId, payload = {}) => {
+    const signingInput = `${encodeJson({ alg: "EdDSA" })}.${encodeJson({
+      ticketId,
+      exp: Math.floor(Date.now() / 1000) + 3600,
+      ...payload,
+    })}`;
+    const signature = await crypto.subtle.sign(
+      { name: "Ed25519" },
+      keyPair.privateKey,
+      new TextEncoder().encode(signingInput)
+    );
+    const token = `${signingInput}.${toBase64Url(new Uint8Array(signature))}`;
+    return JSON.stringify({ ticketId, token });
+  };
+
+  return { publicKey: toBase64Url(new Uint8Array(rawKey)), issue };
+};
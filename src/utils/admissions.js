@@ -0,0 +1,27 @@
+import { t } from "../i18n";
+
+// Group tickets admit several people, possibly across several scans.
+// `admissions` is how many the ticket covers, `admitted` how many are in.
+// Attendance counts everywhere are of people, not tickets, so a group
+// ticket for 8 counts as 8.
+export const isGroupTicket = (ticket) => (ticket?.admissions ?? 1) > 1;
+
+export const remainingAdmissions = (ticket) =>
+  Math.max(0, (ticket.admissions ?? 1) - (ticket.admitted ?? 0));
+
+export const describeAdmissions = (ticket) =>
+  t("admissions.summary", {
+    admitted: ticket.admitted ?? 0,
+    admissions: ticket.admissions ?? 1,
+  });
+
+// Ticket after `count` more people from it have come in
+export const admit = (ticket, count = 1) => {
+  const admissions = ticket.admissions ?? 1;
+  const admitted = Math.min(admissions, (ticket.admitted ?? 0) + count);
+  return {
+    ...ticket,
+    admitted,
+    status: admitted >= admissions ? "used" : "valid",
+  };
+};
@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import {
+  isGroupTicket,
+  remainingAdmissions,
+  describeAdmissions,
+  admit,
+} from "./admissions";
+
+describe("group admissions", () => {
+  const group = { id: "GRP-1", admissions: 8, admitted: 3, status: "valid" };
+
+  it("treats single tickets as admitting one person", () => {
+    expect(isGroupTicket({ id: "STU-1" })).toBe(false);
+    expect(remainingAdmissions({ id: "STU-1" })).toBe(1);
+  });
+
+  it("describes partial check-ins", () => {
+    expect(isGroupTicket(group)).toBe(true);
+    expect(describeAdmissions(group)).toBe("3 of 8 admitted");
+    expect(remainingAdmissions(group)).toBe(5);
+  });
+
+  it("stays valid until everyone is in", () => {
+    expect(admit(group, 2)).toMatchObject({ admitted: 5, status: "valid" });
+    expect(admit(group, 5)).toMatchObject({ admitted: 8, status: "used" });
+  });
+
+  it("never admits more than the ticket covers", () => {
+    expect(admit(group, 20).admitted).toBe(8);
+  });
+});
@@ -0,0 +1,56 @@
+// Scanner camera setup, remembered per device so each gate phone keeps
+// the camera, scan box and frame rate it was tuned with
+const STORAGE_KEY = "qr-ticket:camera-settings";
+
+export const QRBOX_RANGE = { min: 150, max: 400, step: 10 };
+export const FPS_RANGE = { min: 2, max: 30, step: 1 };
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  cameraId: null,
+  qrboxSize: 250,
+  fps: 10,
+  torch: false,
+  zoom: null,
+};
+
+const clamp = (value, { min, max }, fallback) => {
+  const number = typeof value === "string" ? Number(value) : value;
+  if (typeof number !== "number" || !Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+};
+
+export const normalizeCameraSettings = (settings = {}) => ({
+  cameraId:
+    typeof settings.cameraId === "string" && settings.cameraId
+      ? settings.cameraId
+      : null,
+  qrboxSize: clamp(
+    settings.qrboxSize,
+    QRBOX_RANGE,
+    DEFAULT_CAMERA_SETTINGS.qrboxSize
+  ),
+  fps: clamp(settings.fps, FPS_RANGE, DEFAULT_CAMERA_SETTINGS.fps),
+  torch: settings.torch === true,
+  zoom:
+    typeof settings.zoom === "number" && Number.isFinite(settings.zoom)
+      ? settings.zoom
+      : null,
+});
+
+export const loadCameraSettings = () => {
+  try {
+    return normalizeCameraSettings(
+      JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+    );
+  } catch {
+    return { ...DEFAULT_CAMERA_SETTINGS };
+  }
+};
+
+export const saveCameraSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+// Changing any of these means restarting the camera stream
+export const needsRestart = (patch) =>
+  ["cameraId", "qrboxSize", "fps"].some((key) => key in patch);
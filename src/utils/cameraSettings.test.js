@@ -0,0 +1,35 @@
+import { describe, it, expect } from "vitest";
+import {
+  normalizeCameraSettings,
+  needsRestart,
+  DEFAULT_CAMERA_SETTINGS,
+} from "./cameraSettings";
+
+describe("normalizeCameraSettings", () => {
+  it("falls back to defaults for missing or invalid values", () => {
+    expect(normalizeCameraSettings({ fps: "fast", qrboxSize: null })).toEqual(
+      DEFAULT_CAMERA_SETTINGS
+    );
+  });
+
+  it("clamps the scan box and frame rate to supported ranges", () => {
+    const settings = normalizeCameraSettings({ qrboxSize: 900, fps: 0 });
+    expect(settings.qrboxSize).toBe(400);
+    expect(settings.fps).toBe(2);
+  });
+
+  it("keeps a chosen camera, torch and zoom", () => {
+    expect(
+      normalizeCameraSettings({ cameraId: "cam-2", torch: true, zoom: 2.5 })
+    ).toMatchObject({ cameraId: "cam-2", torch: true, zoom: 2.5 });
+  });
+});
+
+describe("needsRestart", () => {
+  it("restarts for stream settings but not for torch or zoom", () => {
+    expect(needsRestart({ fps: 15 })).toBe(true);
+    expect(needsRestart({ cameraId: "cam-1" })).toBe(true);
+    expect(needsRestart({ torch: true })).toBe(false);
+    expect(needsRestart({ zoom: 2 })).toBe(false);
+  });
+});
@@ -0,0 +1,23 @@
+// Serialize records to CSV; `columns` is a list of { key, label }
+
+// Spreadsheets run text starting with one of these as a formula. Scanned
+// QR text ends up in exports, so such cells are prefixed with ' to keep
+// them as plain text. Numbers are our own and stay numeric.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (records, columns) =>
+  [
+    columns.map((column) => escapeCell(column.label)).join(","),
+    ...records.map((record) =>
+      columns.map((column) => escapeCell(record[column.key])).join(",")
+    ),
+  ].join("\r\n");
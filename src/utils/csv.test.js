@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { toCsv } from "./csv";
+
+const columns = [
+  { key: "ticketId", label: "Ticket ID" },
+  { key: "count", label: "Count" },
+];
+
+const rowFor = (ticketId, count = 1) =>
+  toCsv([{ ticketId, count }], columns).split("\r\n")[1];
+
+describe("toCsv", () => {
+  it("quotes cells with commas, quotes and line breaks", () => {
+    expect(rowFor('STU-1, "VIP"')).toBe('"STU-1, ""VIP""",1');
+    expect(rowFor(null)).toBe(",1");
+  });
+
+  it("keeps scanned text that looks like a formula as plain text", () => {
+    expect(rowFor('=HYPERLINK("http://x")')).toBe(
+      '"\'=HYPERLINK(""http://x"")",1'
+    );
+    expect(rowFor("+1")).toBe("'+1,1");
+    expect(rowFor("-2+3")).toBe("'-2+3,1");
+    expect(rowFor("@SUM(A1)")).toBe("'@SUM(A1),1");
+    expect(rowFor("\tcmd")).toBe("'\tcmd,1");
+    expect(rowFor("\r=1")).toBe('"\'\r=1",1');
+  });
+
+  it("leaves numbers numeric", () => {
+    expect(rowFor("STU-1", -1)).toBe("STU-1,-1");
+  });
+});
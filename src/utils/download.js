@@ -0,0 +1,14 @@
+// Trigger a browser download for generated content
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadText = (text, filename, type = "text/plain") =>
+  downloadBlob(new Blob([text], { type }), filename);
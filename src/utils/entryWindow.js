@@ -0,0 +1,25 @@
+import { t, formatTime } from "../i18n";
+
+// Describe where `now` falls in an event's entry window
+export const getEntryWindowStatus = (event, now = new Date()) => {
+  const opensAt = event?.entryOpensAt ? new Date(event.entryOpensAt) : null;
+  const closesAt = event?.entryClosesAt ? new Date(event.entryClosesAt) : null;
+
+  if (opensAt && now < opensAt) return { state: "not-open", opensAt, closesAt };
+  if (closesAt && now > closesAt) return { state: "closed", opensAt, closesAt };
+  return { state: "open", opensAt, closesAt };
+};
+
+// Human-readable entry window in the device language, e.g.
+// "9:00 am – 11:30 am"
+export const formatEntryWindow = ({ opensAt, closesAt }) => {
+  if (opensAt && closesAt) {
+    return t("entryWindow.range", {
+      from: formatTime(opensAt),
+      to: formatTime(closesAt),
+    });
+  }
+  if (opensAt) return t("entryWindow.from", { time: formatTime(opensAt) });
+  if (closesAt) return t("entryWindow.until", { time: formatTime(closesAt) });
+  return t("entryWindow.allDay");
+};
@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { getEntryWindowStatus } from "./entryWindow";
+
+describe("getEntryWindowStatus", () => {
+  const event = {
+    entryOpensAt: "2024-11-04T09:00:00.000Z",
+    entryClosesAt: "2024-11-04T11:00:00.000Z",
+  };
+
+  it("is not open before the window starts", () => {
+    expect(
+      getEntryWindowStatus(event, new Date("2024-11-04T08:59:00.000Z")).state
+    ).toBe("not-open");
+  });
+
+  it("is open inside the window", () => {
+    expect(
+      getEntryWindowStatus(event, new Date("2024-11-04T10:00:00.000Z")).state
+    ).toBe("open");
+  });
+
+  it("is closed after the window ends", () => {
+    expect(
+      getEntryWindowStatus(event, new Date("2024-11-04T11:01:00.000Z")).state
+    ).toBe("closed");
+  });
+
+  it("treats a missing window as always open", () => {
+    expect(getEntryWindowStatus({}, new Date()).state).toBe("open");
+  });
+});
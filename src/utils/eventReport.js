@@ -0,0 +1,169 @@
+import { t } from "../i18n";
+
+// Post-event attendance figures, computed from the report payload so the
+// same numbers feed the on-screen view, the printout and the exports.
+
+// Tickets taken out of circulation are not expected at the door
+const INACTIVE_STATUSES = new Set(["revoked", "superseded", "transferred"]);
+
+const ATTENDANCE_FIELDS = [
+  "ticketId",
+  "studentName",
+  "rollNumber",
+  "email",
+  "admissions",
+  "admitted",
+  "attended",
+  "firstArrivalAt",
+  "gate",
+];
+
+const NO_SHOW_FIELDS = [
+  "ticketId",
+  "studentName",
+  "rollNumber",
+  "email",
+  "admissions",
+];
+
+// CSV columns with headers in the current language
+const toColumns = (fields) =>
+  fields.map((key) => ({ key, label: t(`report.column.${key}`) }));
+
+export const attendanceColumns = () => toColumns(ATTENDANCE_FIELDS);
+
+export const noShowColumns = () => toColumns(NO_SHOW_FIELDS);
+
+const peopleIn = (attempt) => attempt.count ?? 1;
+
+// Admitted people per bucket from the first arrival to the last, with
+// empty buckets kept so quiet spells show in the histogram
+const bucketArrivals = (admissions, bucketMinutes) => {
+  if (admissions.length === 0) return [];
+
+  const bucketMs = bucketMinutes * 60 * 1000;
+  const times = admissions.map((attempt) => new Date(attempt.at).getTime());
+  const first = Math.floor(Math.min(...times) / bucketMs) * bucketMs;
+  const last = Math.floor(Math.max(...times) / bucketMs) * bucketMs;
+
+  const buckets = [];
+  for (let start = first; start <= last; start += bucketMs) {
+    buckets.push({ start: new Date(start).toISOString(), count: 0 });
+  }
+  admissions.forEach((attempt, index) => {
+    buckets[Math.floor((times[index] - first) / bucketMs)].count +=
+      peopleIn(attempt);
+  });
+  return buckets;
+};
+
+// Admissions, rejections and scan rate per gate, busiest gate first
+const summarizeGates = (attempts) => {
+  const gates = new Map();
+  for (const attempt of attempts) {
+    const name = attempt.gate || t("report.unassigned");
+    if (!gates.has(name)) {
+      gates.set(name, {
+        gate: name,
+        admitted: 0,
+        duplicate: 0,
+        invalid: 0,
+        firstAt: null,
+        lastAt: null,
+      });
+    }
+    const gate = gates.get(name);
+    if (attempt.outcome === "admitted") {
+      gate.admitted += peopleIn(attempt);
+      if (!gate.firstAt || attempt.at < gate.firstAt) gate.firstAt = attempt.at;
+      if (!gate.lastAt || attempt.at > gate.lastAt) gate.lastAt = attempt.at;
+    } else {
+      gate[attempt.outcome] += 1;
+    }
+  }
+
+  return [...gates.values()]
+    .map((gate) => {
+      const hours = gate.firstAt
+        ? (new Date(gate.lastAt) - new Date(gate.firstAt)) / 3_600_000
+        : 0;
+      // A gate that admitted everyone within a minute has no usable rate
+      const perHour =
+        hours >= 1 / 60 ? Math.round(gate.admitted / hours) : null;
+      return { ...gate, perHour };
+    })
+    .sort((a, b) => b.admitted - a.admitted);
+};
+
+export const summarizeReport = (
+  { tickets, attempts },
+  { bucketMinutes = 15 } = {}
+) => {
+  const expectedTickets = tickets.filter(
+    (ticket) => !INACTIVE_STATUSES.has(ticket.status)
+  );
+  const expected = expectedTickets.reduce(
+    (sum, ticket) => sum + (ticket.admissions ?? 1),
+    0
+  );
+  const attended = expectedTickets.reduce(
+    (sum, ticket) => sum + (ticket.admitted ?? 0),
+    0
+  );
+  const admissions = attempts.filter(
+    (attempt) => attempt.outcome === "admitted"
+  );
+
+  return {
+    expected,
+    attended,
+    attendanceRate: expected ? attended / expected : 0,
+    noShows: expectedTickets.filter((ticket) => !ticket.admitted),
+    arrivals: bucketArrivals(admissions, bucketMinutes),
+    gates: summarizeGates(attempts),
+    attempts: {
+      admitted: admissions.length,
+      duplicate: attempts.filter((a) => a.outcome === "duplicate").length,
+      invalid: attempts.filter((a) => a.outcome === "invalid").length,
+    },
+  };
+};
+
+// One row per ticket for the attendance CSV, with where and when the
+// first person on it came in
+export const toAttendanceRecords = ({ tickets, attempts }) => {
+  const firstArrivals = new Map();
+  for (const attempt of attempts) {
+    if (attempt.outcome !== "admitted" || !attempt.ticketId) continue;
+    const current = firstArrivals.get(attempt.ticketId);
+    if (!current || attempt.at < current.at) {
+      firstArrivals.set(attempt.ticketId, attempt);
+    }
+  }
+
+  return tickets.map((ticket) => {
+    const arrival = firstArrivals.get(ticket.id);
+    return {
+      ticketId: ticket.id,
+      studentName: ticket.studentName,
+      rollNumber: ticket.rollNumber,
+      email: ticket.email,
+      admissions: ticket.admissions ?? 1,
+      admitted: ticket.admitted ?? 0,
+      attended: ticket.admitted ? t("report.yes") : t("report.no"),
+      firstArrivalAt: arrival?.at ?? "",
+      gate: arrival ? arrival.gate || t("report.unassigned") : "",
+    };
+  });
+};
+
+export const toNoShowRecords = (noShows) =>
+  noShows.map((ticket) => ({
+    ticketId: ticket.id,
+    studentName: ticket.studentName,
+    rollNumber: ticket.rollNumber,
+    email: ticket.email,
+    admissions: ticket.admissions ?? 1,
+  }));
+
+export const formatRate = (rate) => `${Math.round(rate * 1000) / 10}%`;
@@ -0,0 +1,112 @@
+import { describe, it, expect } from "vitest";
+import {
+  summarizeReport,
+  toAttendanceRecords,
+  attendanceColumns,
+  formatRate,
+} from "./eventReport";
+
+const ticket = (id, overrides = {}) => ({
+  id,
+  studentName: `Student ${id}`,
+  rollNumber: `R-${id}`,
+  email: `${id}@example.edu`,
+  status: "valid",
+  admissions: 1,
+  admitted: 0,
+  ...overrides,
+});
+
+const report = {
+  tickets: [
+    ticket("A", { status: "used", admitted: 1 }),
+    ticket("B"),
+    ticket("G", { admissions: 4, admitted: 3 }),
+    ticket("R", { status: "revoked" }),
+  ],
+  attempts: [
+    {
+      ticketId: "A",
+      outcome: "admitted",
+      gate: "North",
+      at: "2024-03-05T09:02:00Z",
+    },
+    {
+      ticketId: "G",
+      outcome: "admitted",
+      gate: "North",
+      count: 3,
+      at: "2024-03-05T09:40:00Z",
+    },
+    {
+      ticketId: "A",
+      outcome: "duplicate",
+      gate: "South",
+      at: "2024-03-05T09:05:00Z",
+    },
+    {
+      ticketId: null,
+      outcome: "invalid",
+      gate: null,
+      at: "2024-03-05T09:06:00Z",
+    },
+  ],
+};
+
+describe("summarizeReport", () => {
+  const summary = summarizeReport(report);
+
+  it("counts people on tickets that are still active", () => {
+    expect(summary.expected).toBe(6);
+    expect(summary.attended).toBe(4);
+    expect(formatRate(summary.attendanceRate)).toBe("66.7%");
+  });
+
+  it("lists tickets nobody arrived on as no-shows", () => {
+    expect(summary.noShows.map((t) => t.id)).toEqual(["B"]);
+  });
+
+  it("buckets arrivals, keeping empty buckets in between", () => {
+    expect(summary.arrivals).toEqual([
+      { start: "2024-03-05T09:00:00.000Z", count: 1 },
+      { start: "2024-03-05T09:15:00.000Z", count: 0 },
+      { start: "2024-03-05T09:30:00.000Z", count: 3 },
+    ]);
+  });
+
+  it("summarizes throughput and rejections per gate", () => {
+    expect(summary.gates[0]).toMatchObject({
+      gate: "North",
+      admitted: 4,
+      perHour: 6,
+    });
+    expect(summary.gates.find((g) => g.gate === "South").duplicate).toBe(1);
+    expect(summary.gates.find((g) => g.gate === "Unassigned").invalid).toBe(1);
+    expect(summary.attempts).toEqual({ admitted: 2, duplicate: 1, invalid: 1 });
+  });
+});
+
+describe("toAttendanceRecords", () => {
+  it("records the first arrival and gate for each ticket", () => {
+    const [a, b] = toAttendanceRecords(report);
+    expect(a).toMatchObject({
+      attended: "Yes",
+      firstArrivalAt: "2024-03-05T09:02:00Z",
+      gate: "North",
+    });
+    expect(b).toMatchObject({ attended: "No", firstArrivalAt: "", gate: "" });
+  });
+});
+
+describe("attendanceColumns", () => {
+  it("labels every record field from the catalog", () => {
+    const columns = attendanceColumns();
+    expect(columns.map((column) => column.key)).toEqual(
+      Object.keys(toAttendanceRecords(report)[0])
+    );
+    expect(columns[0]).toEqual({ key: "ticketId", label: "Ticket ID" });
+    expect(columns.every((column) => !column.label.startsWith("report."))).toBe(
+      true
+    );
+  });
+});
@@ -0,0 +1,81 @@
+// Typo-tolerant attendee matching for manual lookup. Each query word is
+// compared with the words of the name, roll number, email and ticket ID;
+// the best-matching field decides the candidate's score (0 to 1).
+export const MATCH_THRESHOLD = 0.6;
+
+export const normalizeText = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+
+const tokenize = (value) =>
+  normalizeText(value)
+    .split(/[\s@._-]+/)
+    .filter(Boolean);
+
+export const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const wordSimilarity = (queryWord, word) => {
+  if (word === queryWord) return 1;
+  if (word.startsWith(queryWord)) return 0.9;
+  if (word.includes(queryWord)) return 0.8;
+  // Compare against the start of longer words so partial input still counts
+  const target = word.slice(0, Math.max(queryWord.length, 1));
+  const distance = levenshtein(queryWord, target);
+  return Math.max(0, 1 - distance / Math.max(queryWord.length, target.length));
+};
+
+const fieldScore = (query, value) => {
+  const text = normalizeText(value);
+  if (!text) return 0;
+  if (text === query) return 1;
+  if (text.includes(query)) return 0.85;
+
+  const words = tokenize(text);
+  const queryWords = tokenize(query);
+  if (queryWords.length === 0) return 0;
+  const total = queryWords.reduce(
+    (sum, queryWord) =>
+      sum + Math.max(...words.map((word) => wordSimilarity(queryWord, word))),
+    0
+  );
+  return (total / queryWords.length) * 0.8;
+};
+
+export const scoreCandidate = (query, ticket) => {
+  const normalized = normalizeText(query);
+  return Math.max(
+    ...[ticket.studentName, ticket.rollNumber, ticket.email, ticket.id].map(
+      (value) => fieldScore(normalized, value)
+    )
+  );
+};
+
+// Best matches first, dropping anything below the threshold
+export const rankCandidates = (
+  query,
+  tickets,
+  { limit = 8, threshold = MATCH_THRESHOLD } = {}
+) =>
+  tickets
+    .map((ticket) => ({ ticket, score: scoreCandidate(query, ticket) }))
+    .filter((candidate) => candidate.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
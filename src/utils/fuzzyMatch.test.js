@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { levenshtein, scoreCandidate, rankCandidates } from "./fuzzyMatch";
+
+const tickets = [
+  {
+    id: "STU-2024-001",
+    studentName: "Priya Sharma",
+    rollNumber: "21CS1042",
+    email: "priya.sharma@college.edu",
+  },
+  {
+    id: "STU-2024-002",
+    studentName: "Rahul Verma",
+    rollNumber: "21ME2210",
+    email: "rahul.v@college.edu",
+  },
+  {
+    id: "STU-2024-003",
+    studentName: "José Álvarez",
+    rollNumber: "21EE3301",
+    email: "jose.alvarez@college.edu",
+  },
+];
+
+describe("levenshtein", () => {
+  it("counts single-character edits", () => {
+    expect(levenshtein("kitten", "sitting")).toBe(3);
+    expect(levenshtein("same", "same")).toBe(0);
+  });
+});
+
+describe("rankCandidates", () => {
+  it("finds a name despite a typo", () => {
+    const [best] = rankCandidates("priya sharam", tickets);
+    expect(best.ticket.id).toBe("STU-2024-001");
+  });
+
+  it("matches partial roll numbers and emails", () => {
+    expect(rankCandidates("2210", tickets)[0].ticket.id).toBe("STU-2024-002");
+    expect(rankCandidates("rahul.v", tickets)[0].ticket.id).toBe(
+      "STU-2024-002"
+    );
+  });
+
+  it("ignores accents", () => {
+    expect(rankCandidates("jose alvarez", tickets)[0].ticket.id).toBe(
+      "STU-2024-003"
+    );
+  });
+
+  it("drops unrelated attendees", () => {
+    expect(rankCandidates("zzzz", tickets)).toEqual([]);
+  });
+
+  it("scores exact matches highest", () => {
+    expect(scoreCandidate("STU-2024-001", tickets[0])).toBe(1);
+  });
+});
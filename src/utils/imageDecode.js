@@ -0,0 +1,64 @@
+import { t } from "../i18n";
+
+// Decode QR codes from still images (screenshots, forwarded photos).
+// BarcodeDetector finds every code in the image where the browser has it;
+// elsewhere html5-qrcode decodes the most prominent one.
+const FALLBACK_ELEMENT_ID = "qr-file-reader";
+
+const detectWithBarcodeDetector = async (file) => {
+  const formats = await window.BarcodeDetector.getSupportedFormats();
+  if (!formats.includes("qr_code")) return null;
+
+  const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+  const bitmap = await createImageBitmap(file);
+  try {
+    const codes = await detector.detect(bitmap);
+    return codes.map((code) => code.rawValue);
+  } finally {
+    bitmap.close();
+  }
+};
+
+const detectWithHtml5Qrcode = async (file) => {
+  let element = document.getElementById(FALLBACK_ELEMENT_ID);
+  if (!element) {
+    element = document.createElement("div");
+    element.id = FALLBACK_ELEMENT_ID;
+    element.hidden = true;
+    document.body.appendChild(element);
+  }
+
+  const { Html5Qrcode } = await import("html5-qrcode");
+  const reader = new Html5Qrcode(FALLBACK_ELEMENT_ID, { verbose: false });
+  try {
+    return [await reader.scanFile(file, false)];
+  } catch {
+    // The library throws when it finds no code
+    return [];
+  } finally {
+    reader.clear();
+  }
+};
+
+export const isImageFile = (file) => file.type.startsWith("image/");
+
+// Resolve with the distinct decoded texts; empty when no code was found
+export const decodeQrCodesFromFile = async (file) => {
+  if (!isImageFile(file)) {
+    throw new Error(t("upload.notImage", { name: file.name }));
+  }
+
+  let codes = null;
+  if ("BarcodeDetector" in window) {
+    try {
+      codes = await detectWithBarcodeDetector(file);
+    } catch (err) {
+      console.error("❌ BarcodeDetector error:", err);
+    }
+  }
+  if (codes === null || codes.length === 0) {
+    codes = await detectWithHtml5Qrcode(file);
+  }
+
+  return [...new Set(codes.filter(Boolean))];
+};
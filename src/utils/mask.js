@@ -0,0 +1,18 @@
+// Partly hidden contact details for the manual lookup, so the operator can
+// tell candidates apart without being shown what the second check asks for
+const MASK = "•";
+
+// Keep up to the first two characters but never any of the last four,
+// which are what the attendee is asked for
+export const maskRollNumber = (rollNumber) => {
+  if (!rollNumber || rollNumber === "N/A") return rollNumber;
+  const shown = Math.min(2, Math.max(0, rollNumber.length - 4));
+  return rollNumber.slice(0, shown) + MASK.repeat(rollNumber.length - shown);
+};
+
+// Keep the domain; the start of the address is what the attendee is asked
+export const maskEmail = (email) => {
+  const at = email?.indexOf("@") ?? -1;
+  if (at < 0) return email;
+  return MASK.repeat(Math.max(3, at)) + email.slice(at);
+};
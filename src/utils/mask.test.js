@@ -0,0 +1,34 @@
+import { describe, it, expect } from "vitest";
+import { maskRollNumber, maskEmail } from "./mask";
+
+describe("maskRollNumber", () => {
+  it("hides everything after the first two characters", () => {
+    expect(maskRollNumber("21CS1042")).toBe("21••••••");
+  });
+
+  it("never shows any of the last four characters", () => {
+    expect(maskRollNumber("CS105")).toBe("C••••");
+    expect(maskRollNumber("1042")).toBe("••••");
+  });
+
+  it("leaves missing roll numbers alone", () => {
+    expect(maskRollNumber("N/A")).toBe("N/A");
+    expect(maskRollNumber(null)).toBe(null);
+  });
+});
+
+describe("maskEmail", () => {
+  it("hides the local part and keeps the domain", () => {
+    expect(maskEmail("priya.sharma@college.edu")).toBe(
+      "••••••••••••@college.edu"
+    );
+  });
+
+  it("masks at least three characters", () => {
+    expect(maskEmail("ab@college.edu")).toBe("•••@college.edu");
+  });
+
+  it("leaves values without an address alone", () => {
+    expect(maskEmail("N/A")).toBe("N/A");
+  });
+});
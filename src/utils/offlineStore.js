@@ -0,0 +1,164 @@
+import { admit } from "./admissions";
+
+// IndexedDB persistence for the offline ticket snapshot, queued check-ins
+// and the device's scan history
+const DB_NAME = "qr-ticket-offline";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore("meta");
+          db.createObjectStore("tickets", { keyPath: "id" });
+          db.createObjectStore("queue", {
+            keyPath: "localId",
+            autoIncrement: true,
+          });
+        }
+        if (event.oldVersion < 2) {
+          const history = db.createObjectStore("history", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          history.createIndex("sessionId", "sessionId");
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run `work` inside a transaction and resolve with its result once committed
+const withStores = async (storeNames, mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = storeNames.map((name) => tx.objectStore(name));
+    let result;
+    Promise.resolve(work(...stores)).then((value) => {
+      result = value;
+    }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Replace the stored snapshot with a freshly downloaded one
+export const saveSnapshot = ({ eventId, generatedAt, tickets }) =>
+  withStores(["meta", "tickets"], "readwrite", (meta, ticketStore) => {
+    ticketStore.clear();
+    tickets.forEach((ticket) => ticketStore.put(ticket));
+    meta.put(
+      {
+        eventId,
+        generatedAt,
+        downloadedAt: new Date().toISOString(),
+        ticketCount: tickets.length,
+      },
+      "snapshot"
+    );
+  });
+
+export const getSnapshotInfo = () =>
+  withStores(["meta"], "readonly", (meta) =>
+    requestToPromise(meta.get("snapshot")).then((info) => info || null)
+  );
+
+export const findTicket = (ticketId) =>
+  withStores(["tickets"], "readonly", (ticketStore) =>
+    requestToPromise(ticketStore.get(ticketId)).then((ticket) => ticket || null)
+  );
+
+export const getAllTickets = () =>
+  withStores(["tickets"], "readonly", (ticketStore) =>
+    requestToPromise(ticketStore.getAll())
+  );
+
+// Admit `count` people locally and queue the check-in for the next sync.
+// The operator, gate and device are kept so the server can attribute the
+// check-in later.
+export const recordOfflineCheckIn = (
+  ticket,
+  scannedAt,
+  operatorId,
+  count = 1,
+  device = null
+) =>
+  withStores(["tickets", "queue"], "readwrite", (ticketStore, queue) => {
+    const gate = device?.gate ?? null;
+    const deviceId = device?.deviceId ?? null;
+    ticketStore.put({
+      ...admit(ticket, count),
+      scannedAt,
+      scannedGate: gate,
+      scannedDeviceId: deviceId,
+    });
+    queue.add({
+      ticketId: ticket.id,
+      scannedAt,
+      operatorId,
+      count,
+      gate,
+      deviceId,
+    });
+  });
+
+export const getQueuedCheckIns = () =>
+  withStores(["queue"], "readonly", (queue) =>
+    requestToPromise(queue.getAll())
+  );
+
+export const removeQueuedCheckIns = (localIds) =>
+  withStores(["queue"], "readwrite", (queue) => {
+    localIds.forEach((localId) => queue.delete(localId));
+  });
+
+// Keep the snapshot in step with check-ins that were verified online.
+// `admitted` is the server's count for group tickets; omitted means all.
+export const markTicketUsed = (ticketId, scannedAt, admitted) =>
+  withStores(["tickets"], "readwrite", async (ticketStore) => {
+    const ticket = await requestToPromise(ticketStore.get(ticketId));
+    if (ticket) {
+      const admissions = ticket.admissions ?? 1;
+      ticketStore.put({
+        ...admit({ ...ticket, admitted: 0 }, admitted ?? admissions),
+        scannedAt,
+      });
+    }
+  });
+
+// Append one scan outcome and resolve with the stored entry
+export const addHistoryEntry = (entry) =>
+  withStores(["history"], "readwrite", async (history) => {
+    const id = await requestToPromise(history.add(entry));
+    return { ...entry, id };
+  });
+
+// Newest first; pass a sessionId to limit it to one staff session
+export const getHistory = ({ sessionId } = {}) =>
+  withStores(["history"], "readonly", async (history) => {
+    const entries = await requestToPromise(
+      sessionId
+        ? history.index("sessionId").getAll(sessionId)
+        : history.getAll()
+    );
+    return entries.sort((a, b) => b.id - a.id);
+  });
@@ -0,0 +1,103 @@
+import "fake-indexeddb/auto";
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  saveSnapshot,
+  getSnapshotInfo,
+  findTicket,
+  recordOfflineCheckIn,
+  getQueuedCheckIns,
+  removeQueuedCheckIns,
+  markTicketUsed,
+} from "./offlineStore";
+
+const ticket = (overrides = {}) => ({
+  id: "STU-1",
+  studentName: "Rahul Kumar",
+  status: "valid",
+  admissions: 1,
+  admitted: 0,
+  ...overrides,
+});
+
+beforeEach(async () => {
+  const queued = await getQueuedCheckIns();
+  await removeQueuedCheckIns(queued.map((entry) => entry.localId));
+  await saveSnapshot({
+    eventId: "EVT-1",
+    generatedAt: "2024-03-05T08:00:00.000Z",
+    tickets: [ticket(), ticket({ id: "GRP-1", admissions: 4 })],
+  });
+});
+
+describe("offlineStore", () => {
+  it("replaces the stored snapshot", async () => {
+    await saveSnapshot({
+      eventId: "EVT-2",
+      generatedAt: "2024-03-06T08:00:00.000Z",
+      tickets: [ticket({ id: "STU-9" })],
+    });
+
+    expect(await getSnapshotInfo()).toMatchObject({
+      eventId: "EVT-2",
+      ticketCount: 1,
+    });
+    expect(await findTicket("STU-1")).toBeNull();
+    expect(await findTicket("STU-9")).toMatchObject({ status: "valid" });
+  });
+
+  it("marks the ticket used and queues the check-in", async () => {
+    await recordOfflineCheckIn(ticket(), "2024-03-05T09:00:00.000Z", "U-1", 1, {
+      gate: "North Gate",
+      deviceId: "3",
+    });
+
+    expect(await findTicket("STU-1")).toMatchObject({
+      status: "used",
+      admitted: 1,
+      scannedGate: "North Gate",
+    });
+    expect(await getQueuedCheckIns()).toEqual([
+      expect.objectContaining({
+        ticketId: "STU-1",
+        scannedAt: "2024-03-05T09:00:00.000Z",
+        operatorId: "U-1",
+        count: 1,
+        gate: "North Gate",
+        deviceId: "3",
+      }),
+    ]);
+  });
+
+  it("keeps a partly admitted group ticket valid", async () => {
+    const group = await findTicket("GRP-1");
+    await recordOfflineCheckIn(group, "2024-03-05T09:00:00.000Z", "U-1", 3);
+
+    expect(await findTicket("GRP-1")).toMatchObject({
+      status: "valid",
+      admitted: 3,
+    });
+  });
+
+  it("removes synced check-ins from the queue", async () => {
+    await recordOfflineCheckIn(ticket(), "2024-03-05T09:00:00.000Z", "U-1");
+    const [queued] = await getQueuedCheckIns();
+
+    await removeQueuedCheckIns([queued.localId]);
+
+    expect(await getQueuedCheckIns()).toEqual([]);
+  });
+
+  it("applies online check-ins to the snapshot", async () => {
+    await markTicketUsed("GRP-1", "2024-03-05T09:00:00.000Z", 2);
+    await markTicketUsed("STU-1", "2024-03-05T09:01:00.000Z");
+
+    expect(await findTicket("GRP-1")).toMatchObject({
+      status: "valid",
+      admitted: 2,
+    });
+    expect(await findTicket("STU-1")).toMatchObject({
+      status: "used",
+      scannedAt: "2024-03-05T09:01:00.000Z",
+    });
+  });
+});
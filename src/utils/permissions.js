@@ -0,0 +1,20 @@
+// What each staff role may see and do. Role names are translated as
+// "role.<role>" in the catalogs.
+const ROLE_PERMISSIONS = {
+  scanner: ["scan"],
+  supervisor: ["scan", "roster", "dashboard", "reports", "override"],
+  admin: [
+    "scan",
+    "roster",
+    "dashboard",
+    "reports",
+    "override",
+    "issue",
+    "import",
+    "settings",
+    "manage",
+  ],
+};
+
+export const hasPermission = (user, permission) =>
+  Boolean(user && ROLE_PERMISSIONS[user.role]?.includes(permission));
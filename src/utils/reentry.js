@@ -0,0 +1,30 @@
+import { t } from "../i18n";
+
+// Re-entry rules an event can use, labelled by the "reentry.mode.<mode>"
+// catalog entries. Leaving is recorded with an exit scan, and the next
+// entry scan counts as a re-entry.
+export const REENTRY_MODES = ["none", "unlimited", "limited"];
+
+export const DEFAULT_REENTRY_POLICY = { mode: "none", limit: null };
+
+export const getReentryPolicy = (event) =>
+  event?.reentry || DEFAULT_REENTRY_POLICY;
+
+export const allowsReentry = (policy) =>
+  policy.mode === "unlimited" ||
+  (policy.mode === "limited" && policy.limit > 0);
+
+// Remaining re-entries after `used` of them; Infinity when unlimited
+export const reentriesLeft = (policy, used = 0) => {
+  if (policy.mode === "unlimited") return Infinity;
+  if (policy.mode === "limited") return Math.max(0, (policy.limit || 0) - used);
+  return 0;
+};
+
+export const describeReentryPolicy = (policy) => {
+  if (policy.mode === "unlimited") return t("reentry.unlimited");
+  if (policy.mode === "limited" && policy.limit > 0) {
+    return t("reentry.upTo", { count: policy.limit });
+  }
+  return t("reentry.none");
+};
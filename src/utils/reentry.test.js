@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import {
+  getReentryPolicy,
+  allowsReentry,
+  reentriesLeft,
+  describeReentryPolicy,
+} from "./reentry";
+
+describe("re-entry policy", () => {
+  it("disallows re-entry for events without a policy", () => {
+    const policy = getReentryPolicy({ id: "evt-1" });
+    expect(allowsReentry(policy)).toBe(false);
+    expect(reentriesLeft(policy, 0)).toBe(0);
+    expect(describeReentryPolicy(policy)).toBe("No re-entry");
+  });
+
+  it("counts down limited re-entries", () => {
+    const policy = { mode: "limited", limit: 2 };
+    expect(allowsReentry(policy)).toBe(true);
+    expect(reentriesLeft(policy, 1)).toBe(1);
+    expect(reentriesLeft(policy, 3)).toBe(0);
+    expect(describeReentryPolicy(policy)).toBe("Up to 2 re-entries");
+  });
+
+  it("treats a zero limit as no re-entry", () => {
+    expect(allowsReentry({ mode: "limited", limit: 0 })).toBe(false);
+  });
+
+  it("never runs out when unlimited", () => {
+    expect(reentriesLeft({ mode: "unlimited" }, 50)).toBe(Infinity);
+  });
+});
@@ -0,0 +1,169 @@
+import { formatRate } from "./eventReport";
+import { translate, formatDateTime, formatTime } from "../i18n";
+
+// A4 portrait, measured in millimetres
+const PAGE = { width: 210, height: 297, margin: 15 };
+const LINE = 6;
+
+// jsPDF's built-in fonts only cover Latin script, so the PDF is always
+// written in English whatever language the app is in
+const LOCALE = "en";
+const label = (key, params) => translate(LOCALE, key, params);
+
+// Render the attendance report as a PDF in the browser. jsPDF is only
+// loaded when someone actually exports.
+export const buildReportPdf = async (event, report, summary) => {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const right = PAGE.width - PAGE.margin;
+  let y = PAGE.margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE.height - PAGE.margin) {
+      doc.addPage();
+      y = PAGE.margin;
+    }
+  };
+
+  const heading = (text) => {
+    ensureSpace(LINE * 3);
+    y += LINE / 2;
+    doc.setFont("helvetica", "bold").setFontSize(13);
+    doc.text(text, PAGE.margin, y);
+    y += LINE;
+    doc.setFont("helvetica", "normal").setFontSize(10);
+  };
+
+  // Columns are [title, x offset, align]
+  const table = (columns, rows) => {
+    const drawHeader = () => {
+      doc.setFont("helvetica", "bold");
+      columns.forEach(([title, x, align]) =>
+        doc.text(title, PAGE.margin + x, y, { align })
+      );
+      doc.setFont("helvetica", "normal");
+      doc.line(PAGE.margin, y + 1.5, right, y + 1.5);
+      y += LINE;
+    };
+    drawHeader();
+    rows.forEach((row) => {
+      if (y + LINE > PAGE.height - PAGE.margin) {
+        doc.addPage();
+        y = PAGE.margin;
+        drawHeader();
+      }
+      row.forEach((cell, index) => {
+        const [, x, align] = columns[index];
+        doc.text(String(cell), PAGE.margin + x, y, { align });
+      });
+      y += LINE;
+    });
+  };
+
+  doc.setFont("helvetica", "bold").setFontSize(18);
+  doc.text(label("report.title"), PAGE.margin, y);
+  y += LINE * 1.5;
+  doc.setFont("helvetica", "normal").setFontSize(11);
+  doc.text(event.name, PAGE.margin, y);
+  y += LINE;
+  doc.setFontSize(9).setTextColor(100);
+  doc.text(
+    label("report.generated", {
+      time: formatDateTime(report.generatedAt, LOCALE),
+    }),
+    PAGE.margin,
+    y
+  );
+  doc.setTextColor(0);
+  y += LINE;
+
+  heading(label("report.summary"));
+  [
+    ["report.attendanceRate", formatRate(summary.attendanceRate)],
+    [
+      "report.attended",
+      label("report.attendedOf", {
+        attended: summary.attended,
+        expected: summary.expected,
+      }),
+    ],
+    ["report.noShowTickets", summary.noShows.length],
+    ["report.duplicateAttempts", summary.attempts.duplicate],
+    ["report.invalidAttempts", summary.attempts.invalid],
+  ].forEach(([key, value]) => {
+    doc.text(label(key), PAGE.margin, y);
+    doc.text(String(value), PAGE.margin + 60, y);
+    y += LINE;
+  });
+
+  if (summary.arrivals.length > 0) {
+    heading(label("report.arrivals"));
+    const chartHeight = 40;
+    ensureSpace(chartHeight + LINE * 2);
+    const max = Math.max(1, ...summary.arrivals.map((bucket) => bucket.count));
+    const barWidth = (right - PAGE.margin) / summary.arrivals.length;
+    doc.setFillColor(59, 130, 246);
+    summary.arrivals.forEach((bucket, index) => {
+      const height = (bucket.count / max) * chartHeight;
+      if (height > 0) {
+        doc.rect(
+          PAGE.margin + index * barWidth + 0.2,
+          y + chartHeight - height,
+          Math.max(barWidth - 0.4, 0.2),
+          height,
+          "F"
+        );
+      }
+    });
+    y += chartHeight + LINE - 1;
+    doc.setFontSize(8);
+    doc.text(formatTime(summary.arrivals[0].start, LOCALE), PAGE.margin, y);
+    doc.text(label("report.peak", { count: max }), PAGE.width / 2, y, {
+      align: "center",
+    });
+    doc.text(
+      formatTime(summary.arrivals[summary.arrivals.length - 1].start, LOCALE),
+      right,
+      y,
+      { align: "right" }
+    );
+    doc.setFontSize(10);
+    y += LINE;
+  }
+
+  heading(label("report.gates"));
+  table(
+    [
+      [label("report.column.gate"), 0, "left"],
+      [label("report.column.admitted"), 80, "right"],
+      [label("report.column.perHour"), 105, "right"],
+      [label("report.column.duplicate"), 135, "right"],
+      [label("report.column.invalid"), 160, "right"],
+    ],
+    summary.gates.map((gate) => [
+      gate.gate,
+      gate.admitted,
+      gate.perHour ?? "—",
+      gate.duplicate,
+      gate.invalid,
+    ])
+  );
+
+  heading(label("report.noShows", { count: summary.noShows.length }));
+  table(
+    [
+      [label("report.column.name"), 0, "left"],
+      [label("report.column.rollNumber"), 70, "left"],
+      [label("report.column.ticketId"), 115, "left"],
+      [label("report.column.people"), 180, "right"],
+    ],
+    summary.noShows.map((ticket) => [
+      ticket.studentName,
+      ticket.rollNumber,
+      ticket.id,
+      ticket.admissions ?? 1,
+    ])
+  );
+
+  return doc.output("blob");
+};
@@ -0,0 +1,79 @@
+// Sound and vibration cues for scan outcomes, so operators notice results
+// without looking at the screen
+export const FEEDBACK_KINDS = ["success", "duplicate", "invalid"];
+
+// Already-used tickets get their own cue; everything else that fails is invalid
+export const classifyResult = (result) => {
+  if (result.success) return "success";
+  if (
+    result.reason === "already-used" ||
+    result.ticket?.status === "used" ||
+    /already (been )?(used|scanned)/i.test(result.message)
+  ) {
+    return "duplicate";
+  }
+  return "invalid";
+};
+
+// Each tone: [frequency Hz, start offset s, duration s]
+const TONES = {
+  success: {
+    type: "sine",
+    notes: [
+      [880, 0, 0.12],
+      [1320, 0.14, 0.18],
+    ],
+  },
+  duplicate: {
+    type: "square",
+    notes: [
+      [520, 0, 0.12],
+      [520, 0.2, 0.12],
+    ],
+  },
+  invalid: { type: "sawtooth", notes: [[196, 0, 0.45]] },
+};
+
+export const VIBRATION_PATTERNS = {
+  success: [80],
+  duplicate: [120, 80, 120],
+  invalid: [400, 100, 400],
+};
+
+let audioContext = null;
+
+const getAudioContext = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  if (!audioContext) audioContext = new AudioContextClass();
+  // Browsers suspend audio until the page has had a user gesture
+  if (audioContext.state === "suspended") audioContext.resume();
+  return audioContext;
+};
+
+export const playFeedbackSound = (kind) => {
+  const context = getAudioContext();
+  if (!context) return;
+
+  const { type, notes } = TONES[kind];
+  const now = context.currentTime;
+  notes.forEach(([frequency, offset, duration]) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+    // Short ramps avoid clicks at the start and end of each tone
+    gain.gain.setValueAtTime(0.0001, now + offset);
+    gain.gain.exponentialRampToValueAtTime(0.3, now + offset + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + offset + duration);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(now + offset);
+    oscillator.stop(now + offset + duration + 0.02);
+  });
+};
+
+export const vibrateFor = (kind) => {
+  if (typeof navigator.vibrate === "function") {
+    navigator.vibrate(VIBRATION_PATTERNS[kind]);
+  }
+};
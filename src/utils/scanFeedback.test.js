@@ -0,0 +1,33 @@
+import { describe, it, expect } from "vitest";
+import { classifyResult } from "./scanFeedback";
+
+describe("classifyResult", () => {
+  it("treats approvals as success", () => {
+    expect(classifyResult({ success: true, message: "Entry Approved ✓" })).toBe(
+      "success"
+    );
+  });
+
+  it("recognises already-used tickets as duplicates", () => {
+    expect(
+      classifyResult({
+        success: false,
+        message: "Ticket Already Used",
+        ticket: null,
+      })
+    ).toBe("duplicate");
+    expect(
+      classifyResult({
+        success: false,
+        message: "Rejected",
+        ticket: { status: "used" },
+      })
+    ).toBe("duplicate");
+  });
+
+  it("treats other rejections as invalid", () => {
+    expect(
+      classifyResult({ success: false, message: "Ticket Not Found" })
+    ).toBe("invalid");
+  });
+});
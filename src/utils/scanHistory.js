@@ -0,0 +1,75 @@
+import { t } from "../i18n";
+
+// Shape of a scan history entry and its export columns. Outcomes are
+// labelled by the "history.outcome.<id>" catalog entries.
+export const OUTCOMES = {
+  approved: { className: "bg-green-100 text-green-700" },
+  rejected: { className: "bg-red-100 text-red-700" },
+  exit: { className: "bg-amber-100 text-amber-700" },
+  override: { className: "bg-purple-100 text-purple-700" },
+};
+
+const HISTORY_FIELDS = [
+  "time",
+  "ticketId",
+  "studentName",
+  "outcome",
+  "reason",
+  "operator",
+  "mode",
+  "eventId",
+];
+
+// CSV columns with headers in the current language
+export const historyColumns = () =>
+  HISTORY_FIELDS.map((key) => ({ key, label: t(`history.column.${key}`) }));
+
+// Raw decoded text can be anything; keep entries a sane size
+const MAX_IDENTIFIER_LENGTH = 120;
+
+const outcomeOf = (result) => {
+  if (result.override) return "override";
+  if (result.direction === "exit" && result.success) return "exit";
+  return result.success ? "approved" : "rejected";
+};
+
+export const toHistoryEntry = ({
+  result,
+  identifier,
+  user,
+  sessionId,
+  eventId,
+  time = new Date(),
+}) => ({
+  sessionId,
+  eventId: eventId || null,
+  time: time.toISOString(),
+  ticketId:
+    result.ticket?.id ||
+    String(identifier ?? "").slice(0, MAX_IDENTIFIER_LENGTH),
+  studentName: result.ticket?.studentName || "",
+  outcome: outcomeOf(result),
+  reason: result.success
+    ? result.override
+      ? result.details
+      : ""
+    : [result.message, result.details]
+        .filter((part, index, parts) => part && parts.indexOf(part) === index)
+        .join(" - "),
+  operator: user?.name || "",
+  operatorId: user?.id || null,
+  mode: result.offline ? "offline" : "online",
+});
+
+export const filterHistory = (entries, { search = "", outcome, mode } = {}) => {
+  const query = search.trim().toLowerCase();
+  return entries.filter(
+    (entry) =>
+      (!outcome || entry.outcome === outcome) &&
+      (!mode || entry.mode === mode) &&
+      (!query ||
+        [entry.ticketId, entry.studentName, entry.operator, entry.reason].some(
+          (value) => value?.toLowerCase().includes(query)
+        ))
+  );
+};
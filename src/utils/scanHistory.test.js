@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import { toHistoryEntry, filterHistory } from "./scanHistory";
+
+const user = { id: "u-1", name: "Asha" };
+const time = new Date("2024-11-04T09:30:00.000Z");
+
+describe("toHistoryEntry", () => {
+  it("records an approved online scan", () => {
+    const entry = toHistoryEntry({
+      result: {
+        success: true,
+        message: "Entry Approved ✓",
+        ticket: { id: "STU-1", studentName: "Ravi" },
+      },
+      identifier: "STU-1",
+      user,
+      sessionId: "s-1",
+      eventId: "evt-1",
+      time,
+    });
+
+    expect(entry).toEqual({
+      sessionId: "s-1",
+      eventId: "evt-1",
+      time: "2024-11-04T09:30:00.000Z",
+      ticketId: "STU-1",
+      studentName: "Ravi",
+      outcome: "approved",
+      reason: "",
+      operator: "Asha",
+      operatorId: "u-1",
+      mode: "online",
+    });
+  });
+
+  it("keeps the rejection reason and offline flag", () => {
+    const entry = toHistoryEntry({
+      result: {
+        success: false,
+        offline: true,
+        message: "Ticket Already Used",
+        details: "This ticket has already been scanned.",
+        ticket: null,
+      },
+      identifier: "STU-2",
+      user,
+      time,
+    });
+
+    expect(entry.outcome).toBe("rejected");
+    expect(entry.ticketId).toBe("STU-2");
+    expect(entry.mode).toBe("offline");
+    expect(entry.reason).toBe(
+      "Ticket Already Used - This ticket has already been scanned."
+    );
+  });
+
+  it("marks overrides and exits", () => {
+    const base = { ticket: { id: "STU-3", studentName: "Mei" } };
+    expect(
+      toHistoryEntry({
+        result: { ...base, success: true, override: true, details: "Lost" },
+        user,
+        time,
+      })
+    ).toMatchObject({ outcome: "override", reason: "Lost" });
+    expect(
+      toHistoryEntry({
+        result: { ...base, success: true, direction: "exit" },
+        user,
+        time,
+      }).outcome
+    ).toBe("exit");
+  });
+});
+
+describe("filterHistory", () => {
+  const entries = [
+    {
+      ticketId: "STU-1",
+      studentName: "Ravi",
+      outcome: "approved",
+      mode: "online",
+      operator: "Asha",
+    },
+    {
+      ticketId: "STU-2",
+      studentName: "Mei",
+      outcome: "rejected",
+      mode: "offline",
+      operator: "Asha",
+    },
+  ];
+
+  it("matches search text case-insensitively", () => {
+    expect(filterHistory(entries, { search: "mei" })).toEqual([entries[1]]);
+  });
+
+  it("filters by outcome and mode", () => {
+    expect(filterHistory(entries, { outcome: "approved" })).toEqual([
+      entries[0],
+    ]);
+    expect(filterHistory(entries, { mode: "offline" })).toEqual([entries[1]]);
+  });
+});
@@ -0,0 +1,69 @@
+import { t } from "../i18n";
+import { HttpError } from "../api/errors";
+
+// The backend's own messages are English only, so rejections are mapped to
+// a reason the UI can translate. Error codes are preferred, then the
+// wording of older servers, then the HTTP status.
+const CODE_REASONS = {
+  NOT_FOUND: "not-found",
+  TICKET_NOT_FOUND: "not-found",
+  ALREADY_USED: "already-used",
+  ALREADY_SCANNED: "already-used",
+  WRONG_EVENT: "wrong-event",
+  REVOKED: "revoked",
+  SUPERSEDED: "superseded",
+  TRANSFERRED: "transferred",
+  EXPIRED: "expired",
+  ENTRY_NOT_OPEN: "entry-not-open",
+  ENTRY_CLOSED: "entry-closed",
+  REENTRY_LIMIT: "reentry-limit",
+  NO_REENTRY: "reentry-limit",
+  ADMISSIONS_EXCEEDED: "too-many-admissions",
+  UNAUTHORIZED: "not-allowed",
+  FORBIDDEN: "not-allowed",
+  INVALID_PIN: "invalid-pin",
+};
+
+const MESSAGE_REASONS = [
+  [/not found|no such ticket/i, "not-found"],
+  [/already (been )?(used|scanned)/i, "already-used"],
+  [/different event|wrong event/i, "wrong-event"],
+  [/revoked/i, "revoked"],
+  [/expired/i, "expired"],
+  [/re-?entr/i, "reentry-limit"],
+  [/\bpin\b/i, "invalid-pin"],
+];
+
+const STATUS_REASONS = {
+  401: "not-allowed",
+  403: "not-allowed",
+  404: "not-found",
+  409: "already-used",
+};
+
+export const serverErrorReason = ({ code, status, message } = {}) =>
+  CODE_REASONS[code] ||
+  MESSAGE_REASONS.find(([pattern]) => pattern.test(message || ""))?.[1] ||
+  STATUS_REASONS[status] ||
+  "rejected";
+
+// Translated result fields for a rejection from the backend
+export const describeServerError = (error) => {
+  const reason = serverErrorReason(error);
+  return {
+    reason,
+    message: t(`reason.${reason}`),
+    details: t(`reason.${reason}.details`),
+  };
+};
+
+// Translated wording for a failed request: the backend's reason when it
+// rejected the request, otherwise `fallback`
+export const describeRequestError = (error, fallback) =>
+  error instanceof HttpError && error.isClientError
+    ? describeServerError({
+        code: error.data?.code,
+        status: error.status,
+        message: error.message,
+      }).details
+    : fallback;
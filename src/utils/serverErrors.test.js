@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import {
+  serverErrorReason,
+  describeServerError,
+  describeRequestError,
+} from "./serverErrors";
+import { HttpError, NetworkError } from "../api/errors";
+
+describe("serverErrorReason", () => {
+  it("prefers the error code", () => {
+    expect(
+      serverErrorReason({ code: "ALREADY_USED", status: 404, message: "x" })
+    ).toBe("already-used");
+  });
+
+  it("recognises the wording of servers without codes", () => {
+    expect(serverErrorReason({ message: "Ticket has already been used" })).toBe(
+      "already-used"
+    );
+    expect(serverErrorReason({ message: "Ticket not found" })).toBe(
+      "not-found"
+    );
+    expect(serverErrorReason({ message: "Invalid supervisor PIN" })).toBe(
+      "invalid-pin"
+    );
+  });
+
+  it("falls back to the HTTP status, then a generic rejection", () => {
+    expect(serverErrorReason({ status: 404, message: "Nope" })).toBe(
+      "not-found"
+    );
+    expect(serverErrorReason({ status: 400, message: "Nope" })).toBe(
+      "rejected"
+    );
+  });
+});
+
+describe("describeServerError", () => {
+  it("replaces the raw server message with translated wording", () => {
+    expect(
+      describeServerError({ status: 409, message: "dup key ticket_scans" })
+    ).toEqual({
+      reason: "already-used",
+      message: "Ticket Already Used",
+      details: "This ticket has already been scanned.",
+    });
+  });
+});
+
+describe("describeRequestError", () => {
+  it("translates a rejection and hides other failures behind the fallback", () => {
+    expect(
+      describeRequestError(
+        new HttpError(403, "user lacks role admin"),
+        "Could not save"
+      )
+    ).toBe("Your account cannot check in this ticket.");
+    expect(
+      describeRequestError(new HttpError(500, "pg: deadlock"), "Could not save")
+    ).toBe("Could not save");
+    expect(
+      describeRequestError(
+        new NetworkError("Failed to fetch"),
+        "Could not save"
+      )
+    ).toBe("Could not save");
+  });
+});
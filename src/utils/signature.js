@@ -0,0 +1,59 @@
+// Ed25519 signature helpers backed by Web Crypto.
+// The public key is configured as base64url-encoded raw key bytes.
+const PUBLIC_KEY = import.meta.env.VITE_TICKET_PUBLIC_KEY;
+
+let keyPromise = null;
+
+export const base64UrlToBytes = (value) => {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+export const decodeBase64UrlJson = (value) =>
+  JSON.parse(new TextDecoder().decode(base64UrlToBytes(value)));
+
+export const isSigningKeyConfigured = () => Boolean(PUBLIC_KEY);
+
+const getPublicKey = () => {
+  if (!PUBLIC_KEY) {
+    return Promise.reject(new Error("Ticket signing key is not configured"));
+  }
+  if (!keyPromise) {
+    keyPromise = crypto.subtle
+      .importKey(
+        "raw",
+        base64UrlToBytes(PUBLIC_KEY),
+        { name: "Ed25519" },
+        false,
+        ["verify"]
+      )
+      .catch((err) => {
+        keyPromise = null;
+        throw err;
+      });
+  }
+  return keyPromise;
+};
+
+// Verify a base64url signature over the UTF-8 bytes of `message`
+export const verifySignature = async (message, signature) => {
+  const key = await getPublicKey();
+  let signatureBytes;
+  try {
+    signatureBytes = base64UrlToBytes(signature);
+  } catch {
+    return false;
+  }
+  return crypto.subtle.verify(
+    { name: "Ed25519" },
+    key,
+    signatureBytes,
+    new TextEncoder().encode(message)
+  );
+};
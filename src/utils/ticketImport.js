@@ -0,0 +1,100 @@
+import Papa from "papaparse";
+import { t } from "../i18n";
+
+// Ticket fields an imported sheet must provide, labelled by field.<key>
+export const IMPORT_FIELDS = ["studentName", "rollNumber", "email"];
+
+// Header spellings recognised when detecting the column mapping
+const HEADER_ALIASES = {
+  studentName: ["studentname", "name", "fullname", "student", "attendeename"],
+  rollNumber: ["rollnumber", "rollno", "roll", "registrationnumber", "regno"],
+  email: ["email", "emailaddress", "mail", "emailid"],
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeHeader = (header) =>
+  String(header ?? "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+
+const readCsv = (file) =>
+  new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      skipEmptyLines: "greedy",
+      complete: (result) => resolve(result.data),
+      error: reject,
+    });
+  });
+
+const readXlsx = async (file) => {
+  const { readSheet } = await import("read-excel-file/browser");
+  return readSheet(file);
+};
+
+// Read a CSV or XLSX file into a header row and data rows of strings
+export const parseSpreadsheet = async (file) => {
+  const isExcel = /\.xlsx$/i.test(file.name);
+  const table = isExcel ? await readXlsx(file) : await readCsv(file);
+
+  const [headers = [], ...rows] = table.map((row) =>
+    row.map((cell) => (cell === null || cell === undefined ? "" : String(cell)))
+  );
+  return {
+    headers,
+    rows: rows.filter((row) => row.some((cell) => cell.trim() !== "")),
+  };
+};
+
+// Guess which column holds each ticket field; unmatched fields map to null
+export const detectColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  IMPORT_FIELDS.forEach((key) => {
+    const index = normalized.findIndex((header) =>
+      HEADER_ALIASES[key].includes(header)
+    );
+    mapping[key] = index === -1 ? null : index;
+  });
+  return mapping;
+};
+
+// Validate each row against the mapping; rowNumber counts the header as 1
+export const validateRows = (rows, mapping) => {
+  const records = rows.map((row, index) => {
+    const values = {};
+    IMPORT_FIELDS.forEach((key) => {
+      values[key] =
+        mapping[key] === null ? "" : (row[mapping[key]] ?? "").trim();
+    });
+    return { rowNumber: index + 2, values, errors: [] };
+  });
+
+  const countBy = (key) => {
+    const counts = new Map();
+    records.forEach(({ values }) => {
+      const value = values[key].toLowerCase();
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return counts;
+  };
+  const rollCounts = countBy("rollNumber");
+  const emailCounts = countBy("email");
+
+  records.forEach(({ values, errors }) => {
+    IMPORT_FIELDS.forEach((key) => {
+      if (!values[key]) errors.push(t(`import.missing.${key}`));
+    });
+    if (values.email && !EMAIL_PATTERN.test(values.email)) {
+      errors.push(t("import.invalidEmail"));
+    }
+    if (rollCounts.get(values.rollNumber.toLowerCase()) > 1) {
+      errors.push(t("import.duplicateRollNumber"));
+    }
+    if (emailCounts.get(values.email.toLowerCase()) > 1) {
+      errors.push(t("import.duplicateEmail"));
+    }
+  });
+
+  return records;
+};
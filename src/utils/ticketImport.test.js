@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import { detectColumnMapping, validateRows } from "./ticketImport";
+
+describe("detectColumnMapping", () => {
+  it("matches common header spellings", () => {
+    expect(
+      detectColumnMapping(["Sr No", "Full Name", "Roll No.", "E-mail"])
+    ).toEqual({ studentName: 1, rollNumber: 2, email: 3 });
+  });
+
+  it("leaves unknown fields unmapped", () => {
+    expect(detectColumnMapping(["Name", "Phone"])).toEqual({
+      studentName: 0,
+      rollNumber: null,
+      email: null,
+    });
+  });
+});
+
+describe("validateRows", () => {
+  const mapping = { studentName: 0, rollNumber: 1, email: 2 };
+
+  it("accepts complete, unique rows", () => {
+    const [record] = validateRows(
+      [["Rahul Kumar", "CS21B001", "rahul@student.edu"]],
+      mapping
+    );
+    expect(record.rowNumber).toBe(2);
+    expect(record.errors).toEqual([]);
+  });
+
+  it("flags missing fields and bad emails", () => {
+    const [record] = validateRows([["", "CS21B001", "rahul@"]], mapping);
+    expect(record.errors).toEqual(["Missing student name", "Invalid email"]);
+  });
+
+  it("flags duplicate roll numbers and emails case-insensitively", () => {
+    const records = validateRows(
+      [
+        ["Rahul Kumar", "CS21B001", "rahul@student.edu"],
+        ["Rahul K", "cs21b001", "RAHUL@student.edu"],
+        ["Priya Sharma", "CS21B002", "priya@student.edu"],
+      ],
+      mapping
+    );
+    expect(records[0].errors).toEqual([
+      "Duplicate roll number",
+      "Duplicate email",
+    ]);
+    expect(records[1].errors).toEqual([
+      "Duplicate roll number",
+      "Duplicate email",
+    ]);
+    expect(records[2].errors).toEqual([]);
+  });
+});
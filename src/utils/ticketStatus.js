@@ -0,0 +1,72 @@
+import { t, formatRelativeTime } from "../i18n";
+
+// Scan rejection wording for tickets an admin has taken out of circulation
+export const describeInactiveTicket = (ticket) => {
+  switch (ticket?.status) {
+    case "revoked":
+      return {
+        message: t("reason.revoked"),
+        details: ticket.statusReason
+          ? t("inactive.revokedBecause", { reason: ticket.statusReason })
+          : t("reason.revoked.details"),
+      };
+    case "superseded":
+      return {
+        message: t("reason.superseded"),
+        details: ticket.replacedBy
+          ? t("inactive.supersededBy", { ticketId: ticket.replacedBy })
+          : t("reason.superseded.details"),
+      };
+    case "transferred":
+      return {
+        message: t("reason.transferred"),
+        details: ticket.statusReason
+          ? t("inactive.transferredBecause", { reason: ticket.statusReason })
+          : t("reason.transferred.details"),
+      };
+    default:
+      return null;
+  }
+};
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Where and when an already-used ticket was scanned, and whether that was
+// this device, another device at this gate or another gate entirely. A
+// scan from another gate usually means a shared or copied QR code.
+export const describePriorScan = (ticket, device, now = new Date()) => {
+  if (!ticket?.scannedAt) return null;
+
+  const { scannedGate: gate, scannedDeviceId: deviceId } = ticket;
+  const ago = formatRelativeTime(ticket.scannedAt, { now });
+  let details = t("priorScan.when", { ago });
+  if (gate && deviceId) {
+    details = t("priorScan.gateDevice", { gate, device: deviceId, ago });
+  } else if (gate) {
+    details = t("priorScan.gate", { gate, ago });
+  }
+
+  let priorScan = null;
+  if (gate && device) {
+    if (!sameName(gate, device.gate)) priorScan = "other-gate";
+    else if (deviceId === device.deviceId) priorScan = "this-device";
+    else priorScan = "this-gate";
+  }
+  return { details, priorScan };
+};
+
+// Admin actions that make sense for a ticket in its current state. A group
+// ticket stays valid while partly admitted, and can still be undone.
+export const availableActions = (ticket) => {
+  switch (ticket.status) {
+    case "valid":
+      return (ticket.admitted ?? 0) > 0
+        ? ["undo", "revoke", "reissue", "transfer"]
+        : ["revoke", "reissue", "transfer"];
+    case "used":
+    case "exited":
+      return ["undo", "revoke"];
+    default:
+      return [];
+  }
+};
@@ -0,0 +1,92 @@
+import { describe, it, expect } from "vitest";
+import {
+  describeInactiveTicket,
+  describePriorScan,
+  availableActions,
+} from "./ticketStatus";
+
+describe("describeInactiveTicket", () => {
+  it("includes the revocation reason", () => {
+    expect(
+      describeInactiveTicket({ status: "revoked", statusReason: "refunded" })
+    ).toEqual({
+      message: "Ticket Revoked",
+      details: "Ticket revoked: refunded",
+    });
+  });
+
+  it("points to the replacement of a reissued ticket", () => {
+    expect(
+      describeInactiveTicket({ status: "superseded", replacedBy: "STU-9" })
+        .details
+    ).toBe("Superseded by reissued ticket STU-9");
+  });
+
+  it("explains transferred tickets", () => {
+    expect(describeInactiveTicket({ status: "transferred" }).message).toBe(
+      "Ticket Transferred"
+    );
+  });
+
+  it("leaves other statuses to the normal messages", () => {
+    expect(describeInactiveTicket({ status: "used" })).toBeNull();
+    expect(describeInactiveTicket(null)).toBeNull();
+  });
+});
+
+describe("describePriorScan", () => {
+  const now = new Date("2024-03-05T10:00:00Z");
+  const used = {
+    status: "used",
+    scannedAt: "2024-03-05T09:58:00Z",
+    scannedGate: "North Gate",
+    scannedDeviceId: "3",
+  };
+
+  it("says where and when the ticket was used", () => {
+    expect(describePriorScan(used, null, now)).toEqual({
+      details: "Used at North Gate, device 3, 2 min ago",
+      priorScan: null,
+    });
+  });
+
+  it("tells a repeat tap from a scan at another gate", () => {
+    const device = (gate, deviceId) => ({ gate, deviceId });
+    expect(
+      describePriorScan(used, device("north gate", "3"), now).priorScan
+    ).toBe("this-device");
+    expect(
+      describePriorScan(used, device("North Gate", "1"), now).priorScan
+    ).toBe("this-gate");
+    expect(
+      describePriorScan(used, device("South Gate", "3"), now).priorScan
+    ).toBe("other-gate");
+  });
+
+  it("falls back to the time alone for unregistered scanners", () => {
+    expect(
+      describePriorScan({ scannedAt: used.scannedAt }, null, now).details
+    ).toBe("Used 2 min ago");
+    expect(describePriorScan({ status: "used" }, null, now)).toBeNull();
+  });
+});
+
+describe("availableActions", () => {
+  it("offers undo only for checked-in tickets", () => {
+    expect(availableActions({ status: "used" })).toContain("undo");
+    expect(availableActions({ status: "valid" })).not.toContain("undo");
+    expect(availableActions({ status: "valid", admitted: 0 })).not.toContain(
+      "undo"
+    );
+  });
+
+  it("offers undo for a partly admitted group ticket", () => {
+    expect(
+      availableActions({ status: "valid", admissions: 8, admitted: 3 })
+    ).toEqual(["undo", "revoke", "reissue", "transfer"]);
+  });
+
+  it("offers nothing for tickets already out of circulation", () => {
+    expect(availableActions({ status: "superseded" })).toEqual([]);
+  });
+});
@@ -0,0 +1,80 @@
+import { verifySignature, decodeBase64UrlJson } from "./signature";
+import { t } from "../i18n";
+
+// QR codes carry a JSON object with the ticket ID and a compact JWS
+// ({ alg: "EdDSA" }) whose payload is { ticketId, eventId, exp }, plus
+// `admissions` for group tickets.
+const KEY_ID = import.meta.env.VITE_TICKET_KEY_ID;
+
+// Rejections are "forged", "tampered" or "expired", worded by the catalog
+const reject = (reason, details) => ({
+  ok: false,
+  reason,
+  message: t(`reason.${reason}`),
+  details: details || t(`reason.${reason}.details`),
+});
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeBase64UrlJson(segment);
+  } catch {
+    return null;
+  }
+};
+
+// QR text for an issued ticket, in the format parseSignedTicket reads
+export const buildQrPayload = (ticketId, token) =>
+  JSON.stringify({ ticketId, token });
+
+// Check a decoded QR string locally before it is sent to the backend
+export const parseSignedTicket = async (decodedText, now = Date.now()) => {
+  let qrData;
+  try {
+    qrData = JSON.parse(decodedText);
+  } catch {
+    return reject("forged", t("token.notTicket"));
+  }
+
+  if (!qrData || typeof qrData.token !== "string") {
+    return reject("forged", t("token.notTicket"));
+  }
+
+  const segments = qrData.token.split(".");
+  if (segments.length !== 3) {
+    return reject("forged");
+  }
+
+  const [encodedHeader, encodedPayload, signature] = segments;
+  const header = decodeSegment(encodedHeader);
+  if (!header || header.alg !== "EdDSA") {
+    return reject("forged");
+  }
+  if (KEY_ID && header.kid !== KEY_ID) {
+    return reject("forged", t("token.unknownIssuer"));
+  }
+
+  const isValid = await verifySignature(
+    `${encodedHeader}.${encodedPayload}`,
+    signature
+  );
+  const payload = decodeSegment(encodedPayload);
+  if (!isValid || !payload || typeof payload.ticketId !== "string") {
+    return reject("tampered");
+  }
+
+  if (qrData.ticketId !== undefined && qrData.ticketId !== payload.ticketId) {
+    return reject("tampered", t("token.idMismatch"));
+  }
+
+  if (typeof payload.exp !== "number" || payload.exp * 1000 <= now) {
+    return reject("expired");
+  }
+
+  return {
+    ok: true,
+    ticketId: payload.ticketId,
+    eventId: payload.eventId,
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+    admissions: Number.isInteger(payload.admissions) ? payload.admissions : 1,
+  };
+};
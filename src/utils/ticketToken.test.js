@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from "vitest";
+import { toBase64Url, encodeJson } from "../test/ticketSigner";
+
+let keyPair;
+let parseSignedTicket;
+let buildQrPayload;
+
+const sign = async (
+  payload,
+  header = { alg: "EdDSA" },
+  privateKey = keyPair.privateKey
+) => {
+  const signingInput = `${encodeJson(header)}.${encodeJson(payload)}`;
+  const signature = await crypto.subtle.sign(
+    { name: "Ed25519" },
+    privateKey,
+    new TextEncoder().encode(signingInput)
+  );
+  return `${signingInput}.${toBase64Url(new Uint8Array(signature))}`;
+};
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+describe("parseSignedTicket", () => {
+  beforeAll(async () => {
+    keyPair = await crypto.subtle.generateKey({ name: "Ed25519" }, true, [
+      "sign",
+      "verify",
+    ]);
+    const rawKey = await crypto.subtle.exportKey("raw", keyPair.publicKey);
+    vi.stubEnv("VITE_TICKET_PUBLIC_KEY", toBase64Url(new Uint8Array(rawKey)));
+    ({ parseSignedTicket, buildQrPayload } = await import("./ticketToken"));
+  });
+
+  afterAll(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("accepts a ticket issued with buildQrPayload", async () => {
+    const token = await sign({
+      ticketId: "STU-2024-001",
+      eventId: "EVT-1",
+      exp: inOneHour(),
+    });
+    const result = await parseSignedTicket(
+      buildQrPayload("STU-2024-001", token)
+    );
+
+    expect(result.ok).toBe(true);
+    expect(result.ticketId).toBe("STU-2024-001");
+    expect(result.eventId).toBe("EVT-1");
+    expect(result.admissions).toBe(1);
+  });
+
+  it("reads the signed admission count of group tickets", async () => {
+    const token = await sign({
+      ticketId: "GRP-2024-007",
+      eventId: "EVT-1",
+      exp: inOneHour(),
+      admissions: 8,
+    });
+    const result = await parseSignedTicket(
+      buildQrPayload("GRP-2024-007", token)
+    );
+
+    expect(result.admissions).toBe(8);
+  });
+
+  it("rejects unsigned codes as forged", async () => {
+    expect((await parseSignedTicket("STU-2024-001")).reason).toBe("forged");
+    expect(
+      (await parseSignedTicket(JSON.stringify({ ticketId: "STU-2024-001" })))
+        .reason
+    ).toBe("forged");
+  });
+
+  it("rejects tokens with an unexpected algorithm as forged", async () => {
+    const token = await sign(
+      { ticketId: "STU-2024-001", exp: inOneHour() },
+      { alg: "none" }
+    );
+    const result = await parseSignedTicket(
+      buildQrPayload("STU-2024-001", token)
+    );
+    expect(result.reason).toBe("forged");
+  });
+
+  it("rejects a modified payload as tampered", async () => {
+    const token = await sign({ ticketId: "STU-2024-001", exp: inOneHour() });
+    const [header, , signature] = token.split(".");
+    const forgedPayload = encodeJson({
+      ticketId: "STU-2024-002",
+      exp: inOneHour(),
+    });
+    const result = await parseSignedTicket(
+      buildQrPayload("STU-2024-002", `${header}.${forgedPayload}.${signature}`)
+    );
+    expect(result.reason).toBe("tampered");
+  });
+
+  it("rejects a ticket ID that does not match the signed one as tampered", async () => {
+    const token = await sign({ ticketId: "STU-2024-001", exp: inOneHour() });
+    const result = await parseSignedTicket(
+      buildQrPayload("STU-2024-999", token)
+    );
+    expect(result.reason).toBe("tampered");
+  });
+
+  it("rejects expired tickets", async () => {
+    const token = await sign({
+      ticketId: "STU-2024-001",
+      exp: Math.floor(Date.now() / 1000) - 60,
+    });
+    const result = await parseSignedTicket(
+      buildQrPayload("STU-2024-001", token)
+    );
+    expect(result.reason).toBe("expired");
+  });
+});
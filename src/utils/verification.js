@@ -0,0 +1,284 @@
+import { parseSignedTicket } from "./ticketToken";
+import { isSigningKeyConfigured } from "./signature";
+import { describeInactiveTicket } from "./ticketStatus";
+import { describeServerError } from "./serverErrors";
+import {
+  isGroupTicket,
+  remainingAdmissions,
+  describeAdmissions,
+} from "./admissions";
+import { getReentryPolicy, allowsReentry, reentriesLeft } from "./reentry";
+import { t } from "../i18n";
+import {
+  NetworkError,
+  TimeoutError,
+  HttpError,
+  MalformedResponseError,
+} from "../api/errors";
+
+// Turning a decoded QR code or typed ticket ID into a scan result: local
+// signature check, backend verification with an offline fallback, exit
+// scans and the dry run that precedes confirmed check-ins. Results are
+// plain objects ({ success, reason, message, details, ticket, ... }) that
+// the scanner screen renders and records.
+
+export const wrongEventResult = (eventName) => ({
+  success: false,
+  reason: "wrong-event",
+  message: t("reason.wrong-event"),
+  details: t("result.wrongEvent.details", {
+    event: eventName || t("result.differentEvent"),
+  }),
+  ticket: null,
+});
+
+export const describeReentriesLeft = (left) =>
+  left === Infinity ? t("reentry.allowed") : t("reentry.left", { count: left });
+
+// `client` is the API client and `offline` the useOfflineSync state. With
+// `exit` set, scans record exits for events that allow re-entry.
+export const createVerifier = ({
+  client,
+  event,
+  user,
+  offline,
+  findEvent = () => null,
+  exit = false,
+  isOnline = () => navigator.onLine,
+}) => {
+  const reentryPolicy = getReentryPolicy(event);
+  const isExitScan = exit && allowsReentry(reentryPolicy);
+
+  // Fall back to the downloaded snapshot when the backend is unreachable
+  const verifyTicketOffline = async (identifier, options) => {
+    if (offline.snapshotInfo?.eventId !== event.id) {
+      return {
+        success: false,
+        message: t("result.connectionError"),
+        details: t("result.connectionError.details"),
+        ticket: null,
+      };
+    }
+
+    try {
+      return await offline.verifyOffline(identifier, user, options);
+    } catch (error) {
+      console.error("❌ Offline verification error:", error);
+      return {
+        success: false,
+        offline: true,
+        message: t("result.verificationFailed"),
+        details: t("result.offlineReadError"),
+        ticket: null,
+      };
+    }
+  };
+
+  // Verify ticket against the backend and describe the outcome.
+  // Without commit the ticket is only checked; `count` admits several
+  // people from a group ticket.
+  const verifyTicket = async (
+    identifier,
+    { commit = true, count = 1 } = {}
+  ) => {
+    if (!isOnline()) {
+      return verifyTicketOffline(identifier, { commit, count });
+    }
+
+    try {
+      const data = await client.verifyTicket(identifier, {
+        eventId: event.id,
+        dryRun: !commit,
+        count,
+      });
+
+      if (data.success && !commit) {
+        return {
+          success: true,
+          pendingConfirmation: true,
+          message: t("result.confirmCheckIn"),
+          details: t("result.confirmCheckIn.details"),
+          ticket: data.ticket,
+        };
+      }
+      if (data.success) {
+        const isGroup = isGroupTicket(data.ticket);
+        offline.rememberCheckIn(
+          data.ticket.id,
+          data.ticket.scannedAt,
+          isGroup ? data.ticket.admitted : undefined
+        );
+        let details = t("result.studentVerified");
+        if (data.reentry) {
+          details = describeReentriesLeft(
+            reentriesLeft(reentryPolicy, data.ticket.reentries)
+          );
+        } else if (isGroup) {
+          details = describeAdmissions(data.ticket);
+        }
+        return {
+          success: true,
+          message: data.reentry
+            ? t("result.reentryApproved")
+            : t("result.entryApproved"),
+          details,
+          ticket: {
+            ...data.ticket,
+            // Group tickets stay valid until everyone on them is in
+            status:
+              isGroup && remainingAdmissions(data.ticket) > 0
+                ? "valid"
+                : "used",
+            scannedBy: data.ticket.scannedBy || user.name,
+          },
+        };
+      }
+      // The server's wording is English only; show the translated reason
+      return {
+        success: false,
+        ...describeServerError({ code: data.code, message: data.message }),
+        ...describeInactiveTicket(data.ticket),
+        ticket: data.ticket || null,
+      };
+    } catch (error) {
+      console.error("❌ Verification error:", error);
+
+      if (error instanceof NetworkError || error instanceof TimeoutError) {
+        return verifyTicketOffline(identifier, { commit, count });
+      }
+      if (error instanceof HttpError && error.data?.code === "WRONG_EVENT") {
+        return wrongEventResult(error.data.ticket?.eventName);
+      }
+      if (error instanceof HttpError && error.isClientError) {
+        // Rejections (404 not found, 400 already used, etc.)
+        return {
+          success: false,
+          ...describeServerError({
+            code: error.data?.code,
+            status: error.status,
+            message: error.message,
+          }),
+          ...describeInactiveTicket(error.data?.ticket),
+          ticket: error.data?.ticket || null,
+        };
+      }
+      if (error instanceof MalformedResponseError) {
+        return {
+          success: false,
+          message: t("result.verificationFailed"),
+          details: t("result.unexpectedResponse"),
+          ticket: null,
+        };
+      }
+      return {
+        success: false,
+        message: t("result.serverError"),
+        details: t("result.serverError.details"),
+        ticket: null,
+      };
+    }
+  };
+
+  // Exit scans need the backend; the offline list does not track re-entry
+  const recordExit = async (identifier) => {
+    try {
+      const data = await client.recordExit(identifier, {
+        eventId: event.id,
+      });
+      if (!data.success) {
+        return {
+          success: false,
+          ...describeServerError({ code: data.code, message: data.message }),
+          ticket: data.ticket || null,
+        };
+      }
+      return {
+        success: true,
+        direction: "exit",
+        message: t("result.exitRecorded"),
+        details: describeReentriesLeft(
+          reentriesLeft(reentryPolicy, data.ticket.reentries)
+        ),
+        ticket: data.ticket,
+      };
+    } catch (error) {
+      console.error("❌ Exit error:", error);
+
+      if (error instanceof HttpError && error.isClientError) {
+        return {
+          success: false,
+          ...describeServerError({
+            code: error.data?.code,
+            status: error.status,
+            message: error.message,
+          }),
+          ticket: error.data?.ticket || null,
+        };
+      }
+      return {
+        success: false,
+        message: t("result.exitNotRecorded"),
+        details: t("result.exitNotRecorded.details"),
+        ticket: null,
+      };
+    }
+  };
+
+  // Identity checks and group tickets are confirmed on screen before the
+  // check-in is committed. Signed QR codes say how many a ticket admits;
+  // manual entries don't, so those are checked first.
+  const checkIn = async (identifier, { admissions } = {}) => {
+    const requireIdentity = Boolean(event.requireIdentityCheck);
+    if (!requireIdentity && admissions === 1) {
+      return verifyTicket(identifier);
+    }
+
+    const result = await verifyTicket(identifier, { commit: false });
+    if (
+      result.pendingConfirmation &&
+      !requireIdentity &&
+      remainingAdmissions(result.ticket) <= 1
+    ) {
+      return verifyTicket(result.ticket.id);
+    }
+    return result;
+  };
+
+  const checkTicket = (identifier, options) =>
+    isExitScan ? recordExit(identifier) : checkIn(identifier, options);
+
+  // Check the ticket signature locally, then ask the backend
+  const processScan = async (decodedText) => {
+    try {
+      const parsed = await parseSignedTicket(decodedText);
+      if (!parsed.ok) {
+        return {
+          success: false,
+          reason: parsed.reason,
+          message: parsed.message,
+          details: parsed.details,
+          ticket: null,
+        };
+      }
+      if (parsed.eventId && parsed.eventId !== event.id) {
+        return wrongEventResult(
+          findEvent(parsed.eventId)?.name || parsed.eventId
+        );
+      }
+      return await checkTicket(parsed.ticketId, {
+        admissions: parsed.admissions,
+      });
+    } catch (error) {
+      console.error("❌ Signature check error:", error);
+      return {
+        success: false,
+        message: t("result.verificationFailed"),
+        details: isSigningKeyConfigured()
+          ? t("result.signatureCheckFailed")
+          : t("result.signingKeyMissing"),
+        ticket: null,
+      };
+    }
+  };
+  return { processScan, checkTicket, verifyTicket };
+};
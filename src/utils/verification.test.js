@@ -0,0 +1,199 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createVerifier } from "./verification";
+import { NetworkError, HttpError, MalformedResponseError } from "../api/errors";
+
+const ticket = (overrides = {}) => ({
+  id: "STU-1",
+  studentName: "Rahul Kumar",
+  rollNumber: "CS21B001",
+  email: "rahul@student.edu",
+  status: "used",
+  scannedAt: "2024-03-05T09:30:00.000Z",
+  scannedBy: null,
+  reentries: 0,
+  admissions: 1,
+  admitted: 1,
+  ...overrides,
+});
+
+const event = { id: "EVT-1", name: "Tech Fest" };
+const user = { id: "U-1", name: "Gate Staff" };
+
+let client;
+let offline;
+
+const verifier = (options = {}) =>
+  createVerifier({
+    client,
+    event,
+    user,
+    offline,
+    isOnline: () => true,
+    ...options,
+  });
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  client = {
+    verifyTicket: vi.fn(),
+    recordExit: vi.fn(),
+  };
+  offline = {
+    snapshotInfo: null,
+    verifyOffline: vi.fn(),
+    rememberCheckIn: vi.fn(),
+  };
+});
+
+describe("createVerifier", () => {
+  it("approves a ticket the backend accepts and remembers it offline", async () => {
+    client.verifyTicket.mockResolvedValue({ success: true, ticket: ticket() });
+
+    const result = await verifier().checkTicket("STU-1", { admissions: 1 });
+
+    expect(client.verifyTicket).toHaveBeenCalledTimes(1);
+    expect(client.verifyTicket).toHaveBeenCalledWith("STU-1", {
+      eventId: "EVT-1",
+      dryRun: false,
+      count: 1,
+    });
+    expect(result).toMatchObject({
+      success: true,
+      message: "Entry Approved ✓",
+      ticket: { id: "STU-1", status: "used", scannedBy: "Gate Staff" },
+    });
+    expect(offline.rememberCheckIn).toHaveBeenCalledWith(
+      "STU-1",
+      "2024-03-05T09:30:00.000Z",
+      undefined
+    );
+  });
+
+  it("reports a ticket that was already used", async () => {
+    client.verifyTicket.mockRejectedValue(
+      new HttpError(409, "Ticket already used", {
+        code: "ALREADY_USED",
+        ticket: ticket(),
+      })
+    );
+
+    const result = await verifier().checkTicket("STU-1", { admissions: 1 });
+
+    expect(result).toMatchObject({
+      success: false,
+      reason: "already-used",
+      message: "Ticket Already Used",
+      ticket: { id: "STU-1" },
+    });
+  });
+
+  it("reports a ticket the backend does not know", async () => {
+    client.verifyTicket.mockRejectedValue(new HttpError(404, "Not found"));
+
+    const result = await verifier().checkTicket("STU-404", { admissions: 1 });
+
+    expect(result).toMatchObject({
+      success: false,
+      reason: "not-found",
+      message: "Ticket Not Found",
+      ticket: null,
+    });
+  });
+
+  it("explains a malformed response instead of trusting it", async () => {
+    client.verifyTicket.mockRejectedValue(new MalformedResponseError());
+
+    const result = await verifier().checkTicket("STU-1", { admissions: 1 });
+
+    expect(result).toMatchObject({
+      success: false,
+      message: "Verification Failed",
+      details: "The server sent an unexpected response.",
+    });
+  });
+
+  it("falls back to the offline list when the network fails", async () => {
+    client.verifyTicket.mockRejectedValue(new NetworkError());
+    offline.snapshotInfo = { eventId: "EVT-1" };
+    offline.verifyOffline.mockResolvedValue({ success: true, offline: true });
+
+    const result = await verifier().checkTicket("STU-1", { admissions: 1 });
+
+    expect(offline.verifyOffline).toHaveBeenCalledWith("STU-1", user, {
+      commit: true,
+      count: 1,
+    });
+    expect(result.offline).toBe(true);
+  });
+
+  it("reports a connection error without an offline list for the event", async () => {
+    client.verifyTicket.mockRejectedValue(new NetworkError());
+
+    const result = await verifier().checkTicket("STU-1", { admissions: 1 });
+
+    expect(result).toMatchObject({
+      success: false,
+      message: "Connection Error",
+    });
+    expect(offline.verifyOffline).not.toHaveBeenCalled();
+  });
+
+  it("checks manual entries first, then commits a single admission", async () => {
+    client.verifyTicket.mockResolvedValue({
+      success: true,
+      ticket: ticket({ status: "valid", admitted: 0 }),
+    });
+
+    await verifier().checkTicket("STU-1");
+
+    expect(
+      client.verifyTicket.mock.calls.map(([, options]) => options)
+    ).toEqual([
+      { eventId: "EVT-1", dryRun: true, count: 1 },
+      { eventId: "EVT-1", dryRun: false, count: 1 },
+    ]);
+  });
+
+  it("waits for confirmation before admitting a group", async () => {
+    client.verifyTicket.mockResolvedValue({
+      success: true,
+      ticket: ticket({ status: "valid", admissions: 4, admitted: 0 }),
+    });
+
+    const result = await verifier().checkTicket("STU-1", { admissions: 4 });
+
+    expect(client.verifyTicket).toHaveBeenCalledTimes(1);
+    expect(result.pendingConfirmation).toBe(true);
+  });
+
+  it("records exits only for events that allow re-entry", async () => {
+    client.recordExit.mockResolvedValue({
+      success: true,
+      ticket: ticket({ status: "exited", reentries: 1 }),
+    });
+    client.verifyTicket.mockResolvedValue({ success: true, ticket: ticket() });
+
+    const reentryEvent = { ...event, reentry: { mode: "limited", limit: 2 } };
+    const exit = await verifier({
+      event: reentryEvent,
+      exit: true,
+    }).checkTicket("STU-1");
+    expect(exit).toMatchObject({
+      success: true,
+      direction: "exit",
+      details: "1 re-entry left",
+    });
+
+    await verifier({ exit: true }).checkTicket("STU-1", { admissions: 1 });
+    expect(client.recordExit).toHaveBeenCalledTimes(1);
+    expect(client.verifyTicket).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects QR codes that are not signed tickets without calling the API", async () => {
+    const result = await verifier().processScan("not a ticket");
+
+    expect(result).toMatchObject({ success: false, reason: "forged" });
+    expect(client.verifyTicket).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,38 @@
+// Keyboard-wedge scanners "type" a code much faster than a person can.
+// Keys arriving within `maxInterKeyMs` of each other build up a burst, and
+// an Enter that ends a long enough burst yields the scanned payload.
+export const WEDGE_MAX_INTER_KEY_MS = 35;
+export const WEDGE_MIN_LENGTH = 6;
+
+export const createWedgeDetector = ({
+  maxInterKeyMs = WEDGE_MAX_INTER_KEY_MS,
+  minLength = WEDGE_MIN_LENGTH,
+} = {}) => {
+  let buffer = "";
+  let lastKeyAt = -Infinity;
+
+  // Feed one keydown; returns the payload when a burst completes
+  const handleKey = (key, timestamp) => {
+    const isFast = timestamp - lastKeyAt <= maxInterKeyMs;
+    lastKeyAt = timestamp;
+
+    if (key === "Enter") {
+      const payload = isFast && buffer.length >= minLength ? buffer : null;
+      buffer = "";
+      return payload;
+    }
+
+    // Ignore modifiers and other named keys (Shift, Tab, ArrowLeft...)
+    if (key.length !== 1) return null;
+
+    buffer = isFast ? buffer + key : key;
+    return null;
+  };
+
+  const reset = () => {
+    buffer = "";
+    lastKeyAt = -Infinity;
+  };
+
+  return { handleKey, reset };
+};
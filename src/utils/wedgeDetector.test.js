@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { createWedgeDetector } from "./wedgeDetector";
+
+// Feed `text` then Enter, `gapMs` apart, and return what Enter produced
+const type = (detector, text, gapMs, start = 0) => {
+  let time = start;
+  for (const key of text) {
+    detector.handleKey(key, time);
+    time += gapMs;
+  }
+  return detector.handleKey("Enter", time);
+};
+
+describe("createWedgeDetector", () => {
+  it("captures a fast burst ending in Enter", () => {
+    const detector = createWedgeDetector();
+    expect(type(detector, '{"ticketId":"STU-1"}', 8)).toBe(
+      '{"ticketId":"STU-1"}'
+    );
+  });
+
+  it("ignores human-speed typing", () => {
+    const detector = createWedgeDetector();
+    expect(type(detector, "STU-2024-001", 120)).toBeNull();
+  });
+
+  it("ignores bursts that are too short", () => {
+    const detector = createWedgeDetector({ minLength: 6 });
+    expect(type(detector, "abc", 5)).toBeNull();
+  });
+
+  it("starts a new burst after a pause", () => {
+    const detector = createWedgeDetector();
+    detector.handleKey("x", 0);
+    expect(type(detector, "STU-2024-001", 5, 1000)).toBe("STU-2024-001");
+  });
+
+  it("skips named keys such as Shift", () => {
+    const detector = createWedgeDetector();
+    let time = 0;
+    for (const key of ["Shift", "S", "T", "U", "Shift", "-", "1", "2", "3"]) {
+      detector.handleKey(key, time);
+      time += 5;
+    }
+    expect(detector.handleKey("Enter", time)).toBe("STU-123");
+  });
+});
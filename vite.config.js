@@ -1,7 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import tailwindcss from '@tailwindcss/vite'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Bundled so the styles are precached with the rest of the app
+    tailwindcss(),
+    VitePWA({
+      // Gate staff choose when to reload, so a scan is never interrupted
+      registerType: 'prompt',
+      includeAssets: ['vite.svg', 'apple-touch-icon.png'],
+      manifest: {
+        name: 'QR Ticket Scanner',
+        short_name: 'Tickets',
+        description: 'Scan and verify student event tickets at the gate',
+        theme_color: '#4f46e5',
+        background_color: '#eef2ff',
+        display: 'standalone',
+        orientation: 'portrait',
+        start_url: '/',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          {
+            src: 'maskable-512x512.png',
+            sizes: '512x512',
+            type: 'image/png',
+            purpose: 'maskable',
+          },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png,ico}'],
+        navigateFallbackDenylist: [/^\/api\//],
+      },
+    }),
+  ],
 })